@@ -2,18 +2,32 @@
 const express      = require('express');
 const cors         = require('cors');
 const path         = require('path');
-require('dotenv').config();
+const config       = require('./config');
+const { notFoundHandler, errorHandler } = require('./lib/errors');
+const { requestContext } = require('./lib/requestContext');
+const { authenticate } = require('./lib/auth');
+const { httpMetrics } = require('./lib/metrics');
+const { openApiSchemas } = require('./lib/schemas');
 
 // Create Express app
 const app = express();
 
+// Request id and actor for logs and the audit trail
+app.use(requestContext);
+
+// Request counts and latency per route for GET /metrics
+app.use(httpMetrics);
+
 // Serve static files from /public (e.g. public/dashboard.html)
 app.use(express.static(path.join(__dirname, 'public')));
 
-// Enable CORS and JSON body parsing
-app.use(cors());
+// Enable CORS and JSON body parsing; ETag is exposed so browsers can send it back as If-Match
+app.use(cors({ exposedHeaders: ['ETag', 'X-Request-Id'] }));
 app.use(express.json());
 
+// Identify the caller from an API key or bearer token; routes decide which roles they need
+app.use(authenticate);
+
 // Swagger setup
 const swaggerUi   = require('swagger-ui-express');
 const swaggerJsdoc = require('swagger-jsdoc');
@@ -24,21 +38,127 @@ const swaggerSpec = swaggerJsdoc({
     info: {
       title: 'Retail API',
       version: '1.0.0',
-      description: 'API for Online Retail II Dataset',
+      description: 'API for Online Retail II Dataset. Reads are public; writes and diagnostics '
+        + 'need an X-API-Key or HS256 bearer token whose role (viewer < clerk < inventory_manager < dba) '
+        + 'ranks at least as high as the operation requires.',
+    },
+    servers: [{ url: `http://localhost:${config.port}` }],
+    // Request body schemas come from the joi validators so docs and validation cannot drift
+    components: {
+      schemas: openApiSchemas(),
+      responses: {
+        ValidationFailed: {
+          description: 'One or more params, query or body fields are invalid',
+          content: {
+            'application/json': {
+              schema: { $ref: '#/components/schemas/ValidationError' },
+            },
+          },
+        },
+        PreconditionFailed: {
+          description: 'If-Match did not match the current row version; the body carries the current ETag',
+        },
+        Unauthorized: {
+          description: 'No credentials were sent, or the API key or bearer token is invalid',
+        },
+        Forbidden: {
+          description: "The caller's role ranks below the one the operation requires",
+        },
+        InsufficientStock: {
+          description: 'The change would leave less than nothing available for a stock code (code INSUFFICIENT_STOCK)',
+        },
+      },
+      securitySchemes: {
+        ApiKeyAuth: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+        BearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+      },
+      parameters: {
+        IfMatch: {
+          in: 'header',
+          name: 'If-Match',
+          schema: { type: 'string' },
+          description: 'ETag from a previous read; the update is rejected with 412 if the record changed since',
+        },
+      },
     },
-    servers: [{ url: `http://localhost:${process.env.PORT || 3000}` }],
   },
-  apis: ['./routes/*.js'],
+  apis: [path.join(__dirname, 'routes/*.js')],
 });
 
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 
+// Mount product catalogue routes
+const productRoutes = require('./routes/products');
+app.use('/api/products', productRoutes);
+
 // Mount your retail routes
 const retailRoutes = require('./routes/retail');
 app.use('/api/retail', retailRoutes);
 
-// Start the server
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
+// Mount invoice routes (retail lines grouped by invoice_no)
+const invoiceRoutes = require('./routes/invoices');
+app.use('/api/invoices', invoiceRoutes);
+
+// Mount order routes (placing an order reserves stock)
+const orderRoutes = require('./routes/orders');
+app.use('/api/orders', orderRoutes);
+
+// Mount supplier and purchase order routes (reordering and receiving stock)
+const supplierRoutes = require('./routes/suppliers');
+app.use('/api/suppliers', supplierRoutes);
+const purchaseOrderRoutes = require('./routes/purchaseOrders');
+app.use('/api/purchase-orders', purchaseOrderRoutes);
+
+// Mount inventory ledger routes (movements, point-in-time stock, reconciliation)
+const inventoryRoutes = require('./routes/inventory');
+app.use('/api/inventory', inventoryRoutes);
+
+// Mount customer routes (customer 360 and RFM segmentation)
+const customerRoutes = require('./routes/customers');
+app.use('/api/customers', customerRoutes);
+
+// Mount audit log queries
+const auditRoutes = require('./routes/audit');
+app.use('/api/audit', auditRoutes);
+
+// Mount webhook subscriptions (low-stock alert notifications)
+const webhookRoutes = require('./routes/webhooks');
+app.use('/api/webhooks', webhookRoutes);
+
+// Mount health check
+const healthRoutes = require('./routes/health');
+app.use('/api/health', healthRoutes);
+
+// Prometheus scrape endpoint
+const metricsRoutes = require('./routes/metrics');
+app.use('/metrics', metricsRoutes);
+
+// Root endpoint
+app.get('/', (req, res) => {
+  res.json({
+    message: 'Online Retail API',
+    version: '2.0.0',
+    documentation: '/api-docs',
+    dashboard: '/dashboard.html',
+    resources: {
+      '/api/products': 'Product catalogue',
+      '/api/retail': 'Retail transaction lines, sales analytics and performance tools',
+      '/api/invoices': 'Retail lines grouped by invoice',
+      '/api/orders': 'Orders that reserve stock until fulfilled or cancelled',
+      '/api/suppliers': 'Suppliers that products are reordered from',
+      '/api/purchase-orders': 'Purchase orders: drafting from low stock, sending and receiving into inventory',
+      '/api/inventory': 'Inventory ledger: movements, stock as of a date and reconciliation',
+      '/api/customers': 'Customer 360 and RFM segmentation',
+      '/api/audit': 'Change history of products, retail, inventory, suppliers and purchase orders',
+      '/api/webhooks': 'Webhook subscriptions notified when low-stock alerts open or resolve',
+      '/api/health': 'API health check, with /live and /ready probes',
+      '/metrics': 'Prometheus metrics',
+    },
+  });
 });
+
+// Unmatched routes and errors thrown by any router end up here
+app.use(notFoundHandler);
+app.use(errorHandler);
+
+module.exports = app;
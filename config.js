@@ -0,0 +1,51 @@
+require('dotenv').config();
+
+// Central configuration; every module reads settings from here rather than process.env
+const config = {
+  env: process.env.NODE_ENV || 'production',
+  port: parseInt(process.env.PORT) || 3000,
+  db: {
+    host: process.env.DB_HOST || 'localhost',
+    port: parseInt(process.env.DB_PORT) || 5432,
+    user: process.env.DB_USER || 'postgres',
+    password: process.env.DB_PASSWORD,
+    database: process.env.DB_NAME || 'online_retail_db',
+    max: parseInt(process.env.DB_POOL_MAX) || 20,
+    idleTimeoutMillis: 30000,
+    connectionTimeoutMillis: 2000,
+  },
+  // Separate login for POST /performance/query-analysis; see migrations/012_query_sandbox_role.up.sql
+  sandbox: {
+    user: process.env.SANDBOX_DB_USER || 'retail_sandbox',
+    password: process.env.SANDBOX_DB_PASSWORD,
+    max: parseInt(process.env.SANDBOX_POOL_MAX) || 2,
+    statementTimeoutMs: parseInt(process.env.SANDBOX_STATEMENT_TIMEOUT_MS) || 5000,
+  },
+  indexAdvisor: {
+    // Applying recommendations runs DDL against production tables, so it is off unless asked for
+    allowApply: process.env.INDEX_ADVISOR_ALLOW_APPLY === 'true',
+  },
+  auth: {
+    // HS256 secret for bearer tokens; without it only API keys are accepted
+    jwtSecret: process.env.JWT_SECRET,
+    jwtIssuer: process.env.JWT_ISSUER,
+    jwtAudience: process.env.JWT_AUDIENCE,
+  },
+  // GET /api/health/ready
+  health: {
+    checkTimeoutMs: parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS) || 2000,
+    maxReplicationLagSeconds: parseInt(process.env.HEALTH_MAX_REPLICATION_LAG_SECONDS) || 30,
+  },
+  // Outbound webhooks for low-stock alerts, sent by lib/webhooks.js
+  webhooks: {
+    // Turn off on all but one instance if several share a database and you want one sender
+    enabled: process.env.WEBHOOKS_ENABLED !== 'false',
+    pollIntervalMs: parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS) || 5000,
+    timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 5000,
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8,
+  },
+};
+
+config.isDevelopment = config.env === 'development';
+
+module.exports = config;
@@ -1,12 +1,58 @@
 const { Pool } = require('pg');
-require('dotenv').config();
-
-const pool = new Pool({
-  host: process.env.DB_HOST,
-  port: process.env.DB_PORT,
-  user: process.env.DB_USER,
-  password: process.env.DB_PASSWORD,
-  database: process.env.DB_NAME,
+const config = require('./config');
+const { currentContext } = require('./lib/requestContext');
+
+// The one connection pool shared by every route
+const pool = new Pool(config.db);
+
+pool.on('error', (err) => {
+  // An idle client lost its connection; the pool replaces it on the next checkout
+  console.error('Idle database client error:', err.message);
 });
 
+/*
+ * Audit triggers read the actor and request id from the app.actor and
+ * app.request_id session settings. Clients are tagged on checkout with the
+ * current request's values, and untagged again when a later checkout has none,
+ * so a pooled connection never attributes one request's changes to another.
+ */
+async function applyAuditContext(client, context) {
+  const tag = context && context.mutating ? `${context.actor}\n${context.requestId}` : null;
+  if ((client.auditTag || null) === tag) return;
+
+  await client.query(
+    "SELECT set_config('app.actor', $1, false), set_config('app.request_id', $2, false)",
+    tag ? [context.actor, context.requestId] : ['', '']
+  );
+  client.auditTag = tag;
+}
+
+const checkout = pool.connect.bind(pool);
+
+pool.connect = async () => {
+  // Read the context before awaiting: a client handed over by another request's release
+  // resumes in that request's async context
+  const context = currentContext();
+  const client = await checkout();
+
+  try {
+    await applyAuditContext(client, context);
+  } catch (err) {
+    client.release(err);
+    throw err;
+  }
+
+  return client;
+};
+
+pool.query = async (...args) => {
+  const client = await pool.connect();
+
+  try {
+    return await client.query(...args);
+  } finally {
+    client.release();
+  }
+};
+
 module.exports = pool;
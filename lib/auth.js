@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+const config = require('../config');
+const db = require('../db');
+const { HttpError } = require('./errors');
+
+// Each role can do everything the roles before it can
+const ROLES = ['viewer', 'clerk', 'inventory_manager', 'dba'];
+
+const API_KEY_PREFIX = 'rk_';
+
+// Tolerated clock difference when checking exp and nbf
+const CLOCK_SKEW_SECONDS = 30;
+
+// last_used_at is bookkeeping, not an access log; refreshing it once a minute is enough
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// A new random key; the caller stores its hash and shows the key once
+function generateApiKey() {
+  const key = API_KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+  return { key, hash: hashApiKey(key), prefix: key.slice(0, API_KEY_PREFIX.length + 6) };
+}
+
+const unauthorized = (message) => new HttpError(401, message, { code: 'UNAUTHORIZED' });
+
+async function principalFromApiKey(key) {
+  const result = await db.query(
+    'SELECT id, name, role, last_used_at FROM api_keys WHERE key_hash = $1 AND revoked_at IS NULL',
+    [hashApiKey(key)]
+  );
+
+  if (result.rows.length === 0) {
+    throw unauthorized('Invalid or revoked API key');
+  }
+
+  const { id, name, role, last_used_at } = result.rows[0];
+  if (!last_used_at || Date.now() - last_used_at.getTime() > LAST_USED_RESOLUTION_MS) {
+    db.query('UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = $1', [id])
+      .catch(err => console.error('Failed to record API key use:', err.message));
+  }
+
+  return { id: `apikey:${name}`, role, method: 'api_key' };
+}
+
+const decodeSegment = (segment) => JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+
+/**
+ * Verifies an HS256 JWT against the configured secret and returns the
+ * principal in its sub and role claims. Other algorithms are refused outright
+ * so a token cannot choose how it is checked.
+ */
+function principalFromJwt(token) {
+  const { jwtSecret, jwtIssuer, jwtAudience } = config.auth;
+  if (!jwtSecret) {
+    throw unauthorized('Bearer tokens are not accepted by this server');
+  }
+
+  const [headerPart, payloadPart, signaturePart] = token.split('.');
+  let header, payload;
+  try {
+    header = decodeSegment(headerPart);
+    payload = decodeSegment(payloadPart);
+  } catch {
+    throw unauthorized('Malformed bearer token');
+  }
+
+  if (header.alg !== 'HS256') {
+    throw unauthorized('Bearer token must be signed with HS256');
+  }
+
+  const expected = crypto.createHmac('sha256', jwtSecret).update(`${headerPart}.${payloadPart}`).digest();
+  const actual = Buffer.from(signaturePart, 'base64url');
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    throw unauthorized('Invalid bearer token signature');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof payload.exp !== 'number' || payload.exp + CLOCK_SKEW_SECONDS < now) {
+    throw unauthorized('Bearer token has expired');
+  }
+  if (typeof payload.nbf === 'number' && payload.nbf - CLOCK_SKEW_SECONDS > now) {
+    throw unauthorized('Bearer token is not valid yet');
+  }
+  if (jwtIssuer && payload.iss !== jwtIssuer) {
+    throw unauthorized('Bearer token was issued by an untrusted issuer');
+  }
+  if (jwtAudience && ![].concat(payload.aud).includes(jwtAudience)) {
+    throw unauthorized('Bearer token is not meant for this API');
+  }
+  if (typeof payload.sub !== 'string' || payload.sub === '' || !ROLES.includes(payload.role)) {
+    throw unauthorized(`Bearer token needs a sub claim and a role claim (one of ${ROLES.join(', ')})`);
+  }
+
+  return { id: payload.sub.slice(0, 100), role: payload.role, method: 'jwt' };
+}
+
+/**
+ * Express middleware that identifies the caller from an X-API-Key header or an
+ * Authorization: Bearer JWT. Anonymous requests pass through with req.user
+ * unset so public reads keep working; credentials that are present but bad are
+ * rejected on every route rather than silently downgraded to anonymous.
+ */
+async function authenticate(req, res, next) {
+  const apiKey = req.get('X-API-Key');
+  const authorization = req.get('Authorization');
+
+  if (apiKey) {
+    req.user = await principalFromApiKey(apiKey.trim());
+  } else if (authorization) {
+    const match = authorization.match(/^Bearer\s+([A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+)$/i);
+    if (!match) {
+      throw unauthorized('Authorization header must be "Bearer <jwt>"');
+    }
+    req.user = principalFromJwt(match[1]);
+  }
+
+  // The audit trail records the authenticated principal, never a client-supplied name
+  if (req.user && req.context) {
+    req.context.actor = req.user.id;
+  }
+
+  next();
+}
+
+const hasRole = (user, role) => Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+
+/**
+ * Throws 401 for anonymous callers and 403 for callers whose role ranks below
+ * the given one. For checks that depend on the request, such as a query flag.
+ */
+function assertRole(req, role) {
+  if (!req.user) {
+    throw new HttpError(401, 'Authentication required', { code: 'UNAUTHORIZED' });
+  }
+  if (!hasRole(req.user, role)) {
+    throw new HttpError(403, `This action requires the ${role} role`, {
+      code: 'FORBIDDEN',
+      required_role: role,
+      role: req.user.role,
+    });
+  }
+}
+
+// Route middleware form of assertRole
+const requireRole = (role) => {
+  if (!ROLES.includes(role)) {
+    throw new Error(`Unknown role: ${role}`);
+  }
+  return (req, res, next) => {
+    assertRole(req, role);
+    next();
+  };
+};
+
+module.exports = {
+  ROLES,
+  generateApiKey,
+  authenticate,
+  hasRole,
+  assertRole,
+  requireRole,
+};
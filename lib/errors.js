@@ -0,0 +1,127 @@
+const config = require('../config');
+
+/**
+ * An error carrying the HTTP status and JSON body it should be answered with.
+ * Throw it from a route and the central error handler sends it.
+ */
+class HttpError extends Error {
+  constructor(status, message, extra = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.extra = extra;
+  }
+}
+
+// PostgreSQL SQLSTATE codes -> [HTTP status, machine-readable code, client message]
+const SQLSTATE_MAP = {
+  '23505': [409, 'UNIQUE_VIOLATION', 'A record with the same unique value already exists'],
+  '23503': [400, 'FOREIGN_KEY_VIOLATION', 'Referenced record does not exist'],
+  '23514': [400, 'CHECK_VIOLATION', 'Data violates database constraints (e.g., negative stock or zero price)'],
+  '23502': [400, 'NOT_NULL_VIOLATION', 'A required value is missing'],
+  '22P02': [400, 'INVALID_INPUT', 'A value has an invalid format'],
+  '22003': [400, 'NUMERIC_OUT_OF_RANGE', 'A numeric value is out of range'],
+  '22007': [400, 'INVALID_DATETIME', 'A date or time value has an invalid format'],
+  '22008': [400, 'INVALID_DATETIME', 'A date or time value is out of range'],
+  '22001': [400, 'VALUE_TOO_LONG', 'A value is too long for its column'],
+  '40001': [409, 'SERIALIZATION_FAILURE', 'The transaction conflicted with another one; retry the request'],
+  '40P01': [409, 'DEADLOCK_DETECTED', 'The transaction conflicted with another one; retry the request'],
+  '55P03': [409, 'LOCK_NOT_AVAILABLE', 'The record is locked by another transaction; retry the request'],
+  '57014': [503, 'QUERY_CANCELED', 'The query took too long and was canceled'],
+  '53300': [503, 'TOO_MANY_CONNECTIONS', 'The database is busy; retry the request'],
+};
+
+/**
+ * Maps an error to { status, body }. Database errors are translated from their
+ * SQLSTATE; anything unrecognised becomes a 500 without internal details.
+ */
+function toErrorResponse(err) {
+  if (err instanceof HttpError) {
+    return { status: err.status, body: { success: false, error: err.message, ...err.extra } };
+  }
+
+  // Malformed JSON and oversized bodies from express.json()
+  if (err.type === 'entity.parse.failed') {
+    return { status: 400, body: { success: false, error: 'Request body is not valid JSON', code: 'INVALID_JSON' } };
+  }
+  if (err.type === 'entity.too.large') {
+    return { status: 413, body: { success: false, error: 'Request body is too large', code: 'PAYLOAD_TOO_LARGE' } };
+  }
+
+  if (err.code === '23503' && /^update or delete on table/.test(err.message)) {
+    return {
+      status: 409,
+      body: {
+        success: false,
+        error: 'Record is still referenced by other records',
+        code: 'FOREIGN_KEY_VIOLATION',
+        constraint: err.constraint,
+      },
+    };
+  }
+
+  // Raised by the stock functions (migrations/015) when too little is available; the message names the stock code
+  if (err.code === 'IS001') {
+    return { status: 409, body: { success: false, error: err.message, code: 'INSUFFICIENT_STOCK' } };
+  }
+
+  // RAISE EXCEPTION in a trigger or function: the message is written for the client
+  if (err.code === 'P0001') {
+    return { status: 400, body: { success: false, error: err.message, code: 'BUSINESS_RULE_VIOLATION' } };
+  }
+
+  if (SQLSTATE_MAP[err.code]) {
+    const [status, code, message] = SQLSTATE_MAP[err.code];
+    const body = { success: false, error: message, code };
+    if (err.constraint) body.constraint = err.constraint;
+    if (err.column) body.column = err.column;
+    if (err.detail && status < 500) body.detail = err.detail;
+    return { status, body };
+  }
+
+  // Connection failures (class 08 or refused sockets) mean the database is unreachable
+  if ((typeof err.code === 'string' && err.code.startsWith('08')) || err.code === 'ECONNREFUSED') {
+    return { status: 503, body: { success: false, error: 'Database unavailable', code: 'DATABASE_UNAVAILABLE' } };
+  }
+
+  return {
+    status: 500,
+    body: {
+      success: false,
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR',
+      ...(config.isDevelopment && { message: err.message }),
+    },
+  };
+}
+
+function notFoundHandler(req, res) {
+  res.status(404).json({
+    success: false,
+    error: 'Endpoint not found',
+    code: 'NOT_FOUND',
+    documentation: '/api-docs',
+  });
+}
+
+// Express recognises error middleware by its four parameters, so next must stay
+function errorHandler(err, req, res, next) {
+  // A streamed response cannot be turned into a JSON error; let Express close it
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  const { status, body } = toErrorResponse(err);
+  if (status >= 500) {
+    console.error(`Unhandled error on ${req.method} ${req.originalUrl} (request ${req.id}):`, err);
+  }
+
+  res.status(status).json(body);
+}
+
+module.exports = {
+  HttpError,
+  toErrorResponse,
+  notFoundHandler,
+  errorHandler,
+};
@@ -0,0 +1,60 @@
+const QueryStream = require('pg-query-stream');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+
+const EXPORT_FORMATS = {
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8',
+};
+
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function createSerializer(format, columns) {
+  let headerWritten = false;
+
+  return new Transform({
+    writableObjectMode: true,
+    transform(row, encoding, callback) {
+      if (format === 'ndjson') {
+        return callback(null, `${JSON.stringify(row)}\n`);
+      }
+
+      let chunk = '';
+      if (!headerWritten) {
+        chunk += `${columns.join(',')}\n`;
+        headerWritten = true;
+      }
+      chunk += `${columns.map(column => csvField(row[column])).join(',')}\n`;
+      callback(null, chunk);
+    },
+    flush(callback) {
+      // An empty CSV export still gets its header line
+      callback(null, format === 'csv' && !headerWritten ? `${columns.join(',')}\n` : undefined);
+    },
+  });
+}
+
+/**
+ * Streams the rows of a query to the response as a CSV or NDJSON download.
+ * Rows are read through a server-side cursor in batches, so memory stays flat
+ * no matter how many rows match. The client must be a dedicated pool client.
+ */
+async function streamExport(client, res, { sql, params = [], columns, format, filename, batchSize = 1000 }) {
+  const timestamp = new Date().toISOString().slice(0, 19).replace(/[-:]/g, '');
+
+  res.setHeader('Content-Type', EXPORT_FORMATS[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}-${timestamp}.${format}"`);
+
+  const rows = client.query(new QueryStream(sql, params, { batchSize }));
+  await pipeline(rows, createSerializer(format, columns), res);
+}
+
+module.exports = {
+  streamExport,
+  EXPORT_FORMATS,
+};
@@ -0,0 +1,263 @@
+const config = require('../config');
+const { loadMigrations } = require('./migrations');
+
+// Database objects the routes cannot work without
+const REQUIRED_TABLES = [
+  'retail',
+  'products',
+  'orders',
+  'order_items',
+  'inventory',
+  'inventory_movements',
+  'low_stock_alerts',
+  'suppliers',
+  'purchase_orders',
+  'purchase_order_lines',
+  'webhook_subscriptions',
+  'webhook_deliveries',
+  'sales_rollup_daily',
+  'audit_log',
+  'api_keys',
+];
+
+const REQUIRED_FUNCTIONS = [
+  'get_monthly_sales',
+  'get_inventory_status',
+  'adjust_inventory',
+  'post_inventory_movement',
+  'reserve_stock',
+  'enqueue_webhook_event',
+];
+
+const REQUIRED_TRIGGERS = [
+  'trg_enforce_positive_values',
+  'trg_sales_rollup',
+  'trg_check_low_stock',
+  'trg_update_inventory_from_retail',
+  'trg_inventory_opening_balance',
+  'trg_reserve_order_stock',
+  'trg_apply_order_status',
+  'trg_release_order_stock',
+  'trg_products_row_version',
+  'trg_retail_row_version',
+  'trg_audit_products',
+  'trg_audit_retail',
+  'trg_audit_inventory',
+  'trg_audit_suppliers',
+  'trg_audit_purchase_orders',
+];
+
+// At or above this share of the pool in use, readiness reports a warning
+const POOL_WARN_UTILIZATION = 0.9;
+
+// Worst status wins: a single failing check makes the instance not ready
+const STATUS_ORDER = ['pass', 'warn', 'fail'];
+const worst = (statuses) => statuses.reduce((a, b) => (STATUS_ORDER.indexOf(b) > STATUS_ORDER.indexOf(a) ? b : a), 'pass');
+
+/*
+ * Runs one named check and times it. Checks resolve to { status, ...details };
+ * a check that throws is reported as failed with its SQLSTATE or socket code
+ * only, since probes are unauthenticated and driver messages can name hosts,
+ * roles and schema objects.
+ */
+async function runCheck(name, check) {
+  const startTime = Date.now();
+  try {
+    const result = await check();
+    return { ...result, duration_ms: Date.now() - startTime };
+  } catch (err) {
+    console.error(`Readiness check ${name} failed:`, err.message);
+    return {
+      status: 'fail',
+      duration_ms: Date.now() - startTime,
+      error: 'Check could not be completed',
+      ...(err.code ? { code: err.code } : {}),
+    };
+  }
+}
+
+/*
+ * Pool usage as seen before the probe takes a client of its own. Callers
+ * queueing for a client only warn: a burst briefly queues on a busy instance.
+ * An exhausted pool fails the database check instead, when the probe's own
+ * pool.connect() times out.
+ */
+function poolCheck(pool) {
+  const max = config.db.max;
+  const inUse = pool.totalCount - pool.idleCount;
+  const utilization = Number((inUse / max).toFixed(2));
+
+  const status = pool.waitingCount > 0 || utilization >= POOL_WARN_UTILIZATION ? 'warn' : 'pass';
+
+  return {
+    status,
+    total: pool.totalCount,
+    idle: pool.idleCount,
+    waiting: pool.waitingCount,
+    max,
+    utilization,
+  };
+}
+
+async function schemaCheck(client) {
+  const [tables, functions, triggers] = await Promise.all([
+    client.query(
+      'SELECT name FROM unnest($1::text[]) AS name WHERE to_regclass(name) IS NULL',
+      [REQUIRED_TABLES]
+    ),
+    client.query(
+      'SELECT DISTINCT proname FROM pg_proc WHERE proname = ANY($1) AND pg_function_is_visible(oid)',
+      [REQUIRED_FUNCTIONS]
+    ),
+    client.query(
+      "SELECT tgname, tgenabled <> 'D' AS enabled FROM pg_trigger WHERE tgname = ANY($1) AND NOT tgisinternal",
+      [REQUIRED_TRIGGERS]
+    ),
+  ]);
+
+  const foundFunctions = new Set(functions.rows.map(row => row.proname));
+  const enabledTriggers = new Set(triggers.rows.filter(row => row.enabled).map(row => row.tgname));
+
+  const missing = {
+    tables: tables.rows.map(row => row.name),
+    functions: REQUIRED_FUNCTIONS.filter(name => !foundFunctions.has(name)),
+    triggers: REQUIRED_TRIGGERS.filter(name => !enabledTriggers.has(name)),
+  };
+  const complete = Object.values(missing).every(names => names.length === 0);
+
+  return {
+    status: complete ? 'pass' : 'fail',
+    tables: REQUIRED_TABLES.length,
+    functions: REQUIRED_FUNCTIONS.length,
+    triggers: REQUIRED_TRIGGERS.length,
+    ...(complete ? {} : { missing }),
+  };
+}
+
+/*
+ * The database must be at the newest migration this build ships. A database
+ * that is ahead (rolled-back deploy) or whose applied files have since been
+ * edited still works, so those only warn.
+ */
+async function migrationCheck(client) {
+  const migrations = loadMigrations();
+  const expected = migrations.length ? migrations[migrations.length - 1].version : null;
+
+  const exists = await client.query("SELECT to_regclass('schema_migrations') IS NOT NULL AS exists");
+  if (!exists.rows[0].exists) {
+    return { status: 'fail', current_version: null, expected_version: expected, pending: migrations.length };
+  }
+
+  const result = await client.query('SELECT version, checksum FROM schema_migrations');
+  const applied = new Map(result.rows.map(row => [row.version, row.checksum]));
+
+  const pending = migrations.filter(migration => !applied.has(migration.version)).length;
+  const changed = migrations.filter(migration => applied.has(migration.version)
+    && applied.get(migration.version) !== migration.checksum).length;
+  const unknown = [...applied.keys()].filter(version => !migrations.some(migration => migration.version === version)).length;
+  const current = [...applied.keys()].sort((a, b) => parseInt(a) - parseInt(b)).pop() || null;
+
+  let status = 'pass';
+  if (pending > 0) status = 'fail';
+  else if (changed > 0 || unknown > 0) status = 'warn';
+
+  return {
+    status,
+    current_version: current,
+    expected_version: expected,
+    pending,
+    changed_since_applied: changed,
+    unknown_to_this_build: unknown,
+  };
+}
+
+/*
+ * On a standby, lag is the age of the last replayed transaction, which also
+ * grows while the primary is idle. On a primary, it is the largest replay lag
+ * among connected standbys. Either way lag only warns.
+ */
+async function replicationCheck(client) {
+  const maxLag = config.health.maxReplicationLagSeconds;
+  const recovery = await client.query(`
+    SELECT
+      pg_is_in_recovery() AS in_recovery,
+      EXTRACT(EPOCH FROM now() - pg_last_xact_replay_timestamp())::float AS replay_lag_seconds
+  `);
+  const { in_recovery: inRecovery, replay_lag_seconds: standbyLag } = recovery.rows[0];
+
+  if (inRecovery) {
+    const lag = standbyLag === null ? null : Number(standbyLag.toFixed(3));
+    return {
+      status: lag !== null && lag > maxLag ? 'warn' : 'pass',
+      role: 'standby',
+      lag_seconds: lag,
+      max_lag_seconds: maxLag,
+    };
+  }
+
+  const standbys = await client.query(`
+    SELECT application_name, state, EXTRACT(EPOCH FROM replay_lag)::float AS lag_seconds
+    FROM pg_stat_replication
+  `);
+  const lags = standbys.rows.map(row => row.lag_seconds).filter(lag => lag !== null);
+  const lag = lags.length ? Number(Math.max(...lags).toFixed(3)) : null;
+
+  return {
+    status: lag !== null && lag > maxLag ? 'warn' : 'pass',
+    role: 'primary',
+    standbys: standbys.rows.length,
+    lag_seconds: lag,
+    max_lag_seconds: maxLag,
+  };
+}
+
+/**
+ * Readiness: pool headroom, database connectivity, required tables, functions
+ * and triggers, migration version and replication lag. The checks share one
+ * client with a short statement timeout so a probe never holds more than one
+ * connection or hangs on a stuck lock. Resolves to { status, duration_ms, checks }
+ * where status is 'pass', 'warn' or 'fail'.
+ */
+async function checkReadiness(pool) {
+  const startTime = Date.now();
+  const checks = { pool: await runCheck('pool', async () => poolCheck(pool)) };
+
+  let client;
+  checks.database = await runCheck('database', async () => {
+    // Rejects after config.db.connectionTimeoutMillis when no client frees up
+    client = await pool.connect();
+    await client.query("SELECT set_config('statement_timeout', $1, false)", [String(config.health.checkTimeoutMs)]);
+    return { status: 'pass' };
+  });
+
+  if (client) {
+    let clientError;
+    try {
+      checks.schema = await runCheck('schema', () => schemaCheck(client));
+      checks.migrations = await runCheck('migrations', () => migrationCheck(client));
+      checks.replication = await runCheck('replication', () => replicationCheck(client));
+    } finally {
+      try {
+        await client.query('RESET statement_timeout');
+      } catch (err) {
+        // Never hand a client with the probe's timeout back to the pool
+        clientError = err;
+      }
+      client.release(clientError);
+    }
+  } else {
+    for (const name of ['schema', 'migrations', 'replication']) {
+      checks[name] = { status: 'fail', duration_ms: 0, error: 'Skipped: the database is unreachable' };
+    }
+  }
+
+  return {
+    status: worst(Object.values(checks).map(check => check.status)),
+    duration_ms: Date.now() - startTime,
+    checks,
+  };
+}
+
+module.exports = {
+  checkReadiness,
+};
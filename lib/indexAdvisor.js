@@ -0,0 +1,423 @@
+const crypto = require('crypto');
+const { explainInSandbox } = require('./querySandbox');
+const { summarizePlan } = require('./planSummary');
+const { serverVersionNum, statStatementsColumns } = require('./pgStats');
+
+// Below this many rows a sequential scan is cheap enough that no index is worth its upkeep
+const MIN_TABLE_ROWS = 10000;
+
+// Leading index columns with fewer distinct values than this rarely beat a sequential scan
+const MIN_DISTINCT_VALUES = 20;
+
+// How many of the most expensive statements in pg_stat_statements get their plans checked
+const STATEMENTS_TO_EXPLAIN = 10;
+
+// PostgreSQL limits identifiers to 63 bytes
+const MAX_IDENTIFIER_LENGTH = 63;
+
+// Equality and range filters the API's own endpoints put on each table
+const API_FILTERS = [
+  { table: 'retail', columns: ['invoice_no'], used_by: 'GET /api/retail?invoice_no, GET /api/invoices/:invoice_no' },
+  { table: 'retail', columns: ['stock_code'], used_by: 'GET /api/retail?stock_code' },
+  { table: 'retail', columns: ['customer_id'], used_by: 'GET /api/retail?customer_id, GET /api/customers/:id' },
+  { table: 'retail', columns: ['country'], used_by: 'GET /api/retail?country' },
+  { table: 'retail', columns: ['invoice_date'], used_by: 'GET /api/retail?date_from&date_to, GET /api/retail/sales/timeseries' },
+  { table: 'products', columns: ['category_id'], used_by: 'GET /api/products?category_id' },
+  { table: 'low_stock_alerts', columns: ['stock_code'], used_by: 'GET /api/retail/performance/low-stock-alerts?stock_code' },
+  { table: 'low_stock_alerts', columns: ['status', 'alert_time'], used_by: 'GET /api/retail/performance/low-stock-alerts?state' },
+  { table: 'audit_log', columns: ['table_name', 'entity_id', 'changed_at'], used_by: 'GET /api/audit?table&entity_id' },
+];
+
+const quoteIdent = (name) => `"${name.replace(/"/g, '""')}"`;
+
+const recommendationId = (statement) => crypto.createHash('sha256').update(statement).digest('hex').slice(0, 12);
+
+const isPrefix = (prefix, list) => prefix.length <= list.length && prefix.every((column, i) => list[i] === column);
+
+async function loadCatalog(db) {
+  const [tables, columns, indexes, statsSince] = await Promise.all([
+    db.query(`
+      SELECT c.oid, n.nspname AS schema, c.relname AS table_name, c.reltuples::bigint AS row_estimate
+      FROM pg_class c
+      JOIN pg_namespace n ON n.oid = c.relnamespace
+      WHERE c.relkind IN ('r', 'p') AND n.nspname NOT IN ('pg_catalog', 'information_schema')
+        AND n.nspname NOT LIKE 'pg_toast%' AND pg_table_is_visible(c.oid)
+    `),
+    db.query(`
+      SELECT a.attrelid AS table_oid, a.attname AS column_name, s.n_distinct, s.avg_width
+      FROM pg_attribute a
+      JOIN pg_class c ON c.oid = a.attrelid
+      JOIN pg_namespace n ON n.oid = c.relnamespace
+      LEFT JOIN pg_stats s ON s.schemaname = n.nspname AND s.tablename = c.relname AND s.attname = a.attname
+      WHERE c.relkind IN ('r', 'p') AND a.attnum > 0 AND NOT a.attisdropped
+        AND n.nspname NOT IN ('pg_catalog', 'information_schema') AND pg_table_is_visible(c.oid)
+    `),
+    db.query(`
+      SELECT
+        i.indrelid AS table_oid,
+        n.nspname AS schema,
+        ic.relname AS index_name,
+        am.amname AS method,
+        ARRAY(
+          SELECT COALESCE(a.attname::text, '(expression)')
+          FROM unnest(i.indkey::int2[]) WITH ORDINALITY AS k(attnum, ord)
+          LEFT JOIN pg_attribute a ON a.attrelid = i.indrelid AND a.attnum = k.attnum
+          WHERE k.ord <= i.indnkeyatts
+          ORDER BY k.ord
+        ) AS key_columns,
+        i.indclass::text AS opclasses,
+        i.indisunique OR i.indisprimary AS is_unique,
+        EXISTS (SELECT 1 FROM pg_constraint con WHERE con.conindid = i.indexrelid) AS backs_constraint,
+        i.indisvalid AS is_valid,
+        i.indexprs IS NOT NULL AS has_expressions,
+        pg_get_expr(i.indpred, i.indrelid) AS predicate,
+        COALESCE(s.idx_scan, 0) AS scans,
+        pg_relation_size(i.indexrelid) AS size_bytes,
+        pg_get_indexdef(i.indexrelid) AS definition
+      FROM pg_index i
+      JOIN pg_class ic ON ic.oid = i.indexrelid
+      JOIN pg_namespace n ON n.oid = ic.relnamespace
+      JOIN pg_am am ON am.oid = ic.relam
+      LEFT JOIN pg_stat_user_indexes s ON s.indexrelid = i.indexrelid
+      WHERE n.nspname NOT IN ('pg_catalog', 'information_schema') AND n.nspname NOT LIKE 'pg_toast%'
+    `),
+    db.query('SELECT stats_reset FROM pg_stat_database WHERE datname = current_database()'),
+  ]);
+
+  const byOid = new Map();
+  for (const table of tables.rows) {
+    byOid.set(table.oid, { ...table, row_estimate: Number(table.row_estimate), columns: new Map(), indexes: [] });
+  }
+  for (const column of columns.rows) {
+    const table = byOid.get(column.table_oid);
+    if (table) table.columns.set(column.column_name, column);
+  }
+  for (const index of indexes.rows) {
+    const table = byOid.get(index.table_oid);
+    if (table) table.indexes.push({ ...index, scans: Number(index.scans), size_bytes: Number(index.size_bytes) });
+  }
+
+  return {
+    tables: new Map([...byOid.values()].map(table => [table.table_name, table])),
+    statsSince: statsSince.rows[0] ? statsSince.rows[0].stats_reset : null,
+  };
+}
+
+function dropRecommendation(table, index, reason, evidence) {
+  const statement = `DROP INDEX CONCURRENTLY IF EXISTS ${quoteIdent(index.schema)}.${quoteIdent(index.index_name)}`;
+  return {
+    id: recommendationId(statement),
+    action: 'drop',
+    schema: index.schema,
+    table: table.table_name,
+    index_name: index.index_name,
+    columns: index.key_columns,
+    reason,
+    evidence: { definition: index.definition, scans: index.scans, ...evidence },
+    size_bytes: index.size_bytes,
+    statement,
+  };
+}
+
+// Indexes nobody can safely drop: they enforce a constraint or uniqueness
+const isDroppable = (index) => !index.is_unique && !index.backs_constraint;
+
+function findDropCandidates(table) {
+  const recommendations = [];
+  const dropped = new Set();
+  // Indexes other drops rely on; they stay even when unused
+  const keep = new Set();
+
+  const drop = (index, reason, evidence = {}) => {
+    if (dropped.has(index.index_name) || keep.has(index.index_name)) return;
+    dropped.add(index.index_name);
+    if (evidence.covered_by) keep.add(evidence.covered_by);
+    recommendations.push(dropRecommendation(table, index, reason, evidence));
+  };
+
+  for (const index of table.indexes) {
+    if (!index.is_valid) {
+      drop(index, 'Invalid index, usually left behind by a failed CREATE INDEX CONCURRENTLY; '
+        + 'it is maintained on every write but never used');
+    }
+  }
+
+  const comparable = table.indexes.filter(index => index.is_valid && !index.has_expressions);
+  const sameKind = (index, other) => other !== index && !dropped.has(other.index_name)
+    && other.method === index.method && other.predicate === index.predicate;
+
+  for (const index of comparable) {
+    if (!isDroppable(index)) continue;
+
+    // A btree whose keys (and operator classes) lead a wider btree's answers nothing the wider one cannot
+    const wider = index.method === 'btree' && comparable.find(other => sameKind(index, other)
+      && other.key_columns.length > index.key_columns.length
+      && isPrefix(index.key_columns, other.key_columns)
+      && isPrefix(index.opclasses.split(' '), other.opclasses.split(' ')));
+    if (wider) {
+      drop(index, `Redundant: ${wider.index_name} (${wider.key_columns.join(', ')}) starts with the same columns`,
+        { covered_by: wider.index_name });
+      continue;
+    }
+
+    // Of identical twins keep the one enforcing a constraint, else the busier, else the first by name
+    const twin = comparable.find(other => sameKind(index, other)
+      && other.key_columns.join() === index.key_columns.join()
+      && other.opclasses === index.opclasses
+      && (!isDroppable(other) || other.scans > index.scans
+        || (other.scans === index.scans && other.index_name < index.index_name)));
+    if (twin) {
+      drop(index, `Duplicate of ${twin.index_name}`, { covered_by: twin.index_name });
+    }
+  }
+
+  for (const index of table.indexes) {
+    if (index.scans === 0 && index.is_valid && isDroppable(index)) {
+      drop(index, 'Never used by a scan since statistics were last reset');
+    }
+  }
+
+  return recommendations;
+}
+
+// Leaf tuple size for an index on these columns, plus btree's roughly 10% free space
+function estimateIndexSize(table, columns) {
+  const width = columns.reduce((sum, column) => sum + ((table.columns.get(column) || {}).avg_width || 8), 0);
+  return Math.round(table.row_estimate * (width + 8 + 4) / 0.9);
+}
+
+function distinctValues(table, column) {
+  const stats = table.columns.get(column);
+  if (!stats || stats.n_distinct === null) return null;
+  // Negative n_distinct is a fraction of the row count
+  return stats.n_distinct < 0 ? Math.round(-stats.n_distinct * table.row_estimate) : Math.round(stats.n_distinct);
+}
+
+/**
+ * Turns a wanted (table, columns) into a CREATE INDEX recommendation, or null
+ * when the table is small, an existing index already leads with those columns
+ * or the leading column is too unselective to be worth it.
+ */
+function createRecommendation(tables, { table: tableName, columns, reason, evidence }) {
+  const table = tables.get(tableName);
+  if (!table || table.row_estimate < MIN_TABLE_ROWS) return null;
+  if (!columns.every(column => table.columns.has(column))) return null;
+
+  const covered = table.indexes.some(index => index.is_valid && !index.predicate && !index.has_expressions
+    && index.method === 'btree' && isPrefix(columns, index.key_columns));
+  if (covered) return null;
+
+  const distinct = distinctValues(table, columns[0]);
+  if (distinct !== null && distinct < MIN_DISTINCT_VALUES) return null;
+
+  const indexName = `${tableName}_${columns.join('_')}_idx`.slice(0, MAX_IDENTIFIER_LENGTH);
+  const statement = `CREATE INDEX CONCURRENTLY IF NOT EXISTS ${quoteIdent(indexName)} `
+    + `ON ${quoteIdent(table.schema)}.${quoteIdent(tableName)} (${columns.map(quoteIdent).join(', ')})`;
+
+  return {
+    id: recommendationId(statement),
+    action: 'create',
+    schema: table.schema,
+    table: tableName,
+    index_name: indexName,
+    columns,
+    reason,
+    evidence: {
+      table_rows: table.row_estimate,
+      distinct_values: distinct,
+      ...(distinct === null && { note: 'No column statistics; run ANALYZE for a better estimate' }),
+      ...evidence,
+    },
+    estimated_size_bytes: estimateIndexSize(table, columns),
+    statement,
+  };
+}
+
+/**
+ * Column names a plan Filter compares against a value, equality comparisons
+ * first, e.g. "((country)::text = 'France'::text) AND (invoice_date >= $1)"
+ * gives ['country', 'invoice_date']. At most one range column is kept, since
+ * a btree cannot use the columns after it.
+ */
+function filterColumns(filter, knownColumns) {
+  const equality = [];
+  const range = [];
+  const pattern = /\(*"?([A-Za-z_][A-Za-z0-9_]*)"?\)?(?:::[A-Za-z ]+)?\s+(=|<=|>=|<|>)\s/g;
+
+  for (const [, column, operator] of filter.matchAll(pattern)) {
+    if (!knownColumns.has(column) || equality.includes(column) || range.includes(column)) continue;
+    (operator === '=' ? equality : range).push(column);
+  }
+
+  return [...equality, ...range.slice(0, 1)].slice(0, 3);
+}
+
+// The most expensive read statements, explained in the sandbox, as wanted indexes
+async function planCandidates(db, tables, notes) {
+  const stat = await statStatementsColumns(db);
+  if (!stat) {
+    notes.push('pg_stat_statements is not installed; only the API filter list and index statistics were used');
+    return [];
+  }
+
+  const canPlanGeneric = (await serverVersionNum(db)) >= 160000;
+  const statements = await db.query(`
+    SELECT query, calls, ${stat.totalTime} AS total_time_ms, ${stat.meanTime} AS mean_time_ms
+    FROM ${stat.view}
+    WHERE dbid = (SELECT oid FROM pg_database WHERE datname = current_database())
+      AND query ~* '^\\s*(select|with)\\s'
+    ORDER BY ${stat.totalTime} DESC
+    LIMIT ${STATEMENTS_TO_EXPLAIN}
+  `);
+
+  const tableRows = Object.fromEntries([...tables.values()].map(table => [table.table_name, table.row_estimate]));
+  const wanted = [];
+  let skippedParameterized = 0;
+
+  for (const statement of statements.rows) {
+    const parameterized = /\$\d/.test(statement.query);
+    if (parameterized && !canPlanGeneric) {
+      skippedParameterized++;
+      continue;
+    }
+
+    let summary;
+    try {
+      const { plan } = await explainInSandbox(statement.query, { generic: parameterized });
+      summary = summarizePlan(plan, { tableRows });
+    } catch (err) {
+      if (err.extra && err.extra.code === 'SANDBOX_UNAVAILABLE') {
+        notes.push('The query sandbox is not configured, so statement plans were not analyzed');
+        return wanted;
+      }
+      // Statements the sandbox refuses or cannot plan are simply not evidence
+      continue;
+    }
+
+    for (const warning of summary.warnings.filter(w => w.type === 'SEQ_SCAN_LARGE_TABLE')) {
+      const node = summary.nodes.find(n => n.id === warning.node_id);
+      const table = tables.get(warning.relation);
+      if (!node.filter || !table) continue;
+
+      const columns = filterColumns(node.filter, table.columns);
+      if (columns.length === 0) continue;
+
+      wanted.push({
+        table: warning.relation,
+        columns,
+        reason: `Sequential scan of ${warning.relation} filtering on ${node.filter} in one of the most expensive statements`,
+        evidence: {
+          query: statement.query.slice(0, 500),
+          calls: Number(statement.calls),
+          total_time_ms: Number(statement.total_time_ms),
+          mean_time_ms: Number(statement.mean_time_ms),
+        },
+      });
+    }
+  }
+
+  if (skippedParameterized > 0) {
+    notes.push(`${skippedParameterized} parameterized statement(s) were not planned; generic plans need PostgreSQL 16`);
+  }
+
+  return wanted;
+}
+
+/**
+ * Recommends indexes to create, from the API's known filters and from
+ * sequential scans in the most expensive statements, and indexes to drop:
+ * invalid, duplicate, redundant or never scanned ones. Nothing is executed.
+ */
+async function adviseIndexes(db, { explainStatements = true } = {}) {
+  const notes = [];
+  const { tables, statsSince } = await loadCatalog(db);
+
+  const wanted = API_FILTERS.map(filter => ({
+    table: filter.table,
+    columns: filter.columns,
+    reason: `Filter used by ${filter.used_by} has no index`,
+  }));
+  if (explainStatements) {
+    wanted.push(...await planCandidates(db, tables, notes));
+  }
+
+  const recommendations = [];
+  const seen = new Set();
+  for (const candidate of wanted) {
+    const recommendation = createRecommendation(tables, candidate);
+    if (recommendation && !seen.has(recommendation.id)) {
+      seen.add(recommendation.id);
+      recommendations.push(recommendation);
+    }
+  }
+
+  for (const table of tables.values()) {
+    recommendations.push(...findDropCandidates(table));
+  }
+
+  if (statsSince) {
+    notes.push(`Index scan counts cover activity since ${new Date(statsSince).toISOString()}`);
+  }
+
+  return { recommendations, notes, stats_since: statsSince };
+}
+
+/*
+ * Writes one apply attempt to audit_log, after the statement has finished so a
+ * failure is recorded too. The DDL cannot share a transaction with this insert,
+ * so the actor and request id are written explicitly rather than through the
+ * audit session settings.
+ */
+async function recordApplyAttempt(db, recommendation, { actor, requestId }, outcome) {
+  await db.query(`
+    INSERT INTO audit_log (table_name, entity_id, operation, new_row, actor, request_id)
+    VALUES ('indexes', $1, $2, $3, $4, $5)
+  `, [
+    `${recommendation.schema}.${recommendation.index_name}`,
+    recommendation.action.toUpperCase(),
+    {
+      recommendation_id: recommendation.id,
+      table: recommendation.table,
+      statement: recommendation.statement,
+      ...outcome,
+    },
+    actor,
+    requestId,
+  ]);
+}
+
+/**
+ * Runs a recommendation's statement. CONCURRENTLY cannot run inside a
+ * transaction, so it gets a connection of its own; a CREATE that fails
+ * midway leaves an invalid index, which is dropped again. Every attempt is
+ * recorded in audit_log against the given actor and request id.
+ */
+async function applyRecommendation(db, recommendation, { actor, requestId }) {
+  const client = await db.connect();
+  const startTime = Date.now();
+  let outcome;
+
+  try {
+    await client.query(recommendation.statement);
+    outcome = { outcome: 'applied', duration_ms: Date.now() - startTime };
+    return { duration_ms: outcome.duration_ms };
+  } catch (err) {
+    outcome = { outcome: 'failed', duration_ms: Date.now() - startTime, error: err.message, code: err.code || null };
+    if (recommendation.action === 'create') {
+      const name = `${quoteIdent(recommendation.schema)}.${quoteIdent(recommendation.index_name)}`;
+      await client.query(`DROP INDEX CONCURRENTLY IF EXISTS ${name}`)
+        .catch(cleanupErr => console.error(`Failed to drop invalid index ${name}:`, cleanupErr.message));
+    }
+    throw err;
+  } finally {
+    client.release();
+    // The statement's own result matters more to the caller than a lost audit entry
+    await recordApplyAttempt(db, recommendation, { actor, requestId }, outcome)
+      .catch(auditErr => console.error(`Failed to audit ${recommendation.statement}:`, auditErr.message));
+  }
+}
+
+module.exports = {
+  adviseIndexes,
+  applyRecommendation,
+};
@@ -0,0 +1,149 @@
+/*
+ * Just enough of the Prometheus text exposition format (version 0.0.4) for
+ * the counters, histograms and gauges this API exports.
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Request latency buckets in seconds
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+const header = (name, help, type) => `# HELP ${name} ${help}\n# TYPE ${name} ${type}\n`;
+
+// Label values in a fixed order, usable as a Map key
+const labelKey = (labelNames, labels) => JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+
+class Counter {
+  constructor(name, help, labelNames = []) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.values = new Map();
+  }
+
+  inc(labels = {}, value = 1) {
+    const key = labelKey(this.labelNames, labels);
+    const entry = this.values.get(key) || { labels, value: 0 };
+    entry.value += value;
+    this.values.set(key, entry);
+  }
+
+  render() {
+    let text = header(this.name, this.help, 'counter');
+    for (const { labels, value } of this.values.values()) {
+      text += `${this.name}${formatLabels(labels)} ${value}\n`;
+    }
+    return text;
+  }
+}
+
+class Histogram {
+  constructor(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.buckets = buckets;
+    this.values = new Map();
+  }
+
+  observe(labels, value) {
+    const key = labelKey(this.labelNames, labels);
+    let entry = this.values.get(key);
+    if (!entry) {
+      entry = { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.values.set(key, entry);
+    }
+
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) entry.counts[i]++;
+    });
+    entry.sum += value;
+    entry.count++;
+  }
+
+  render() {
+    let text = header(this.name, this.help, 'histogram');
+    for (const { labels, counts, sum, count } of this.values.values()) {
+      this.buckets.forEach((bound, i) => {
+        text += `${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}\n`;
+      });
+      text += `${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}\n`;
+      text += `${this.name}_sum${formatLabels(labels)} ${sum}\n`;
+      text += `${this.name}_count${formatLabels(labels)} ${count}\n`;
+    }
+    return text;
+  }
+}
+
+// A gauge read at scrape time; samples is a list of { labels, value }
+function renderGauge(name, help, samples) {
+  let text = header(name, help, 'gauge');
+  for (const { labels = {}, value } of samples) {
+    if (value === null || value === undefined) continue;
+    text += `${name}${formatLabels(labels)} ${Number(value)}\n`;
+  }
+  return text;
+}
+
+const httpRequests = new Counter(
+  'http_requests_total',
+  'HTTP requests handled, by method, route and status code',
+  ['method', 'route', 'status']
+);
+
+const httpDuration = new Histogram(
+  'http_request_duration_seconds',
+  'HTTP request latency in seconds, by method and route',
+  ['method', 'route']
+);
+
+/*
+ * The route label is the matched route pattern (/api/products/:id), never the
+ * raw URL, so ids and query strings cannot blow up the number of series.
+ * Express restores req.baseUrl when an error leaves a router, so the mount
+ * path is captured at the moment the router assigns req.route.
+ */
+function trackRoute(req) {
+  let route;
+  Object.defineProperty(req, 'route', {
+    configurable: true,
+    enumerable: true,
+    get: () => route,
+    set: (value) => {
+      route = value;
+      req.metricsRoute = value.path === '/' && req.baseUrl ? req.baseUrl : `${req.baseUrl}${value.path}`;
+    },
+  });
+}
+
+// Express middleware recording every request's count and latency once the response is sent
+function httpMetrics(req, res, next) {
+  const start = process.hrtime.bigint();
+  trackRoute(req);
+
+  res.on('finish', () => {
+    const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+    const route = req.metricsRoute || 'unmatched';
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    httpDuration.observe({ method: req.method, route }, seconds);
+  });
+
+  next();
+}
+
+const renderHttpMetrics = () => httpRequests.render() + httpDuration.render();
+
+module.exports = {
+  CONTENT_TYPE,
+  renderGauge,
+  httpMetrics,
+  renderHttpMetrics,
+};
@@ -0,0 +1,179 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATIONS_TABLE = 'schema_migrations';
+
+// Arbitrary key for pg_advisory_lock so two migrate runs never interleave
+const MIGRATION_LOCK_KEY = 48151623;
+
+const FILE_PATTERN = /^(\d+)_(.+)\.(up|down)\.sql$/;
+
+/**
+ * Reads migrations/NNN_name.up.sql (and its matching .down.sql) in version order.
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = new Map();
+
+  for (const file of fs.readdirSync(dir)) {
+    const match = file.match(FILE_PATTERN);
+    if (!match) continue;
+
+    const [, version, name, direction] = match;
+    if (!migrations.has(version)) {
+      migrations.set(version, { version, name });
+    }
+    migrations.get(version)[direction] = fs.readFileSync(path.join(dir, file), 'utf8');
+  }
+
+  return [...migrations.values()]
+    .map(migration => {
+      if (!migration.up) {
+        throw new Error(`Migration ${migration.version}_${migration.name} has no .up.sql file`);
+      }
+      return {
+        ...migration,
+        checksum: crypto.createHash('sha256').update(migration.up).digest('hex'),
+      };
+    })
+    .sort((a, b) => parseInt(a.version) - parseInt(b.version));
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS ${MIGRATIONS_TABLE} (
+      version    VARCHAR(20) PRIMARY KEY,
+      name       TEXT        NOT NULL,
+      checksum   CHAR(64)    NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    )
+  `);
+}
+
+async function getAppliedMigrations(client) {
+  const result = await client.query(
+    `SELECT version, name, checksum, applied_at FROM ${MIGRATIONS_TABLE} ORDER BY version::int`
+  );
+  return result.rows;
+}
+
+/**
+ * Applied and pending migrations side by side, flagging applied files whose
+ * contents changed since they ran.
+ */
+async function getMigrationStatus(client, migrations = loadMigrations()) {
+  await ensureMigrationsTable(client);
+  const applied = new Map((await getAppliedMigrations(client)).map(row => [row.version, row]));
+
+  const status = migrations.map(migration => {
+    const row = applied.get(migration.version);
+    return {
+      version: migration.version,
+      name: migration.name,
+      applied: Boolean(row),
+      applied_at: row ? row.applied_at : null,
+      checksum_mismatch: Boolean(row && row.checksum !== migration.checksum),
+    };
+  });
+
+  // Rows recorded in the database whose files no longer exist
+  for (const row of applied.values()) {
+    if (!migrations.some(migration => migration.version === row.version)) {
+      status.push({
+        version: row.version,
+        name: row.name,
+        applied: true,
+        applied_at: row.applied_at,
+        missing_file: true,
+      });
+    }
+  }
+
+  const current = status.filter(entry => entry.applied).pop();
+  return { current_version: current ? current.version : null, migrations: status };
+}
+
+async function withMigrationLock(client, fn) {
+  await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+  try {
+    await ensureMigrationsTable(client);
+    return await fn();
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]);
+  }
+}
+
+async function runInTransaction(client, fn) {
+  await client.query('BEGIN');
+  try {
+    await fn();
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  }
+}
+
+/**
+ * Applies pending migrations up to and including `to` (all when omitted),
+ * each in its own transaction. Returns the migrations that were applied.
+ */
+async function migrateUp(client, { to, migrations = loadMigrations(), log = () => {} } = {}) {
+  return withMigrationLock(client, async () => {
+    const applied = new Set((await getAppliedMigrations(client)).map(row => row.version));
+    const pending = migrations.filter(migration =>
+      !applied.has(migration.version) && (to === undefined || parseInt(migration.version) <= parseInt(to))
+    );
+
+    for (const migration of pending) {
+      log(`Applying ${migration.version}_${migration.name}`);
+      await runInTransaction(client, async () => {
+        await client.query(migration.up);
+        await client.query(
+          `INSERT INTO ${MIGRATIONS_TABLE} (version, name, checksum) VALUES ($1, $2, $3)`,
+          [migration.version, migration.name, migration.checksum]
+        );
+      });
+    }
+
+    return pending;
+  });
+}
+
+/**
+ * Reverts the most recent `steps` applied migrations, or all above `to` when given.
+ */
+async function migrateDown(client, { steps = 1, to, migrations = loadMigrations(), log = () => {} } = {}) {
+  return withMigrationLock(client, async () => {
+    const byVersion = new Map(migrations.map(migration => [migration.version, migration]));
+    const applied = (await getAppliedMigrations(client)).reverse();
+
+    const targets = to === undefined
+      ? applied.slice(0, steps)
+      : applied.filter(row => parseInt(row.version) > parseInt(to));
+
+    for (const row of targets) {
+      const migration = byVersion.get(row.version);
+      if (!migration || !migration.down) {
+        throw new Error(`Migration ${row.version}_${row.name} cannot be reverted: no .down.sql file`);
+      }
+
+      log(`Reverting ${migration.version}_${migration.name}`);
+      await runInTransaction(client, async () => {
+        await client.query(migration.down);
+        await client.query(`DELETE FROM ${MIGRATIONS_TABLE} WHERE version = $1`, [migration.version]);
+      });
+    }
+
+    return targets;
+  });
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  getMigrationStatus,
+  migrateUp,
+  migrateDown,
+};
@@ -0,0 +1,215 @@
+/*
+ * Helpers for reading PostgreSQL's statistics views across server versions.
+ * Column names have moved between releases, so they are detected at runtime
+ * rather than assumed.
+ */
+
+// e.g. 160002 for 16.2
+async function serverVersionNum(client) {
+  const result = await client.query('SHOW server_version_num');
+  return parseInt(result.rows[0].server_version_num);
+}
+
+/**
+ * Describes the pg_stat_statements view, or resolves to null when the
+ * extension is not installed in this database. PostgreSQL 13 renamed
+ * total_time/mean_time/min_time/max_time to *_exec_time.
+ */
+async function statStatementsColumns(client) {
+  const result = await client.query(`
+    SELECT quote_ident(n.nspname) || '.pg_stat_statements' AS view, array_agg(a.attname::text) AS columns
+    FROM pg_extension e
+    JOIN pg_namespace n ON n.oid = e.extnamespace
+    JOIN pg_class c ON c.relnamespace = n.oid AND c.relname = 'pg_stat_statements'
+    JOIN pg_attribute a ON a.attrelid = c.oid AND a.attnum > 0 AND NOT a.attisdropped
+    WHERE e.extname = 'pg_stat_statements'
+    GROUP BY n.nspname
+  `);
+
+  if (result.rows.length === 0) return null;
+
+  const { view, columns } = result.rows[0];
+  const pick = (modern, legacy) => (columns.includes(modern) ? modern : legacy);
+
+  return {
+    view,
+    totalTime: pick('total_exec_time', 'total_time'),
+    meanTime: pick('mean_exec_time', 'mean_time'),
+    minTime: pick('min_exec_time', 'min_time'),
+    maxTime: pick('max_exec_time', 'max_time'),
+    hasSharedBlocks: columns.includes('shared_blks_hit'),
+  };
+}
+
+// A glob such as "retail*" or "order_?tems" as a LIKE pattern, with LIKE's own wildcards escaped
+const globToLike = (glob) => glob.replace(/[\\%_]/g, '\\$&').replace(/\*/g, '%').replace(/\?/g, '_');
+
+/**
+ * WHERE conditions restricting a statistics view to one schema and/or to
+ * tables whose name matches a glob. Values are appended to params.
+ */
+function tableConditions({ schema, table } = {}, params, { schemaColumn = 'schemaname', tableColumn = 'relname' } = {}) {
+  const conditions = [];
+  if (schema) {
+    params.push(schema);
+    conditions.push(`${schemaColumn} = $${params.length}`);
+  }
+  if (table) {
+    params.push(globToLike(table));
+    conditions.push(`${tableColumn} LIKE $${params.length}`);
+  }
+  return conditions;
+}
+
+/**
+ * Sizes, scan counts, vacuum history and an estimate of bloat for every user
+ * table matching the filters. Bloat compares the pages a table occupies with
+ * the pages its live rows would need at their average width and fillfactor;
+ * it ignores alignment padding, so treat it as a rough guide, and it is null
+ * until the table has been analyzed.
+ */
+async function tableMetrics(client, filters) {
+  const params = [];
+  const conditions = tableConditions(filters, params, { schemaColumn: 's.schemaname', tableColumn: 's.relname' });
+
+  const result = await client.query(`
+    WITH row_widths AS (
+      SELECT schemaname, tablename, SUM(avg_width) AS row_width
+      FROM pg_stats
+      GROUP BY schemaname, tablename
+    ),
+    tables AS (
+      SELECT
+        s.*,
+        c.relpages,
+        c.reltuples,
+        w.row_width,
+        COALESCE((
+          SELECT option_value::int FROM pg_options_to_table(c.reloptions) WHERE option_name = 'fillfactor'
+        ), 100) AS fillfactor,
+        current_setting('block_size')::int AS block_size
+      FROM pg_stat_user_tables s
+      JOIN pg_class c ON c.oid = s.relid
+      LEFT JOIN row_widths w ON w.schemaname = s.schemaname AND w.tablename = s.relname
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ),
+    estimates AS (
+      SELECT
+        *,
+        -- 24 byte tuple header and 4 byte line pointer per row, 24 byte page header per page
+        CEIL(GREATEST(reltuples, 0) * (24 + row_width + 4) / ((block_size - 24) * fillfactor / 100.0)) AS expected_pages
+      FROM tables
+    )
+    SELECT
+      schemaname AS schema,
+      relname AS table_name,
+      pg_total_relation_size(relid) AS total_bytes,
+      pg_table_size(relid) AS table_bytes,
+      pg_indexes_size(relid) AS index_bytes,
+      pg_size_pretty(pg_total_relation_size(relid)) AS total_size,
+      pg_size_pretty(pg_table_size(relid)) AS table_size,
+      pg_size_pretty(pg_indexes_size(relid)) AS index_size,
+      n_live_tup AS live_rows,
+      n_dead_tup AS dead_rows,
+      ROUND(n_dead_tup * 100.0 / NULLIF(n_live_tup + n_dead_tup, 0), 2) AS dead_row_pct,
+      seq_scan AS seq_scans,
+      seq_tup_read AS seq_rows_read,
+      COALESCE(idx_scan, 0) AS index_scans,
+      COALESCE(idx_tup_fetch, 0) AS index_rows_fetched,
+      ROUND(seq_scan * 100.0 / NULLIF(seq_scan + COALESCE(idx_scan, 0), 0), 2) AS seq_scan_pct,
+      CASE WHEN expected_pages IS NOT NULL
+        THEN GREATEST(relpages - expected_pages, 0)::bigint * block_size
+      END AS estimated_bloat_bytes,
+      CASE WHEN expected_pages IS NOT NULL AND relpages > 0
+        THEN ROUND(GREATEST(relpages - expected_pages, 0) * 100.0 / relpages, 2)
+      END AS estimated_bloat_pct,
+      last_vacuum,
+      last_autovacuum,
+      GREATEST(last_analyze, last_autoanalyze) AS last_analyze
+    FROM estimates
+    ORDER BY pg_total_relation_size(relid) DESC
+  `, params);
+
+  return result.rows;
+}
+
+/**
+ * Scan counts, sizes and a bloat estimate for every index on the matching
+ * tables. The estimate assumes a btree at its default 90% fillfactor and is
+ * null for other index types and for expression indexes.
+ */
+async function indexMetrics(client, filters) {
+  const params = [];
+  const conditions = tableConditions(filters, params, { schemaColumn: 's.schemaname', tableColumn: 's.relname' });
+
+  const result = await client.query(`
+    WITH indexes AS (
+      SELECT
+        s.*,
+        i.indisunique,
+        i.indisprimary,
+        i.indisvalid,
+        am.amname,
+        ic.relpages,
+        ic.reltuples,
+        current_setting('block_size')::int AS block_size,
+        CASE WHEN i.indexprs IS NULL THEN (
+          SELECT SUM(st.avg_width)
+          FROM unnest(i.indkey::int2[]) AS k(attnum)
+          JOIN pg_attribute a ON a.attrelid = i.indrelid AND a.attnum = k.attnum
+          JOIN pg_stats st ON st.schemaname = s.schemaname AND st.tablename = s.relname AND st.attname = a.attname
+        ) END AS key_width
+      FROM pg_stat_user_indexes s
+      JOIN pg_index i ON i.indexrelid = s.indexrelid
+      JOIN pg_class ic ON ic.oid = s.indexrelid
+      JOIN pg_am am ON am.oid = ic.relam
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ),
+    estimates AS (
+      SELECT
+        *,
+        -- 8 byte index tuple header and 4 byte line pointer per entry; 24 byte header and 16 byte btree special space per page
+        CASE WHEN amname = 'btree' THEN
+          CEIL(GREATEST(reltuples, 0) * (8 + key_width + 4) / ((block_size - 24 - 16) * 0.9)) + 1
+        END AS expected_pages
+      FROM indexes
+    )
+    SELECT
+      schemaname AS schema,
+      relname AS table_name,
+      indexrelname AS index_name,
+      amname AS method,
+      indisunique AS is_unique,
+      indisprimary AS is_primary,
+      indisvalid AS is_valid,
+      idx_scan AS scans,
+      idx_tup_read AS rows_read,
+      idx_tup_fetch AS rows_fetched,
+      pg_relation_size(indexrelid) AS index_bytes,
+      pg_size_pretty(pg_relation_size(indexrelid)) AS index_size,
+      CASE
+        WHEN NOT indisvalid THEN 'INVALID'
+        WHEN idx_scan = 0 THEN 'UNUSED'
+        WHEN idx_scan < 50 THEN 'LOW_USAGE'
+        ELSE 'ACTIVE'
+      END AS usage_status,
+      CASE WHEN expected_pages IS NOT NULL
+        THEN GREATEST(relpages - expected_pages, 0)::bigint * block_size
+      END AS estimated_bloat_bytes,
+      CASE WHEN expected_pages IS NOT NULL AND relpages > 0
+        THEN ROUND(GREATEST(relpages - expected_pages, 0) * 100.0 / relpages, 2)
+      END AS estimated_bloat_pct
+    FROM estimates
+    ORDER BY relname, idx_scan DESC
+  `, params);
+
+  return result.rows;
+}
+
+module.exports = {
+  serverVersionNum,
+  statStatementsColumns,
+  tableConditions,
+  tableMetrics,
+  indexMetrics,
+};
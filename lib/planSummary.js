@@ -0,0 +1,226 @@
+// A sequential scan over a table with at least this many rows is worth a warning
+const LARGE_TABLE_ROWS = 10000;
+
+// Estimates off by this factor or more, on nodes producing at least MISESTIMATE_MIN_ROWS rows, are flagged
+const MISESTIMATE_FACTOR = 10;
+const MISESTIMATE_MIN_ROWS = 100;
+
+// Execution time differences below this are noise, whatever the percentage
+const MIN_TIME_DELTA_MS = 1;
+
+const round = (value, digits = 3) => (value === null || value === undefined ? null : Number(value.toFixed(digits)));
+
+const percentChange = (before, after) => (before ? round(((after - before) / before) * 100, 1) : null);
+
+// Names of every relation an EXPLAIN (FORMAT JSON) plan reads
+function planRelations(explain) {
+  const relations = new Set();
+  const visit = (plan) => {
+    if (plan['Relation Name']) relations.add(plan['Relation Name']);
+    (plan.Plans || []).forEach(visit);
+  };
+  visit((Array.isArray(explain) ? explain[0] : explain).Plan);
+  return [...relations];
+}
+
+/**
+ * Flattens an EXPLAIN (FORMAT JSON) plan into a depth-first list of nodes and
+ * flags the usual suspects: sequential scans of large tables, row estimates
+ * that are far off and sorts that spill to disk.
+ *
+ * tableRows maps relation names to their approximate row counts (pg_class.reltuples);
+ * relations missing from it are never reported as large.
+ */
+function summarizePlan(explain, { tableRows = {} } = {}) {
+  const root = Array.isArray(explain) ? explain[0] : explain;
+  const analyzed = root.Plan['Actual Loops'] !== undefined;
+  const executionTime = root['Execution Time'] ?? null;
+
+  const nodes = [];
+  const warnings = [];
+
+  const visit = (plan, depth, parentId) => {
+    const id = nodes.length + 1;
+    const loops = plan['Actual Loops'] ?? null;
+    const node = {
+      id,
+      parent_id: parentId,
+      depth,
+      node_type: plan['Node Type'],
+      relation: plan['Relation Name'] || null,
+      index_name: plan['Index Name'] || null,
+      startup_cost: plan['Startup Cost'],
+      total_cost: plan['Total Cost'],
+      estimated_rows: plan['Plan Rows'],
+    };
+    nodes.push(node);
+
+    if (analyzed) {
+      // Actual times and rows are per loop; multiply out to get what the node really did
+      node.loops = loops;
+      node.actual_rows = plan['Actual Rows'];
+      node.total_time_ms = loops ? round(plan['Actual Total Time'] * loops) : 0;
+      node.estimate_ratio = node.estimated_rows > 0 ? round(node.actual_rows / node.estimated_rows, 2) : null;
+    }
+
+    node.buffers = {
+      shared_hit: plan['Shared Hit Blocks'] ?? null,
+      shared_read: plan['Shared Read Blocks'] ?? null,
+      temp_read: plan['Temp Read Blocks'] ?? null,
+      temp_written: plan['Temp Written Blocks'] ?? null,
+    };
+    if (plan['Sort Method']) {
+      node.sort = { method: plan['Sort Method'], space_kb: plan['Sort Space Used'], space_type: plan['Sort Space Type'] };
+    }
+    if (plan['Filter']) {
+      node.filter = plan['Filter'];
+      node.rows_removed_by_filter = plan['Rows Removed by Filter'] ?? null;
+    }
+
+    collectWarnings(node, tableRows, warnings);
+
+    const childTime = (plan.Plans || [])
+      .map(child => visit(child, depth + 1, id))
+      .reduce((sum, time) => sum + time, 0);
+
+    if (analyzed) {
+      // Parallel workers make children look slower than their parent, hence the clamp
+      node.self_time_ms = round(Math.max(node.total_time_ms - childTime, 0));
+    }
+
+    return node.total_time_ms || 0;
+  };
+
+  visit(root.Plan, 0, null);
+
+  if (analyzed) {
+    const total = executionTime || nodes[0].total_time_ms;
+    for (const node of nodes) {
+      node.time_share = total > 0 ? round(node.self_time_ms / total, 4) : null;
+    }
+  }
+
+  return {
+    analyzed,
+    planning_time_ms: root['Planning Time'] ?? null,
+    execution_time_ms: executionTime,
+    total_cost: root.Plan['Total Cost'],
+    estimated_rows: root.Plan['Plan Rows'],
+    actual_rows: analyzed ? root.Plan['Actual Rows'] : null,
+    shared_blocks: (root.Plan['Shared Hit Blocks'] ?? 0) + (root.Plan['Shared Read Blocks'] ?? 0),
+    nodes,
+    warnings,
+  };
+}
+
+function collectWarnings(node, tableRows, warnings) {
+  const warn = (type, message) => warnings.push({
+    type,
+    node_id: node.id,
+    node_type: node.node_type,
+    relation: node.relation,
+    message,
+  });
+  const label = node.relation ? `${node.node_type} on ${node.relation}` : node.node_type;
+
+  const tableSize = node.relation ? tableRows[node.relation] : undefined;
+  if (node.node_type === 'Seq Scan' && tableSize >= LARGE_TABLE_ROWS) {
+    const filter = node.filter ? ` filtering on ${node.filter}` : '';
+    warn('SEQ_SCAN_LARGE_TABLE', `Sequential scan of ${node.relation} (~${tableSize} rows)${filter}`);
+  }
+
+  if (node.actual_rows !== undefined && node.loops > 0) {
+    const estimated = Math.max(node.estimated_rows, 1);
+    const actual = Math.max(node.actual_rows, 1);
+    const factor = Math.max(actual / estimated, estimated / actual);
+    if (factor >= MISESTIMATE_FACTOR && Math.max(node.estimated_rows, node.actual_rows) >= MISESTIMATE_MIN_ROWS) {
+      warn('ROW_MISESTIMATE', `${label} estimated ${node.estimated_rows} rows but produced ${node.actual_rows} `
+        + `(off by ${round(factor, 1)}x); statistics may be stale`);
+    }
+  }
+
+  if (node.sort && (node.sort.space_type === 'Disk' || /external/i.test(node.sort.method))) {
+    warn('SORT_SPILL', `Sort spilled ${node.sort.space_kb} kB to disk (${node.sort.method}); `
+      + 'consider a larger work_mem or an index');
+  }
+}
+
+// Relation -> the set of scan labels ("Seq Scan", "Index Scan using idx") that touch it
+function scansByRelation(summary) {
+  const scans = new Map();
+  for (const node of summary.nodes) {
+    if (!node.relation) continue;
+    const label = node.index_name ? `${node.node_type} using ${node.index_name}` : node.node_type;
+    if (!scans.has(node.relation)) scans.set(node.relation, new Set());
+    scans.get(node.relation).add(label);
+  }
+  return scans;
+}
+
+// Node ids shift whenever the plan shape does, so warnings are matched on what they are about
+const warningKey = (warning) => `${warning.type}:${warning.node_type}:${warning.relation || ''}`;
+
+/**
+ * Compares a fresh summary with a saved baseline. The run counts as a
+ * regression when execution time or cost grows by more than tolerance
+ * (0.2 = 20%), or when it raises a warning the baseline did not have.
+ */
+function comparePlans(baseline, current, { tolerance = 0.2 } = {}) {
+  const metric = (key) => ({
+    baseline: baseline[key],
+    current: current[key],
+    change_pct: percentChange(baseline[key], current[key]),
+  });
+
+  const changes = {
+    execution_time_ms: metric('execution_time_ms'),
+    planning_time_ms: metric('planning_time_ms'),
+    total_cost: metric('total_cost'),
+    shared_blocks: metric('shared_blocks'),
+    actual_rows: metric('actual_rows'),
+  };
+
+  const planChanges = [];
+  const before = scansByRelation(baseline);
+  const after = scansByRelation(current);
+  for (const relation of new Set([...before.keys(), ...after.keys()])) {
+    const was = [...(before.get(relation) || [])].sort().join(', ') || 'not scanned';
+    const now = [...(after.get(relation) || [])].sort().join(', ') || 'not scanned';
+    if (was !== now) {
+      planChanges.push({ relation, baseline: was, current: now });
+    }
+  }
+
+  const baselineWarnings = new Set(baseline.warnings.map(warningKey));
+  const newWarnings = current.warnings.filter(warning => !baselineWarnings.has(warningKey(warning)));
+
+  const reasons = [];
+  const time = changes.execution_time_ms;
+  if (time.baseline !== null && time.current !== null
+      && time.current - time.baseline > MIN_TIME_DELTA_MS
+      && time.current > time.baseline * (1 + tolerance)) {
+    reasons.push(`Execution time rose from ${time.baseline} ms to ${time.current} ms (+${time.change_pct}%)`);
+  }
+  const cost = changes.total_cost;
+  if (cost.current > cost.baseline * (1 + tolerance)) {
+    reasons.push(`Estimated cost rose from ${cost.baseline} to ${cost.current} (+${cost.change_pct}%)`);
+  }
+  for (const warning of newWarnings) {
+    reasons.push(`New warning: ${warning.message}`);
+  }
+
+  return {
+    regressed: reasons.length > 0,
+    reasons,
+    tolerance,
+    changes,
+    plan_changes: planChanges,
+    new_warnings: newWarnings,
+  };
+}
+
+module.exports = {
+  planRelations,
+  summarizePlan,
+  comparePlans,
+};
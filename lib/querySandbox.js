@@ -0,0 +1,246 @@
+const { Pool } = require('pg');
+const config = require('../config');
+const { HttpError } = require('./errors');
+
+// Statements EXPLAIN can wrap that only read; anything else is rejected before it reaches the database
+const ALLOWED_LEADING_KEYWORDS = ['SELECT', 'WITH', 'VALUES', 'TABLE'];
+
+const invalidQuery = (message) => new HttpError(400, message, { code: 'INVALID_QUERY' });
+
+const isWordChar = (ch) => ch !== undefined && /[A-Za-z0-9_$]/.test(ch);
+
+// Index just past the end of the quoted literal or identifier that opens at i
+function skipQuoted(sql, i, quote, backslashEscapes) {
+  for (let j = i + 1; j < sql.length; j++) {
+    if (backslashEscapes && sql[j] === '\\') {
+      j++;
+    } else if (sql[j] === quote) {
+      if (sql[j + 1] !== quote) return j + 1;
+      j++;
+    }
+  }
+  throw invalidQuery(quote === '"' ? 'Unterminated quoted identifier' : 'Unterminated string literal');
+}
+
+function skipBlockComment(sql, i) {
+  let depth = 0;
+  for (let j = i; j < sql.length - 1; j++) {
+    if (sql[j] === '/' && sql[j + 1] === '*') {
+      depth++;
+      j++;
+    } else if (sql[j] === '*' && sql[j + 1] === '/') {
+      depth--;
+      j++;
+      if (depth === 0) return j + 1;
+    }
+  }
+  throw invalidQuery('Unterminated block comment');
+}
+
+/**
+ * Splits SQL into statements the way PostgreSQL's lexer would: semicolons
+ * inside string literals, quoted identifiers, dollar-quoted bodies and
+ * comments do not end a statement. Returns each non-empty statement with the
+ * first keyword outside comments, or throws a 400 HttpError when a literal or
+ * comment is left open.
+ */
+function splitStatements(sql) {
+  const statements = [];
+  let start = 0;
+  let keyword = null;
+  let hasCode = false;
+
+  const finish = (end) => {
+    if (hasCode) {
+      statements.push({ text: sql.slice(start, end).trim(), keyword });
+    }
+    start = end + 1;
+    keyword = null;
+    hasCode = false;
+  };
+
+  let i = 0;
+  while (i < sql.length) {
+    const ch = sql[i];
+    const next = sql[i + 1];
+
+    if (ch === '-' && next === '-') {
+      const newline = sql.indexOf('\n', i);
+      i = newline === -1 ? sql.length : newline + 1;
+      continue;
+    }
+    if (ch === '/' && next === '*') {
+      i = skipBlockComment(sql, i);
+      continue;
+    }
+    if (ch === ';') {
+      finish(i);
+      i++;
+      continue;
+    }
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    hasCode = true;
+
+    if (ch === "'") {
+      // E'...' strings treat backslash as an escape character
+      const escaped = /[Ee]/.test(sql[i - 1] || '') && !isWordChar(sql[i - 2]);
+      i = skipQuoted(sql, i, "'", escaped);
+    } else if (ch === '"') {
+      i = skipQuoted(sql, i, '"', false);
+    } else if (ch === '$' && !isWordChar(sql[i - 1])) {
+      const tag = sql.slice(i).match(/^\$(?:[A-Za-z_][A-Za-z0-9_]*)?\$/);
+      if (tag) {
+        const close = sql.indexOf(tag[0], i + tag[0].length);
+        if (close === -1) throw invalidQuery('Unterminated dollar-quoted string');
+        i = close + tag[0].length;
+      } else {
+        i++;
+      }
+    } else if (/[A-Za-z_]/.test(ch)) {
+      let end = i;
+      while (isWordChar(sql[end])) end++;
+      if (keyword === null) keyword = sql.slice(i, end).toUpperCase();
+      i = end;
+    } else {
+      i++;
+    }
+  }
+  finish(sql.length);
+
+  return statements;
+}
+
+/**
+ * Accepts exactly one read-only statement and returns it without the trailing
+ * semicolon. A prefix check alone would let "SELECT 1; DROP TABLE retail"
+ * through, so the text is split properly first.
+ */
+function parseSingleQuery(sql) {
+  const statements = splitStatements(sql);
+
+  if (statements.length === 0) {
+    throw invalidQuery('The query is empty');
+  }
+  if (statements.length > 1) {
+    throw invalidQuery(`Submit a single statement; found ${statements.length}`);
+  }
+
+  const [statement] = statements;
+  if (!ALLOWED_LEADING_KEYWORDS.includes(statement.keyword)) {
+    throw invalidQuery(`Only ${ALLOWED_LEADING_KEYWORDS.join(', ')} statements can be analyzed`);
+  }
+
+  return statement.text;
+}
+
+// Created on first use so deployments without sandbox credentials never try to log in
+let sandboxPool = null;
+
+function getSandboxPool() {
+  if (!config.sandbox.password) {
+    throw new HttpError(503, 'The query sandbox is not configured', { code: 'SANDBOX_UNAVAILABLE' });
+  }
+
+  if (!sandboxPool) {
+    sandboxPool = new Pool({
+      ...config.db,
+      user: config.sandbox.user,
+      password: config.sandbox.password,
+      max: config.sandbox.max,
+      application_name: 'retail-api-sandbox',
+    });
+    sandboxPool.on('error', (err) => {
+      console.error('Idle sandbox client error:', err.message);
+    });
+  }
+
+  return sandboxPool;
+}
+
+// Errors raised by the submitted query, as opposed to the sandbox itself
+function toQueryError(err) {
+  if (err.code === '25006') {
+    return new HttpError(400, 'The query tries to modify data, which the sandbox does not allow', {
+      code: 'READ_ONLY_VIOLATION',
+    });
+  }
+  if (err.code === '57014') {
+    return new HttpError(400, `The query ran longer than the ${config.sandbox.statementTimeoutMs} ms sandbox limit`, {
+      code: 'QUERY_TIMEOUT',
+    });
+  }
+  // Syntax errors, unknown relations, missing privileges and bad literals
+  if (err.code && (err.code.startsWith('42') || err.code.startsWith('22'))) {
+    return invalidQuery(err.message);
+  }
+  // Authentication and login failures mean the sandbox role is misconfigured
+  if (err.code && err.code.startsWith('28')) {
+    console.error('Query sandbox login failed:', err.message);
+    return new HttpError(503, 'The query sandbox is not available', { code: 'SANDBOX_UNAVAILABLE' });
+  }
+  return err;
+}
+
+/**
+ * Runs EXPLAIN on one validated query as the read-only sandbox role, inside a
+ * READ ONLY transaction with a statement timeout. The transaction is always
+ * rolled back, so even ANALYZE of a query calling a volatile function leaves
+ * no trace. Resolves to { plan, durationMs }.
+ *
+ * generic plans a query with $1-style placeholders, as pg_stat_statements
+ * records them, without values (PostgreSQL 16+, and never with analyze).
+ */
+async function explainInSandbox(sql, { analyze = false, generic = false } = {}) {
+  const query = parseSingleQuery(sql);
+  // Before PostgreSQL 13 BUFFERS requires ANALYZE, and plan nodes only carry buffer counts with it
+  let options = 'FORMAT JSON';
+  if (analyze) options = 'ANALYZE, BUFFERS, TIMING, FORMAT JSON';
+  else if (generic) options = 'GENERIC_PLAN, FORMAT JSON';
+
+  let client;
+  try {
+    client = await getSandboxPool().connect();
+  } catch (err) {
+    throw toQueryError(err);
+  }
+
+  let clientError;
+  try {
+    await client.query('BEGIN TRANSACTION READ ONLY');
+    await client.query("SELECT set_config('statement_timeout', $1, true)", [String(config.sandbox.statementTimeoutMs)]);
+    await client.query("SELECT set_config('lock_timeout', $1, true)", [String(config.sandbox.statementTimeoutMs)]);
+
+    const startTime = Date.now();
+    const result = await client.query(`EXPLAIN (${options}) ${query}`);
+
+    return { plan: result.rows[0]['QUERY PLAN'], durationMs: Date.now() - startTime };
+  } catch (err) {
+    throw toQueryError(err);
+  } finally {
+    try {
+      await client.query('ROLLBACK');
+    } catch (err) {
+      // A connection that cannot roll back is not safe to reuse
+      clientError = err;
+    }
+    client.release(clientError);
+  }
+}
+
+// Closes the sandbox pool, if one was opened, for graceful shutdown
+async function closeSandbox() {
+  if (sandboxPool) {
+    await sandboxPool.end();
+  }
+}
+
+module.exports = {
+  splitStatements,
+  parseSingleQuery,
+  explainInSandbox,
+  closeSandbox,
+};
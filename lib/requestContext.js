@@ -0,0 +1,42 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+
+const storage = new AsyncLocalStorage();
+
+// Client-supplied request ids are echoed into logs and the audit log, so keep them tame
+const HEADER_TOKEN_PATTERN = /^[A-Za-z0-9._:@-]{1,100}$/;
+
+const READ_ONLY_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Express middleware that gives every request an id (X-Request-Id, generated
+ * when absent or malformed) and runs the rest of the chain inside an async
+ * context, so code far from req - such as the database pool - can see who
+ * the request acts for.
+ */
+function requestContext(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  const requestId = incoming && HEADER_TOKEN_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+
+  const context = {
+    requestId,
+    // Replaced with the caller's identity by the authenticate middleware
+    actor: 'anonymous',
+    // Only requests that can change data need the audit session settings
+    mutating: !READ_ONLY_METHODS.includes(req.method),
+  };
+  req.context = context;
+
+  storage.run(context, next);
+}
+
+// The context of the request currently executing, or undefined outside one
+const currentContext = () => storage.getStore();
+
+module.exports = {
+  requestContext,
+  currentContext,
+};
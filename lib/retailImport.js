@@ -0,0 +1,327 @@
+const { parse } = require('csv-parse');
+const ExcelJS = require('exceljs');
+const { from: copyFrom } = require('pg-copy-streams');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+
+// Online Retail II headers (lower-cased, non-letters stripped) -> retail columns
+const HEADER_MAP = {
+  invoice: 'invoice_no',
+  invoiceno: 'invoice_no',
+  stockcode: 'stock_code',
+  description: 'description',
+  quantity: 'quantity',
+  invoicedate: 'invoice_date',
+  price: 'unit_price',
+  unitprice: 'unit_price',
+  customerid: 'customer_id',
+  country: 'country',
+};
+
+const RETAIL_COLUMNS = [
+  'invoice_no', 'stock_code', 'description', 'quantity',
+  'invoice_date', 'unit_price', 'customer_id', 'country',
+];
+
+const REQUIRED_COLUMNS = ['invoice_no', 'stock_code', 'quantity', 'invoice_date', 'unit_price'];
+
+const SUPPORTED_FORMATS = ['csv', 'xlsx'];
+
+class ImportError extends Error {
+  constructor(message, details) {
+    super(message);
+    this.name = 'ImportError';
+    this.details = details;
+  }
+}
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z]/g, '');
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// Returns 'YYYY-MM-DD HH:MM:SS' or null when the value is not a valid date
+function toTimestamp(value) {
+  let parts;
+
+  if (value instanceof Date) {
+    // exceljs hands back spreadsheet dates as UTC instants of the local wall clock
+    if (isNaN(value)) return null;
+    parts = [
+      value.getUTCFullYear(), value.getUTCMonth() + 1, value.getUTCDate(),
+      value.getUTCHours(), value.getUTCMinutes(), value.getUTCSeconds(),
+    ];
+  } else {
+    const text = String(value).trim();
+    let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+    if (match) {
+      parts = [match[1], match[2], match[3], match[4], match[5], match[6]];
+    } else {
+      // Spreadsheet exports of the dataset use month-first dates, e.g. 12/1/2009 7:45
+      match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})(?: (\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+      if (!match) return null;
+      parts = [match[3], match[1], match[2], match[4], match[5], match[6]];
+    }
+    parts = parts.map(p => (p === undefined ? 0 : parseInt(p, 10)));
+  }
+
+  const [year, month, day, hour, minute, second] = parts;
+  const check = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+  if (
+    check.getUTCFullYear() !== year || check.getUTCMonth() !== month - 1 ||
+    check.getUTCDate() !== day || hour > 23 || minute > 59 || second > 59
+  ) {
+    return null;
+  }
+
+  return `${year}-${pad(month)}-${pad(day)} ${pad(hour)}:${pad(minute)}:${pad(second)}`;
+}
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+// Maps a source record onto retail columns; returns { values } or { errors }
+function toRetailRow(record, columnMap) {
+  const row = {};
+  for (const [header, column] of Object.entries(columnMap)) {
+    row[column] = record[header];
+  }
+
+  const errors = [];
+  const values = {};
+
+  for (const column of REQUIRED_COLUMNS) {
+    if (isBlank(row[column])) errors.push(`${column} is required`);
+  }
+
+  values.invoice_no = isBlank(row.invoice_no) ? null : String(row.invoice_no).trim();
+  values.stock_code = isBlank(row.stock_code) ? null : String(row.stock_code).trim();
+  values.description = isBlank(row.description) ? null : String(row.description).trim();
+  values.country = isBlank(row.country) ? null : String(row.country).trim();
+
+  if (!isBlank(row.quantity)) {
+    const quantity = Number(row.quantity);
+    if (!Number.isInteger(quantity)) errors.push('quantity must be an integer');
+    values.quantity = quantity;
+  }
+
+  if (!isBlank(row.unit_price)) {
+    const unitPrice = Number(row.unit_price);
+    if (!Number.isFinite(unitPrice)) errors.push('unit_price must be a number');
+    values.unit_price = unitPrice;
+  }
+
+  if (!isBlank(row.invoice_date)) {
+    values.invoice_date = toTimestamp(row.invoice_date);
+    if (!values.invoice_date) errors.push('invoice_date is not a valid date');
+  }
+
+  // The dataset stores customer ids as floats (e.g. 13085.0) and leaves guests blank
+  if (isBlank(row.customer_id)) {
+    values.customer_id = null;
+  } else {
+    const customerId = Number(row.customer_id);
+    if (!Number.isInteger(customerId)) errors.push('customer_id must be an integer');
+    values.customer_id = customerId;
+  }
+
+  // Mirror enforce_positive_values() so known rejects never abort a COPY batch
+  if (errors.length === 0) {
+    if (values.quantity === 0) errors.push('Quantity cannot be zero');
+    if (values.unit_price < 0) errors.push('Unit price cannot be negative');
+  }
+
+  return errors.length > 0 ? { errors } : { values };
+}
+
+function resolveColumns(headers) {
+  const columnMap = {};
+  for (const header of headers) {
+    const column = HEADER_MAP[normalizeHeader(header)];
+    if (column && !Object.values(columnMap).includes(column)) {
+      columnMap[header] = column;
+    }
+  }
+
+  const mapped = Object.values(columnMap);
+  const missing = REQUIRED_COLUMNS.filter(column => !mapped.includes(column));
+  if (missing.length > 0) {
+    throw new ImportError('Source is missing required columns', {
+      missing_columns: missing,
+      received_headers: headers,
+    });
+  }
+
+  return columnMap;
+}
+
+async function* readCsv(stream) {
+  const parser = stream.pipe(parse({
+    columns: true,
+    bom: true,
+    info: true,
+    skip_empty_lines: true,
+    relax_column_count: true,
+  }));
+
+  let columnMap;
+  try {
+    for await (const { record, info } of parser) {
+      if (!columnMap) columnMap = resolveColumns(Object.keys(record));
+      yield { row: info.lines, record, columnMap };
+    }
+  } catch (err) {
+    if (err.code && err.code.startsWith('CSV_')) {
+      throw new ImportError(`Malformed CSV: ${err.message}`, { row: err.lines });
+    }
+    throw err;
+  }
+}
+
+async function* readXlsx(stream) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookReader(stream, {
+    worksheets: 'emit',
+    sharedStrings: 'cache',
+    hyperlinks: 'ignore',
+    styles: 'ignore',
+  });
+
+  // Online Retail II ships one sheet per year, each with its own header row
+  for await (const worksheet of workbook) {
+    let headers;
+    let columnMap;
+
+    for await (const row of worksheet) {
+      const cells = row.values.slice(1).map(cell => (
+        cell && typeof cell === 'object' && !(cell instanceof Date)
+          ? cell.result ?? cell.text ?? null
+          : cell
+      ));
+
+      if (!headers) {
+        headers = cells.map(cell => (cell === undefined || cell === null ? '' : String(cell)));
+        columnMap = resolveColumns(headers);
+        continue;
+      }
+
+      const record = {};
+      headers.forEach((header, i) => { record[header] = cells[i]; });
+      yield { sheet: worksheet.name, row: row.number, record, columnMap };
+    }
+  }
+}
+
+const csvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return String(value);
+  return `"${String(value).replace(/"/g, '""')}"`;
+};
+
+async function copyBatch(client, batch) {
+  const copySql = `COPY retail (${RETAIL_COLUMNS.join(', ')}) FROM STDIN WITH (FORMAT csv)`;
+  const lines = batch.map(({ values }) => `${RETAIL_COLUMNS.map(c => csvValue(values[c])).join(',')}\n`);
+
+  await client.query('BEGIN');
+  try {
+    await pipeline(Readable.from(lines), client.query(copyFrom(copySql)));
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  }
+}
+
+// Re-inserts a failed COPY batch row by row so only the offending rows are rejected
+async function insertRowByRow(client, batch, reject) {
+  let inserted = 0;
+  const insertSql = `INSERT INTO retail (${RETAIL_COLUMNS.join(', ')})
+    VALUES (${RETAIL_COLUMNS.map((_, i) => `$${i + 1}`).join(', ')})`;
+
+  for (const item of batch) {
+    try {
+      await client.query(insertSql, RETAIL_COLUMNS.map(c => item.values[c]));
+      inserted++;
+    } catch (err) {
+      reject(item, [err.message]);
+    }
+  }
+
+  return inserted;
+}
+
+/**
+ * Streams a CSV or XLSX export of Online Retail II into the retail table.
+ * Rows are loaded in COPY batches, each committed on its own; rows rejected by
+ * validation or by the table's triggers are reported instead of failing the load.
+ */
+async function importRetail(client, stream, { format, batchSize = 5000, maxRejections = 1000 } = {}) {
+  if (!SUPPORTED_FORMATS.includes(format)) {
+    throw new ImportError(`Unsupported import format: ${format}`, { supported_formats: SUPPORTED_FORMATS });
+  }
+
+  const report = {
+    format,
+    total_rows: 0,
+    inserted: 0,
+    rejected: 0,
+    batches: 0,
+    rejections: [],
+    rejections_truncated: false,
+  };
+
+  const reject = (item, errors) => {
+    report.rejected++;
+    if (report.rejections.length < maxRejections) {
+      report.rejections.push({
+        ...(item.sheet !== undefined && { sheet: item.sheet }),
+        row: item.row,
+        errors,
+      });
+    } else {
+      report.rejections_truncated = true;
+    }
+  };
+
+  const flush = async (batch) => {
+    if (batch.length === 0) return;
+    report.batches++;
+    try {
+      await copyBatch(client, batch);
+      report.inserted += batch.length;
+    } catch (err) {
+      report.inserted += await insertRowByRow(client, batch, reject);
+    }
+  };
+
+  const source = format === 'xlsx' ? readXlsx(stream) : readCsv(stream);
+  let batch = [];
+
+  try {
+    for await (const { sheet, row, record, columnMap } of source) {
+      report.total_rows++;
+      const result = toRetailRow(record, columnMap);
+
+      if (result.errors) {
+        reject({ sheet, row }, result.errors);
+        continue;
+      }
+
+      batch.push({ sheet, row, values: result.values });
+      if (batch.length >= batchSize) {
+        await flush(batch);
+        batch = [];
+      }
+    }
+  } catch (err) {
+    // Batches already flushed stay committed; tell the caller how far the load got
+    if (err instanceof ImportError) err.details = { ...err.details, inserted: report.inserted };
+    throw err;
+  }
+
+  await flush(batch);
+  return report;
+}
+
+module.exports = {
+  importRetail,
+  ImportError,
+  SUPPORTED_FORMATS,
+};
@@ -0,0 +1,68 @@
+const { HttpError } = require('./errors');
+
+// Strong ETag for a row read with its row_version column
+const etag = (row) => `"${row.row_version}"`;
+
+/**
+ * Parses If-Match into the row versions the client will accept.
+ * Returns null when the header is absent or "*", meaning any version.
+ * Tags that are not ours can never match, so they parse to an empty list.
+ */
+function ifMatchVersions(req) {
+  const header = req.get('If-Match');
+  if (!header || header.trim() === '*') return null;
+
+  return header.split(',')
+    .map(tag => tag.trim().match(/^"(\d+)"$/))
+    .filter(Boolean)
+    .map(match => parseInt(match[1]));
+}
+
+/**
+ * UPDATE table SET <changes> WHERE <key> = id, guarded by If-Match.
+ * Column names in changes must come from a validated schema, never raw input.
+ * Resolves to the updated row, or null when no row has that key; throws a 412
+ * HttpError when the row exists but its version is not one the client expects.
+ */
+async function updateVersioned(client, { table, key, id, changes, versions = null, touch = null }) {
+  const params = [];
+  const assignments = Object.entries(changes).map(([column, value]) => {
+    params.push(value);
+    return `${column} = $${params.length}`;
+  });
+  if (touch) assignments.push(`${touch} = CURRENT_TIMESTAMP`);
+
+  params.push(id);
+  let where = `${key} = $${params.length}`;
+  if (versions) {
+    params.push(versions);
+    where += ` AND row_version = ANY($${params.length}::int[])`;
+  }
+
+  const result = await client.query(
+    `UPDATE ${table} SET ${assignments.join(', ')} WHERE ${where} RETURNING *`,
+    params
+  );
+
+  if (result.rows.length > 0) {
+    return result.rows[0];
+  }
+
+  if (versions) {
+    const current = await client.query(`SELECT row_version FROM ${table} WHERE ${key} = $1`, [id]);
+    if (current.rows.length > 0) {
+      throw new HttpError(412, 'The record was changed by another request; reload it and retry', {
+        code: 'PRECONDITION_FAILED',
+        etag: etag(current.rows[0]),
+      });
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  etag,
+  ifMatchVersions,
+  updateVersioned,
+};
@@ -0,0 +1,283 @@
+const Joi = require('joi');
+const { toOpenApi } = require('./validation');
+
+// Countries that appear in the Online Retail II dataset
+const COUNTRIES = [
+  'Australia', 'Austria', 'Bahrain', 'Belgium', 'Bermuda', 'Brazil', 'Canada',
+  'Channel Islands', 'Cyprus', 'Czech Republic', 'Denmark', 'EIRE', 'European Community',
+  'Finland', 'France', 'Germany', 'Greece', 'Hong Kong', 'Iceland', 'Israel', 'Italy',
+  'Japan', 'Korea', 'Lebanon', 'Lithuania', 'Malta', 'Netherlands', 'Nigeria', 'Norway',
+  'Poland', 'Portugal', 'RSA', 'Saudi Arabia', 'Singapore', 'Spain', 'Sweden',
+  'Switzerland', 'Thailand', 'USA', 'United Arab Emirates', 'United Kingdom',
+  'Unspecified', 'West Indies',
+];
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const DATE_TIME = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}(:?\d{2})?)?)?$/;
+
+const INVOICE_NO = /^[A-Za-z]?\d{1,19}$/;
+
+const MAX_INVOICE_LINES = 500;
+
+// Every inventory ledger movement type, and those adjust_inventory() accepts from users
+const MOVEMENT_TYPES = ['opening_balance', 'sale', 'cancellation', 'return', 'receipt', 'adjustment', 'correction'];
+const MANUAL_MOVEMENT_TYPES = ['adjustment', 'return', 'receipt'];
+
+// Low-stock alert states, and the alert events webhooks can subscribe to (migrations/017)
+const ALERT_STATES = ['open', 'acknowledged', 'resolved'];
+const WEBHOOK_EVENTS = ['alert.opened', 'alert.resolved'];
+
+// Building blocks shared by the route schemas
+
+const stockCode = () => Joi.string().trim().min(1).max(20);
+
+const country = () => Joi.string().valid(...COUNTRIES).insensitive()
+  .messages({ 'any.only': '{{#label}} must be a country from the Online Retail II dataset' });
+
+// Dates stay strings so callers can tell a whole day (YYYY-MM-DD) from a timestamp
+const dateTime = () => Joi.string()
+  .pattern(DATE_TIME)
+  .custom((value, helpers) => (isNaN(Date.parse(value)) ? helpers.error('any.invalid') : value))
+  .messages({
+    'string.pattern.base': '{{#label}} must be an ISO 8601 date or timestamp',
+    'any.invalid': '{{#label}} must be a valid date',
+  })
+  .meta({ format: 'date-time' });
+
+const dateOnly = () => Joi.string()
+  .pattern(DATE_ONLY)
+  .custom((value, helpers) => (isNaN(Date.parse(value)) ? helpers.error('any.invalid') : value))
+  .messages({
+    'string.pattern.base': '{{#label}} must be a date in YYYY-MM-DD format',
+    'any.invalid': '{{#label}} must be a valid date',
+  })
+  .meta({ format: 'date' });
+
+const sortDirection = (defaultOrder) => Joi.string().lowercase().valid('asc', 'desc').default(defaultOrder);
+
+const pageSize = (max, defaultLimit) => Joi.number().integer().min(1).max(max).default(defaultLimit);
+
+const pageNumber = () => Joi.number().integer().min(1).default(1);
+
+// Opaque keyset cursors are base64url JSON pairs; validation decodes them to [value, tiebreaker]
+const cursor = () => Joi.string()
+  .custom((value, helpers) => {
+    try {
+      const decoded = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+      if (Array.isArray(decoded) && decoded.length === 2) return decoded;
+    } catch (err) {
+      // Fall through to the validation error
+    }
+    return helpers.error('any.invalid');
+  })
+  .messages({ 'any.invalid': '{{#label}} is invalid' })
+  .description('Opaque cursor from a previous page');
+
+const idParams = Joi.object({
+  id: Joi.number().integer().positive().required(),
+});
+
+// Request bodies, also published as Swagger components
+
+const productInput = Joi.object({
+  stock_code: stockCode().required(),
+  description: Joi.string().trim().min(1).max(500).required(),
+  category_id: Joi.number().integer().positive().allow(null).default(null),
+  unit_price: Joi.number().positive().precision(2).max(99999999.99).allow(null).default(null),
+  stock_quantity: Joi.number().integer().min(0).default(0),
+  reorder_level: Joi.number().integer().min(0).default(10),
+  supplier_info: Joi.string().max(1000).allow(null, '').default(null),
+  supplier_id: Joi.number().integer().positive().allow(null).default(null)
+    .description('Supplier that purchase orders for this product go to'),
+  is_active: Joi.boolean().default(true),
+  weight: Joi.number().min(0).max(9999999.999).allow(null).default(null),
+  dimensions: Joi.string().max(100).allow(null, '').default(null),
+});
+
+const retailInput = Joi.object({
+  invoice_no: Joi.string().pattern(INVOICE_NO).required()
+    .messages({ 'string.pattern.base': '{{#label}} must be digits with an optional letter prefix' }),
+  stock_code: stockCode().required(),
+  description: Joi.string().max(500).allow(null, '').default(null),
+  quantity: Joi.number().integer().invalid(0).required(),
+  invoice_date: dateTime().required(),
+  unit_price: Joi.number().min(0).precision(2).max(99999999.99).required(),
+  customer_id: Joi.number().integer().positive().allow(null).default(null),
+  country: country().allow(null).default(null),
+});
+
+// Partial updates: every field optional, no defaults filled in, at least one field required
+const patchOf = (schema) => schema
+  .fork(Object.keys(schema.describe().keys), field => field.optional())
+  .min(1)
+  .messages({ 'object.min': 'Provide at least one field to update' })
+  .prefs({ noDefaults: true });
+
+const productPatch = patchOf(productInput);
+
+const retailPatch = patchOf(retailInput);
+
+const invoiceLineInput = Joi.object({
+  stock_code: stockCode().required(),
+  description: Joi.string().max(500).allow(null, '').default(null),
+  quantity: Joi.number().integer().positive().required(),
+  unit_price: Joi.number().min(0).precision(2).max(99999999.99).required(),
+});
+
+const invoiceInput = Joi.object({
+  // Lines are sales with positive quantities; a C prefix would make retail_stock_change() put their stock back
+  invoice_no: Joi.string()
+    .pattern(INVOICE_NO)
+    .pattern(/^C/i, { invert: true, name: 'cancellation' })
+    .messages({
+      'string.pattern.base': '{{#label}} must be digits with an optional letter prefix',
+      'string.pattern.invert.name': 'Cancellation invoices cannot be created through this endpoint',
+    })
+    .description('Taken from the invoice number sequence when omitted'),
+  invoice_date: dateTime().description('Defaults to now'),
+  customer_id: Joi.number().integer().positive().allow(null).default(null),
+  country: country().allow(null).default(null),
+  lines: Joi.array().items(invoiceLineInput).min(1).max(MAX_INVOICE_LINES).required(),
+});
+
+const orderLineInput = Joi.object({
+  stock_code: stockCode().required(),
+  quantity: Joi.number().integer().positive().required(),
+  unit_price: Joi.number().min(0).precision(2).max(99999999.99)
+    .description("Defaults to the product's current price"),
+});
+
+const orderInput = Joi.object({
+  customer_id: Joi.number().integer().positive().allow(null).default(null),
+  lines: Joi.array().items(orderLineInput).min(1).max(MAX_INVOICE_LINES).required()
+    .unique('stock_code')
+    .messages({ 'array.unique': '{{#label}} must list each stock code once' }),
+});
+
+const supplierInput = Joi.object({
+  name: Joi.string().trim().min(1).max(200).required(),
+  contact_name: Joi.string().trim().max(200).allow(null, '').default(null),
+  email: Joi.string().trim().email().max(254).allow(null).default(null),
+  phone: Joi.string().trim().max(50).allow(null, '').default(null),
+  lead_time_days: Joi.number().integer().min(0).max(365).allow(null).default(null),
+  notes: Joi.string().max(1000).allow(null, '').default(null),
+  is_active: Joi.boolean().default(true),
+});
+
+const supplierPatch = patchOf(supplierInput);
+
+const purchaseOrderLineInput = Joi.object({
+  stock_code: stockCode().required(),
+  quantity: Joi.number().integer().positive().required(),
+  unit_cost: Joi.number().min(0).precision(2).max(99999999.99).allow(null).default(null),
+});
+
+const purchaseOrderInput = Joi.object({
+  supplier_id: Joi.number().integer().positive().required(),
+  notes: Joi.string().max(1000).allow(null, '').default(null),
+  lines: Joi.array().items(purchaseOrderLineInput).min(1).max(MAX_INVOICE_LINES).required()
+    .unique('stock_code')
+    .messages({ 'array.unique': '{{#label}} must list each stock code once' }),
+});
+
+const purchaseOrderReceipt = Joi.object({
+  lines: Joi.array().items(Joi.object({
+    stock_code: stockCode().required(),
+    quantity: Joi.number().integer().positive().required(),
+  })).min(1).max(MAX_INVOICE_LINES).required()
+    .unique('stock_code')
+    .messages({ 'array.unique': '{{#label}} must list each stock code once' }),
+  reference: Joi.string().trim().max(100)
+    .description("Supplier's delivery note, recorded on each ledger movement"),
+});
+
+const alertAcknowledgement = Joi.object({
+  note: Joi.string().trim().max(500).allow(null, '').default(null),
+});
+
+const webhookSubscriptionInput = Joi.object({
+  url: Joi.string().trim().uri({ scheme: ['http', 'https'] }).max(2000).required(),
+  events: Joi.array().items(Joi.string().valid(...WEBHOOK_EVENTS)).min(1).unique().default(WEBHOOK_EVENTS),
+  description: Joi.string().trim().max(200).allow(null, '').default(null),
+  is_active: Joi.boolean().default(true),
+});
+
+const webhookSubscriptionPatch = patchOf(webhookSubscriptionInput);
+
+const inventoryAdjustment = Joi.object({
+  stock_code: stockCode().required(),
+  adjustment: Joi.number().integer().invalid(0).required()
+    .description('Signed change to current stock'),
+  reason: Joi.string().trim().max(200).default('Manual adjustment'),
+  movement_type: Joi.string().valid(...MANUAL_MOVEMENT_TYPES).default('adjustment')
+    .description('How the change is recorded in the inventory ledger'),
+  reference: Joi.string().trim().max(100)
+    .description('External document, such as a delivery note or return number'),
+});
+
+const validationError = Joi.object({
+  success: Joi.boolean(),
+  error: Joi.string(),
+  code: Joi.string().valid('VALIDATION_ERROR'),
+  details: Joi.array().items(Joi.object({
+    location: Joi.string().valid('params', 'query', 'body'),
+    field: Joi.string(),
+    message: Joi.string(),
+  })),
+});
+
+// Swagger component definitions generated from the schemas above
+const openApiSchemas = () => ({
+  ProductInput: toOpenApi(productInput),
+  ProductPatch: toOpenApi(productPatch),
+  RetailInput: toOpenApi(retailInput),
+  RetailPatch: toOpenApi(retailPatch),
+  InvoiceInput: toOpenApi(invoiceInput),
+  InvoiceLineInput: toOpenApi(invoiceLineInput),
+  OrderInput: toOpenApi(orderInput),
+  OrderLineInput: toOpenApi(orderLineInput),
+  SupplierInput: toOpenApi(supplierInput),
+  SupplierPatch: toOpenApi(supplierPatch),
+  PurchaseOrderInput: toOpenApi(purchaseOrderInput),
+  PurchaseOrderLineInput: toOpenApi(purchaseOrderLineInput),
+  PurchaseOrderReceipt: toOpenApi(purchaseOrderReceipt),
+  AlertAcknowledgement: toOpenApi(alertAcknowledgement),
+  WebhookSubscriptionInput: toOpenApi(webhookSubscriptionInput),
+  WebhookSubscriptionPatch: toOpenApi(webhookSubscriptionPatch),
+  InventoryAdjustment: toOpenApi(inventoryAdjustment),
+  ValidationError: toOpenApi(validationError),
+});
+
+module.exports = {
+  COUNTRIES,
+  MOVEMENT_TYPES,
+  ALERT_STATES,
+  WEBHOOK_EVENTS,
+  DATE_ONLY,
+  INVOICE_NO,
+  MAX_INVOICE_LINES,
+  stockCode,
+  country,
+  dateTime,
+  dateOnly,
+  sortDirection,
+  pageSize,
+  pageNumber,
+  cursor,
+  idParams,
+  productInput,
+  productPatch,
+  retailInput,
+  retailPatch,
+  invoiceInput,
+  orderInput,
+  supplierInput,
+  supplierPatch,
+  purchaseOrderInput,
+  purchaseOrderReceipt,
+  alertAcknowledgement,
+  webhookSubscriptionInput,
+  webhookSubscriptionPatch,
+  inventoryAdjustment,
+  openApiSchemas,
+};
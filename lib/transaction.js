@@ -0,0 +1,89 @@
+const db = require('../db');
+
+// serialization_failure and deadlock_detected: the transaction did nothing wrong and can simply run again
+const RETRYABLE_CODES = ['40001', '40P01'];
+
+const DEFAULT_RETRIES = 3;
+const BASE_BACKOFF_MS = 20;
+
+const ISOLATION_LEVELS = {
+  'read committed': 'READ COMMITTED',
+  'repeatable read': 'REPEATABLE READ',
+  serializable: 'SERIALIZABLE',
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Savepoint names only need to be unique within one transaction
+let savepointCounter = 0;
+
+/**
+ * Runs fn(client) inside a transaction on one dedicated pool client and
+ * resolves to what fn returns. The transaction is committed when fn resolves
+ * and rolled back when it throws; the client goes back to the pool either
+ * way, or is discarded if it cannot roll back.
+ *
+ * Serialization failures and deadlocks are retried up to `retries` times with
+ * jittered backoff, running fn again from the start, so fn must only touch
+ * the database and leave sending the response to the caller.
+ *
+ * With rollback: true the work is always rolled back, for dry runs that want
+ * to see what a change would do.
+ */
+async function withTransaction(fn, { isolation = null, readOnly = false, rollback = false, retries = DEFAULT_RETRIES } = {}) {
+  const mode = [
+    isolation && `ISOLATION LEVEL ${ISOLATION_LEVELS[isolation]}`,
+    readOnly && 'READ ONLY',
+  ].filter(Boolean).join(' ');
+
+  for (let attempt = 0; ; attempt++) {
+    const client = await db.connect();
+    let clientError;
+
+    try {
+      await client.query(mode ? `BEGIN ${mode}` : 'BEGIN');
+      const result = await fn(client);
+      await client.query(rollback ? 'ROLLBACK' : 'COMMIT');
+      return result;
+    } catch (err) {
+      try {
+        await client.query('ROLLBACK');
+      } catch (rollbackError) {
+        // A connection that cannot roll back is not safe to reuse
+        clientError = rollbackError;
+      }
+
+      if (!RETRYABLE_CODES.includes(err.code) || attempt >= retries) {
+        throw err;
+      }
+    } finally {
+      client.release(clientError);
+    }
+
+    await sleep(BASE_BACKOFF_MS * 2 ** attempt * (1 + Math.random()));
+  }
+}
+
+/**
+ * Runs fn() inside a savepoint of the transaction open on client. If fn throws,
+ * only its own work is rolled back and the error is rethrown, leaving the
+ * outer transaction usable.
+ */
+async function withSavepoint(client, fn) {
+  const name = `sp_${++savepointCounter}`;
+  await client.query(`SAVEPOINT ${name}`);
+
+  try {
+    const result = await fn();
+    await client.query(`RELEASE SAVEPOINT ${name}`);
+    return result;
+  } catch (err) {
+    await client.query(`ROLLBACK TO SAVEPOINT ${name}`);
+    throw err;
+  }
+}
+
+module.exports = {
+  withTransaction,
+  withSavepoint,
+};
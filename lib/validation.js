@@ -0,0 +1,146 @@
+const { HttpError } = require('./errors');
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+const JOI_OPTIONS = {
+  abortEarly: false,
+  errors: { wrap: { label: false } },
+};
+
+// ['lines', 0, 'quantity'] -> 'lines[0].quantity'
+const formatPath = (path) => path.reduce((field, key) => (
+  typeof key === 'number' ? `${field}[${key}]` : (field ? `${field}.${key}` : key)
+), '');
+
+/**
+ * Builds middleware that validates req.params, req.query and req.body against
+ * the given joi schemas. Every failing field is reported in one 400 response;
+ * on success the converted values replace the raw ones on the request.
+ *
+ *   router.get('/:id', validate({ params: idParams, query: listQuery }), handler)
+ */
+function validate(schemas) {
+  return (req, res, next) => {
+    const details = [];
+    const values = {};
+
+    for (const location of LOCATIONS) {
+      if (!schemas[location]) continue;
+
+      const { error, value } = schemas[location].validate(req[location] || {}, {
+        ...JOI_OPTIONS,
+        // Unknown query parameters are ignored, unknown body fields are rejected
+        stripUnknown: location === 'query',
+      });
+
+      if (error) {
+        for (const detail of error.details) {
+          details.push({
+            location,
+            field: detail.path.length > 0 ? formatPath(detail.path) : (detail.context.key || detail.context.main || location),
+            message: detail.message,
+          });
+        }
+      } else {
+        values[location] = value;
+      }
+    }
+
+    if (details.length > 0) {
+      throw new HttpError(400, 'Validation failed', { code: 'VALIDATION_ERROR', details });
+    }
+
+    if (values.params) req.params = values.params;
+    if (values.body) req.body = values.body;
+    // req.query is a getter in Express 5, so the parsed copy is defined on the request itself
+    if (values.query) {
+      Object.defineProperty(req, 'query', { value: values.query, writable: true, configurable: true, enumerable: true });
+    }
+
+    next();
+  };
+}
+
+/**
+ * Converts a joi schema into an OpenAPI 3.0 schema object so request schemas
+ * double as Swagger component definitions.
+ */
+function toOpenApi(schema) {
+  return describeToOpenApi(schema.describe());
+}
+
+function describeToOpenApi(description, inherited = {}) {
+  const { type, flags = {}, rules = [], allow = [], metas = [] } = description;
+  const preferences = { ...inherited, ...description.preferences };
+  const out = {};
+  const rule = (name) => rules.find(r => r.name === name);
+
+  switch (type) {
+    case 'object': {
+      out.type = 'object';
+      const keys = description.keys || {};
+      out.properties = {};
+      const required = [];
+      for (const [key, child] of Object.entries(keys)) {
+        out.properties[key] = describeToOpenApi(child, preferences);
+        if (child.flags && child.flags.presence === 'required') required.push(key);
+      }
+      if (required.length > 0) out.required = required;
+      if (rule('min')) out.minProperties = rule('min').args.limit;
+      break;
+    }
+    case 'array':
+      out.type = 'array';
+      if (description.items && description.items.length > 0) out.items = describeToOpenApi(description.items[0], preferences);
+      if (rule('min')) out.minItems = rule('min').args.limit;
+      if (rule('max')) out.maxItems = rule('max').args.limit;
+      break;
+    case 'number':
+      out.type = rule('integer') ? 'integer' : 'number';
+      if (rule('min')) out.minimum = rule('min').args.limit;
+      if (rule('max')) out.maximum = rule('max').args.limit;
+      if (rule('greater')) Object.assign(out, { minimum: rule('greater').args.limit, exclusiveMinimum: true });
+      if (rule('less')) Object.assign(out, { maximum: rule('less').args.limit, exclusiveMaximum: true });
+      break;
+    case 'string': {
+      out.type = 'string';
+      if (rule('min')) out.minLength = rule('min').args.limit;
+      if (rule('max')) out.maxLength = rule('max').args.limit;
+      // Inverted patterns (must not match) have no OpenAPI equivalent
+      const pattern = rules.find(r => r.name === 'pattern' && !(r.args.options && r.args.options.invert));
+      if (pattern) out.pattern = String(pattern.args.regex).slice(1, -1);
+      break;
+    }
+    case 'boolean':
+      out.type = 'boolean';
+      break;
+    case 'date':
+      out.type = 'string';
+      out.format = 'date-time';
+      break;
+    case 'alternatives':
+      out.oneOf = description.matches.map(match => describeToOpenApi(match.schema, preferences));
+      break;
+    default:
+      break;
+  }
+
+  if (flags.only && description.allow) {
+    out.enum = allow.filter(value => value !== null);
+  }
+  if (allow.includes(null)) out.nullable = true;
+  if (flags.description) out.description = flags.description;
+  if (flags.default !== undefined && typeof flags.default !== 'function' && !preferences.noDefaults) {
+    out.default = flags.default;
+  }
+
+  // .meta({ format: 'date' }) and similar annotations pass straight through
+  for (const meta of metas) Object.assign(out, meta);
+
+  return out;
+}
+
+module.exports = {
+  validate,
+  toOpenApi,
+};
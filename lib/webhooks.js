@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+const db = require('../db');
+const config = require('../config');
+
+// Deliveries claimed per poll, and sent concurrently
+const BATCH_SIZE = 10;
+
+// Failed attempts are retried after 30s, 1m, 2m, ... up to an hour, jittered
+const BASE_RETRY_DELAY_MS = 30 * 1000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+
+// Stored for the subscription's owner to read back, not for debugging the API
+const MAX_ERROR_LENGTH = 500;
+
+const generateSecret = () => `whsec_${crypto.randomBytes(32).toString('base64url')}`;
+
+/**
+ * Signature sent in X-Webhook-Signature as "sha256=<hex>": HMAC-SHA256 with the
+ * subscription's secret over "<timestamp>.<body>", where timestamp is the
+ * X-Webhook-Timestamp header. Receivers should recompute it over the raw body
+ * and reject old timestamps to stop replays.
+ */
+const sign = (secret, timestamp, body) => crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+const retryDelayMs = (attempts) => Math.min(BASE_RETRY_DELAY_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS) * (1 + Math.random()) / 2;
+
+/*
+ * Takes due deliveries of active subscriptions and pushes their next attempt
+ * past the send timeout, so another instance polling meanwhile skips them and a
+ * crash mid-send only delays the retry. The attempt is counted when claimed.
+ */
+async function claimDueDeliveries(pool) {
+  const leaseSeconds = Math.ceil(config.webhooks.timeoutMs / 1000) * 2;
+
+  const result = await pool.query(`
+    UPDATE webhook_deliveries d
+    SET attempts = d.attempts + 1,
+        last_attempt_at = now(),
+        next_attempt_at = now() + make_interval(secs => $2)
+    FROM webhook_subscriptions s
+    WHERE s.id = d.subscription_id
+      AND d.id IN (
+        SELECT wd.id
+        FROM webhook_deliveries wd
+        JOIN webhook_subscriptions ws ON ws.id = wd.subscription_id AND ws.is_active
+        WHERE wd.status = 'pending' AND wd.next_attempt_at <= now()
+        ORDER BY wd.next_attempt_at, wd.id
+        LIMIT $1
+        FOR UPDATE OF wd SKIP LOCKED
+      )
+    RETURNING d.id, d.event, d.payload, d.attempts, s.url, s.secret
+  `, [BATCH_SIZE, leaseSeconds]);
+
+  return result.rows;
+}
+
+// POSTs one delivery; resolves to { ok, status, error } and never throws
+async function send(delivery) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  try {
+    const response = await fetch(delivery.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'retail-api-webhooks',
+        'X-Webhook-Id': String(delivery.id),
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': `sha256=${sign(delivery.secret, timestamp, body)}`,
+      },
+      body,
+      // A redirect could point anywhere; receivers must answer at the URL they registered
+      redirect: 'manual',
+      signal: AbortSignal.timeout(config.webhooks.timeoutMs),
+    });
+
+    return response.ok
+      ? { ok: true, status: response.status }
+      : { ok: false, status: response.status, error: `Receiver answered HTTP ${response.status}` };
+  } catch (err) {
+    const reason = err.name === 'TimeoutError' ? `No response within ${config.webhooks.timeoutMs}ms` : (err.cause?.code || err.message);
+    return { ok: false, status: null, error: String(reason).slice(0, MAX_ERROR_LENGTH) };
+  }
+}
+
+async function recordOutcome(pool, delivery, outcome) {
+  if (outcome.ok) {
+    await pool.query(`
+      UPDATE webhook_deliveries
+      SET status = 'delivered', delivered_at = now(), last_response_status = $2, last_error = NULL
+      WHERE id = $1
+    `, [delivery.id, outcome.status]);
+    return;
+  }
+
+  const exhausted = delivery.attempts >= config.webhooks.maxAttempts;
+  await pool.query(`
+    UPDATE webhook_deliveries
+    SET status = $2,
+        next_attempt_at = now() + make_interval(secs => $3),
+        last_response_status = $4,
+        last_error = $5
+    WHERE id = $1
+  `, [
+    delivery.id,
+    exhausted ? 'failed' : 'pending',
+    retryDelayMs(delivery.attempts) / 1000,
+    outcome.status,
+    outcome.error,
+  ]);
+}
+
+/**
+ * Sends one batch of due webhook deliveries and records each outcome. A 2xx
+ * answer marks a delivery delivered; anything else is retried with backoff until
+ * config.webhooks.maxAttempts attempts have been made, then marked failed.
+ * Resolves to the number of deliveries attempted.
+ */
+async function deliverDueWebhooks(pool = db) {
+  const deliveries = await claimDueDeliveries(pool);
+
+  await Promise.all(deliveries.map(async (delivery) => {
+    const outcome = await send(delivery);
+    await recordOutcome(pool, delivery, outcome);
+  }));
+
+  return deliveries.length;
+}
+
+/**
+ * Polls for due deliveries every config.webhooks.pollIntervalMs, one run at a
+ * time. Returns a function that stops the polling; the timer never keeps the
+ * process alive on its own.
+ */
+function startWebhookWorker(pool = db) {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await deliverDueWebhooks(pool);
+    } catch (err) {
+      console.error('Webhook delivery run failed:', err.message);
+    } finally {
+      running = false;
+    }
+  }, config.webhooks.pollIntervalMs);
+  timer.unref();
+
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  generateSecret,
+  sign,
+  deliverDueWebhooks,
+  startWebhookWorker,
+};
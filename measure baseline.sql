@@ -2,3 +2,17 @@ EXPLAIN ANALYZE
   SELECT SUM(quantity * unit_price) AS total_sales
   FROM retail
   WHERE invoice_date BETWEEN '2010-12-01' AND '2010-12-31';
+
+-- Before: the EXTRACT() filter get_monthly_sales used forces a sequential scan
+EXPLAIN ANALYZE
+  SELECT COALESCE(SUM(quantity * unit_price), 0)
+  FROM retail
+  WHERE EXTRACT(YEAR FROM invoice_date) = 2010
+    AND EXTRACT(MONTH FROM invoice_date) = 12;
+
+-- After: a range predicate on the daily rollup
+EXPLAIN ANALYZE
+  SELECT COALESCE(SUM(revenue), 0)
+  FROM sales_rollup_daily
+  WHERE sale_date >= DATE '2010-12-01'
+    AND sale_date < DATE '2011-01-01';
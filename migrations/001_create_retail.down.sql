@@ -0,0 +1,3 @@
+DROP TRIGGER IF EXISTS trg_enforce_positive_values ON retail;
+DROP FUNCTION IF EXISTS enforce_positive_values();
+DROP TABLE IF EXISTS retail;
@@ -0,0 +1,36 @@
+-- Online Retail II line items: one row per invoice line
+CREATE TABLE IF NOT EXISTS retail (
+  id           SERIAL PRIMARY KEY,
+  invoice_no   VARCHAR(20)   NOT NULL,
+  stock_code   VARCHAR(20)   NOT NULL,
+  description  TEXT,
+  quantity     INTEGER       NOT NULL,
+  invoice_date TIMESTAMP     NOT NULL,
+  unit_price   NUMERIC(10,2) NOT NULL,
+  customer_id  INTEGER,
+  country      VARCHAR(100)
+);
+
+CREATE INDEX IF NOT EXISTS retail_invoice_no_idx ON retail (invoice_no);
+CREATE INDEX IF NOT EXISTS retail_stock_code_idx ON retail (stock_code);
+
+CREATE OR REPLACE FUNCTION enforce_positive_values()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.quantity < 0 THEN
+    RAISE EXCEPTION 'Quantity cannot be negative';
+  END IF;
+
+  IF NEW.unit_price < 0 THEN
+    RAISE EXCEPTION 'Unit price cannot be negative';
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_enforce_positive_values ON retail;
+CREATE TRIGGER trg_enforce_positive_values
+BEFORE INSERT OR UPDATE ON retail
+FOR EACH ROW
+EXECUTE FUNCTION enforce_positive_values();
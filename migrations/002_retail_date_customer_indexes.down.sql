@@ -0,0 +1,2 @@
+DROP INDEX IF EXISTS retail_customer_id_idx;
+DROP INDEX IF EXISTS retail_invoice_date_idx;
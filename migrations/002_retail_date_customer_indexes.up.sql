@@ -0,0 +1,4 @@
+-- Range scans on invoice_date (sales reports, keyset pagination) and customer lookups.
+-- Names match the indexes PostgreSQL generated for the original unnamed CREATE INDEX.
+CREATE INDEX IF NOT EXISTS retail_invoice_date_idx ON retail (invoice_date);
+CREATE INDEX IF NOT EXISTS retail_customer_id_idx ON retail (customer_id);
@@ -0,0 +1,10 @@
+DROP TRIGGER IF EXISTS trg_sales_rollup_touch ON retail;
+DROP TRIGGER IF EXISTS trg_sales_rollup ON retail;
+DROP FUNCTION IF EXISTS refresh_sales_rollup(DATE, DATE);
+DROP FUNCTION IF EXISTS sales_rollup_touch();
+DROP FUNCTION IF EXISTS sales_rollup_on_retail_change();
+DROP FUNCTION IF EXISTS sales_rollup_apply(TIMESTAMP, TEXT, TEXT, INT, NUMERIC, INT);
+DROP VIEW IF EXISTS sales_rollup_monthly;
+DROP TABLE IF EXISTS sales_rollup_state;
+DROP TABLE IF EXISTS sales_rollup_invoices;
+DROP TABLE IF EXISTS sales_rollup_daily;
@@ -0,0 +1,175 @@
+-- Daily sales rollup maintained incrementally by a trigger on retail.
+-- Country is stored as '' when the retail line has none so it can be part of the key.
+CREATE TABLE IF NOT EXISTS sales_rollup_daily (
+  sale_date     DATE    NOT NULL,
+  country       TEXT    NOT NULL DEFAULT '',
+  revenue       NUMERIC NOT NULL DEFAULT 0,
+  quantity      BIGINT  NOT NULL DEFAULT 0,
+  line_count    INT     NOT NULL DEFAULT 0,
+  invoice_count INT     NOT NULL DEFAULT 0,
+  PRIMARY KEY (sale_date, country)
+);
+
+-- Lines per invoice and day, so distinct invoice counts can be kept exactly
+CREATE TABLE IF NOT EXISTS sales_rollup_invoices (
+  sale_date  DATE NOT NULL,
+  country    TEXT NOT NULL,
+  invoice_no TEXT NOT NULL,
+  line_count INT  NOT NULL,
+  PRIMARY KEY (sale_date, country, invoice_no)
+);
+
+CREATE TABLE IF NOT EXISTS sales_rollup_state (
+  id                      BOOLEAN PRIMARY KEY DEFAULT TRUE CHECK (id),
+  last_full_refresh       TIMESTAMPTZ,
+  last_refresh_from       DATE,
+  last_refresh_to         DATE,
+  last_incremental_update TIMESTAMPTZ
+);
+
+INSERT INTO sales_rollup_state (id) VALUES (TRUE) ON CONFLICT (id) DO NOTHING;
+
+CREATE OR REPLACE VIEW sales_rollup_monthly AS
+SELECT
+  date_trunc('month', sale_date::timestamp)::date AS sale_month,
+  country,
+  SUM(revenue)       AS revenue,
+  SUM(quantity)      AS quantity,
+  SUM(line_count)    AS line_count,
+  SUM(invoice_count) AS invoice_count
+FROM sales_rollup_daily
+GROUP BY 1, 2;
+
+-- Adds (sign = 1) or removes (sign = -1) one retail line from the rollup
+CREATE OR REPLACE FUNCTION sales_rollup_apply(
+  p_invoice_date TIMESTAMP,
+  p_country      TEXT,
+  p_invoice_no   TEXT,
+  p_quantity     INT,
+  p_unit_price   NUMERIC,
+  p_sign         INT
+)
+RETURNS VOID AS $$
+DECLARE
+  v_date    DATE := p_invoice_date::date;
+  v_country TEXT := COALESCE(p_country, '');
+  v_lines   INT;
+BEGIN
+  INSERT INTO sales_rollup_invoices (sale_date, country, invoice_no, line_count)
+  VALUES (v_date, v_country, p_invoice_no, p_sign)
+  ON CONFLICT (sale_date, country, invoice_no)
+  DO UPDATE SET line_count = sales_rollup_invoices.line_count + p_sign
+  RETURNING line_count INTO v_lines;
+
+  IF v_lines <= 0 THEN
+    DELETE FROM sales_rollup_invoices
+    WHERE sale_date = v_date AND country = v_country AND invoice_no = p_invoice_no;
+  END IF;
+
+  INSERT INTO sales_rollup_daily (sale_date, country, revenue, quantity, line_count, invoice_count)
+  VALUES (
+    v_date,
+    v_country,
+    p_sign * p_quantity * p_unit_price,
+    p_sign * p_quantity,
+    p_sign,
+    CASE
+      WHEN p_sign = 1 AND v_lines = 1 THEN 1
+      WHEN p_sign = -1 AND v_lines <= 0 THEN -1
+      ELSE 0
+    END
+  )
+  ON CONFLICT (sale_date, country) DO UPDATE SET
+    revenue       = sales_rollup_daily.revenue + EXCLUDED.revenue,
+    quantity      = sales_rollup_daily.quantity + EXCLUDED.quantity,
+    line_count    = sales_rollup_daily.line_count + EXCLUDED.line_count,
+    invoice_count = sales_rollup_daily.invoice_count + EXCLUDED.invoice_count;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION sales_rollup_on_retail_change()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP IN ('UPDATE', 'DELETE') THEN
+    PERFORM sales_rollup_apply(OLD.invoice_date, OLD.country, OLD.invoice_no, OLD.quantity, OLD.unit_price, -1);
+  END IF;
+
+  IF TG_OP IN ('INSERT', 'UPDATE') THEN
+    PERFORM sales_rollup_apply(NEW.invoice_date, NEW.country, NEW.invoice_no, NEW.quantity, NEW.unit_price, 1);
+  END IF;
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Statement level so bulk loads touch the state row once, not once per line
+CREATE OR REPLACE FUNCTION sales_rollup_touch()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'TRUNCATE' THEN
+    TRUNCATE sales_rollup_daily, sales_rollup_invoices;
+  END IF;
+
+  UPDATE sales_rollup_state SET last_incremental_update = now();
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_sales_rollup ON retail;
+CREATE TRIGGER trg_sales_rollup
+AFTER INSERT OR UPDATE OF invoice_date, country, invoice_no, quantity, unit_price OR DELETE ON retail
+FOR EACH ROW
+EXECUTE FUNCTION sales_rollup_on_retail_change();
+
+DROP TRIGGER IF EXISTS trg_sales_rollup_touch ON retail;
+CREATE TRIGGER trg_sales_rollup_touch
+AFTER INSERT OR UPDATE OR DELETE OR TRUNCATE ON retail
+FOR EACH STATEMENT
+EXECUTE FUNCTION sales_rollup_touch();
+
+-- Rebuilds the rollup from retail for [p_from, p_to), or entirely when both are NULL.
+-- Returns the number of (day, country) rows written.
+CREATE OR REPLACE FUNCTION refresh_sales_rollup(p_from DATE DEFAULT NULL, p_to DATE DEFAULT NULL)
+RETURNS INTEGER AS $$
+DECLARE
+  v_from DATE := COALESCE(p_from, '-infinity'::date);
+  v_to   DATE := COALESCE(p_to, 'infinity'::date);
+  v_rows INTEGER;
+BEGIN
+  -- Keep writers out while the range is recomputed so no change is counted twice or lost
+  LOCK TABLE retail IN SHARE MODE;
+
+  DELETE FROM sales_rollup_invoices WHERE sale_date >= v_from AND sale_date < v_to;
+  DELETE FROM sales_rollup_daily WHERE sale_date >= v_from AND sale_date < v_to;
+
+  INSERT INTO sales_rollup_invoices (sale_date, country, invoice_no, line_count)
+  SELECT invoice_date::date, COALESCE(country, ''), invoice_no, COUNT(*)
+  FROM retail
+  WHERE invoice_date >= v_from AND invoice_date < v_to
+  GROUP BY 1, 2, 3;
+
+  INSERT INTO sales_rollup_daily (sale_date, country, revenue, quantity, line_count, invoice_count)
+  SELECT
+    invoice_date::date,
+    COALESCE(country, ''),
+    SUM(quantity * unit_price),
+    SUM(quantity),
+    COUNT(*),
+    COUNT(DISTINCT invoice_no)
+  FROM retail
+  WHERE invoice_date >= v_from AND invoice_date < v_to
+  GROUP BY 1, 2;
+
+  GET DIAGNOSTICS v_rows = ROW_COUNT;
+
+  UPDATE sales_rollup_state
+  SET last_full_refresh = now(),
+      last_refresh_from = p_from,
+      last_refresh_to   = p_to;
+
+  RETURN v_rows;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Initial backfill
+SELECT refresh_sales_rollup();
@@ -0,0 +1,2 @@
+DROP FUNCTION IF EXISTS get_sales_between(TIMESTAMP, TIMESTAMP);
+DROP FUNCTION IF EXISTS get_monthly_sales(INT, INT);
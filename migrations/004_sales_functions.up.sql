@@ -0,0 +1,29 @@
+-- Range predicates on the rollup's sale_date keep this sargable; the previous
+-- EXTRACT(YEAR/MONTH FROM invoice_date) filter could not use any index.
+-- Reads the rollup from 003_sales_rollup.
+CREATE OR REPLACE FUNCTION get_monthly_sales(year_input INT, month_input INT)
+RETURNS NUMERIC AS $$
+DECLARE
+  month_start DATE := make_date(year_input, month_input, 1);
+BEGIN
+  RETURN (
+    SELECT COALESCE(SUM(revenue), 0)
+    FROM sales_rollup_daily
+    WHERE sale_date >= month_start
+      AND sale_date < (month_start + INTERVAL '1 month')::date
+  );
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Same total straight from retail, for ad hoc ranges finer than a day
+CREATE OR REPLACE FUNCTION get_sales_between(from_input TIMESTAMP, to_input TIMESTAMP)
+RETURNS NUMERIC AS $$
+BEGIN
+  RETURN (
+    SELECT COALESCE(SUM(quantity * unit_price), 0)
+    FROM retail
+    WHERE invoice_date >= from_input
+      AND invoice_date < to_input
+  );
+END;
+$$ LANGUAGE plpgsql STABLE;
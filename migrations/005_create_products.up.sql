@@ -0,0 +1,18 @@
+-- Product catalogue served by /api/products
+CREATE TABLE IF NOT EXISTS products (
+  product_id     SERIAL PRIMARY KEY,
+  stock_code     VARCHAR(20)   NOT NULL UNIQUE,
+  description    TEXT          NOT NULL,
+  category_id    INTEGER,
+  unit_price     NUMERIC(10,2) CHECK (unit_price > 0),
+  stock_quantity INTEGER       NOT NULL DEFAULT 0 CHECK (stock_quantity >= 0),
+  reorder_level  INTEGER       NOT NULL DEFAULT 10 CHECK (reorder_level >= 0),
+  supplier_info  TEXT,
+  is_active      BOOLEAN       NOT NULL DEFAULT TRUE,
+  weight         NUMERIC(10,3),
+  dimensions     TEXT,
+  created_at     TIMESTAMPTZ   NOT NULL DEFAULT now(),
+  updated_at     TIMESTAMPTZ   NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS products_category_id_idx ON products (category_id);
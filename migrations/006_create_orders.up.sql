@@ -0,0 +1,29 @@
+-- Orders and their lines, referenced by the product analytics and delete checks
+CREATE TABLE IF NOT EXISTS orders (
+  id          SERIAL PRIMARY KEY,
+  customer_id INTEGER,
+  status      VARCHAR(20) NOT NULL DEFAULT 'pending',
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS order_items (
+  id         SERIAL PRIMARY KEY,
+  order_id   INTEGER       NOT NULL REFERENCES orders (id) ON DELETE CASCADE,
+  product_id INTEGER       NOT NULL REFERENCES products (product_id),
+  quantity   INTEGER       NOT NULL CHECK (quantity > 0),
+  unit_price NUMERIC(10,2) NOT NULL CHECK (unit_price >= 0)
+);
+
+CREATE INDEX IF NOT EXISTS order_items_order_id_idx ON order_items (order_id);
+CREATE INDEX IF NOT EXISTS order_items_product_id_idx ON order_items (product_id);
+
+CREATE TABLE IF NOT EXISTS inventory_movements (
+  id            SERIAL PRIMARY KEY,
+  product_id    INTEGER     NOT NULL REFERENCES products (product_id),
+  movement_type VARCHAR(20) NOT NULL,
+  quantity      INTEGER     NOT NULL,
+  reference     TEXT,
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS inventory_movements_product_id_idx ON inventory_movements (product_id);
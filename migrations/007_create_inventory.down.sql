@@ -0,0 +1,9 @@
+DROP FUNCTION IF EXISTS get_table_performance_metrics(TEXT);
+DROP FUNCTION IF EXISTS adjust_inventory(VARCHAR, INTEGER, TEXT);
+DROP FUNCTION IF EXISTS get_inventory_status();
+DROP TRIGGER IF EXISTS trg_update_inventory_from_retail ON retail;
+DROP FUNCTION IF EXISTS update_inventory_from_retail();
+DROP TRIGGER IF EXISTS trg_check_low_stock ON inventory;
+DROP FUNCTION IF EXISTS check_low_stock();
+DROP TABLE IF EXISTS low_stock_alerts;
+DROP TABLE IF EXISTS inventory;
@@ -0,0 +1,141 @@
+-- Stock levels per stock_code, kept in step with retail sales by trigger
+CREATE TABLE IF NOT EXISTS inventory (
+  stock_code      VARCHAR(20) PRIMARY KEY,
+  product_name    TEXT,
+  current_stock   INTEGER     NOT NULL DEFAULT 0,
+  reserved_stock  INTEGER     NOT NULL DEFAULT 0 CHECK (reserved_stock >= 0),
+  available_stock INTEGER     GENERATED ALWAYS AS (current_stock - reserved_stock) STORED,
+  reorder_level   INTEGER     NOT NULL DEFAULT 10 CHECK (reorder_level >= 0),
+  last_updated    TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS low_stock_alerts (
+  id              SERIAL PRIMARY KEY,
+  stock_code      VARCHAR(20) NOT NULL REFERENCES inventory (stock_code) ON DELETE CASCADE,
+  current_stock   INTEGER     NOT NULL,
+  available_stock INTEGER     NOT NULL,
+  reorder_level   INTEGER     NOT NULL,
+  alert_time      TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS low_stock_alerts_stock_code_idx ON low_stock_alerts (stock_code);
+
+-- Raise an alert when available stock crosses down to the reorder level
+CREATE OR REPLACE FUNCTION check_low_stock()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.available_stock <= NEW.reorder_level
+     AND (TG_OP = 'INSERT' OR OLD.available_stock > OLD.reorder_level) THEN
+    INSERT INTO low_stock_alerts (stock_code, current_stock, available_stock, reorder_level)
+    VALUES (NEW.stock_code, NEW.current_stock, NEW.available_stock, NEW.reorder_level);
+  END IF;
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_check_low_stock ON inventory;
+CREATE TRIGGER trg_check_low_stock
+AFTER INSERT OR UPDATE OF current_stock, reserved_stock, reorder_level ON inventory
+FOR EACH ROW
+EXECUTE FUNCTION check_low_stock();
+
+-- Each retail line sells stock; deleting or editing a line gives it back first
+CREATE OR REPLACE FUNCTION update_inventory_from_retail()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP IN ('UPDATE', 'DELETE') THEN
+    UPDATE inventory
+    SET current_stock = current_stock + OLD.quantity,
+        last_updated = now()
+    WHERE stock_code = OLD.stock_code;
+  END IF;
+
+  IF TG_OP IN ('INSERT', 'UPDATE') THEN
+    UPDATE inventory
+    SET current_stock = current_stock - NEW.quantity,
+        last_updated = now()
+    WHERE stock_code = NEW.stock_code;
+  END IF;
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_update_inventory_from_retail ON retail;
+CREATE TRIGGER trg_update_inventory_from_retail
+AFTER INSERT OR UPDATE OF stock_code, quantity OR DELETE ON retail
+FOR EACH ROW
+EXECUTE FUNCTION update_inventory_from_retail();
+
+CREATE OR REPLACE FUNCTION get_inventory_status()
+RETURNS TABLE (
+  stock_code      VARCHAR,
+  product_name    TEXT,
+  current_stock   INTEGER,
+  reserved_stock  INTEGER,
+  available_stock INTEGER,
+  reorder_level   INTEGER,
+  status          TEXT,
+  last_updated    TIMESTAMPTZ
+) AS $$
+  SELECT
+    i.stock_code,
+    i.product_name,
+    i.current_stock,
+    i.reserved_stock,
+    i.available_stock,
+    i.reorder_level,
+    CASE
+      WHEN i.available_stock <= 0 THEN 'OUT_OF_STOCK'
+      WHEN i.available_stock <= i.reorder_level THEN 'LOW_STOCK'
+      ELSE 'IN_STOCK'
+    END,
+    i.last_updated
+  FROM inventory i
+  ORDER BY i.available_stock, i.stock_code;
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION adjust_inventory(p_stock_code VARCHAR, p_adjustment INTEGER, p_reason TEXT DEFAULT 'Manual adjustment')
+RETURNS VOID AS $$
+BEGIN
+  UPDATE inventory
+  SET current_stock = current_stock + p_adjustment,
+      last_updated = now()
+  WHERE stock_code = p_stock_code;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Stock code % not found in inventory', p_stock_code;
+  END IF;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION get_table_performance_metrics(p_table_name TEXT)
+RETURNS TABLE (
+  table_name       TEXT,
+  total_size       TEXT,
+  table_size       TEXT,
+  index_size       TEXT,
+  live_rows        BIGINT,
+  dead_rows        BIGINT,
+  seq_scans        BIGINT,
+  index_scans      BIGINT,
+  last_vacuum      TIMESTAMPTZ,
+  last_autovacuum  TIMESTAMPTZ,
+  last_analyze     TIMESTAMPTZ
+) AS $$
+  SELECT
+    s.relname::text,
+    pg_size_pretty(pg_total_relation_size(s.relid)),
+    pg_size_pretty(pg_relation_size(s.relid)),
+    pg_size_pretty(pg_indexes_size(s.relid)),
+    s.n_live_tup,
+    s.n_dead_tup,
+    s.seq_scan,
+    s.idx_scan,
+    s.last_vacuum,
+    s.last_autovacuum,
+    GREATEST(s.last_analyze, s.last_autoanalyze)
+  FROM pg_stat_user_tables s
+  WHERE s.relname = p_table_name;
+$$ LANGUAGE sql STABLE;
@@ -0,0 +1,5 @@
+DROP TRIGGER IF EXISTS trg_retail_row_version ON retail;
+DROP TRIGGER IF EXISTS trg_products_row_version ON products;
+DROP FUNCTION IF EXISTS bump_row_version();
+ALTER TABLE retail DROP COLUMN IF EXISTS row_version;
+ALTER TABLE products DROP COLUMN IF EXISTS row_version;
@@ -0,0 +1,24 @@
+-- Row versions back the ETag / If-Match optimistic concurrency on products and retail.
+-- Every UPDATE bumps the version, whichever code path issues it.
+ALTER TABLE products ADD COLUMN IF NOT EXISTS row_version INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE retail ADD COLUMN IF NOT EXISTS row_version INTEGER NOT NULL DEFAULT 1;
+
+CREATE OR REPLACE FUNCTION bump_row_version()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.row_version := OLD.row_version + 1;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_products_row_version ON products;
+CREATE TRIGGER trg_products_row_version
+BEFORE UPDATE ON products
+FOR EACH ROW
+EXECUTE FUNCTION bump_row_version();
+
+DROP TRIGGER IF EXISTS trg_retail_row_version ON retail;
+CREATE TRIGGER trg_retail_row_version
+BEFORE UPDATE ON retail
+FOR EACH ROW
+EXECUTE FUNCTION bump_row_version();
@@ -0,0 +1,5 @@
+DROP TABLE IF EXISTS inventory_movements_archive;
+DROP TABLE IF EXISTS order_items_archive;
+DROP TABLE IF EXISTS products_archive;
+DROP INDEX IF EXISTS products_live_stock_code_idx;
+ALTER TABLE products DROP COLUMN IF EXISTS deleted_at;
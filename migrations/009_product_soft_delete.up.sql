@@ -0,0 +1,34 @@
+-- Soft delete for products: deleted rows keep their history and can be restored.
+ALTER TABLE products ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS products_live_stock_code_idx ON products (stock_code) WHERE deleted_at IS NULL;
+
+-- A purge moves the product and everything referencing it here before deleting.
+-- Rows are kept as JSONB snapshots so later column changes never break archiving.
+CREATE TABLE IF NOT EXISTS products_archive (
+  product_id  INTEGER     PRIMARY KEY,
+  stock_code  VARCHAR(20) NOT NULL,
+  data        JSONB       NOT NULL,
+  archived_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS products_archive_stock_code_idx ON products_archive (stock_code);
+
+CREATE TABLE IF NOT EXISTS order_items_archive (
+  id          INTEGER     PRIMARY KEY,
+  order_id    INTEGER     NOT NULL,
+  product_id  INTEGER     NOT NULL,
+  data        JSONB       NOT NULL,
+  archived_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS order_items_archive_product_id_idx ON order_items_archive (product_id);
+
+CREATE TABLE IF NOT EXISTS inventory_movements_archive (
+  id          INTEGER     PRIMARY KEY,
+  product_id  INTEGER     NOT NULL,
+  data        JSONB       NOT NULL,
+  archived_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS inventory_movements_archive_product_id_idx ON inventory_movements_archive (product_id);
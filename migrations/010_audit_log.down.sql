@@ -0,0 +1,5 @@
+DROP TRIGGER IF EXISTS trg_audit_inventory ON inventory;
+DROP TRIGGER IF EXISTS trg_audit_retail ON retail;
+DROP TRIGGER IF EXISTS trg_audit_products ON products;
+DROP FUNCTION IF EXISTS audit_row_change();
+DROP TABLE IF EXISTS audit_log;
@@ -0,0 +1,64 @@
+-- Row-level audit trail for products, retail and inventory.
+-- The API tags each connection with app.actor and app.request_id before writing;
+-- changes made outside the API are attributed to the database user.
+CREATE TABLE IF NOT EXISTS audit_log (
+  id         BIGSERIAL   PRIMARY KEY,
+  table_name TEXT        NOT NULL,
+  entity_id  TEXT        NOT NULL,
+  operation  VARCHAR(6)  NOT NULL CHECK (operation IN ('INSERT', 'UPDATE', 'DELETE')),
+  old_row    JSONB,
+  new_row    JSONB,
+  actor      TEXT        NOT NULL,
+  request_id TEXT,
+  changed_at TIMESTAMPTZ NOT NULL DEFAULT clock_timestamp()
+);
+
+CREATE INDEX IF NOT EXISTS audit_log_entity_idx ON audit_log (table_name, entity_id, changed_at);
+CREATE INDEX IF NOT EXISTS audit_log_actor_idx ON audit_log (actor, changed_at);
+CREATE INDEX IF NOT EXISTS audit_log_changed_at_idx ON audit_log (changed_at);
+CREATE INDEX IF NOT EXISTS audit_log_request_id_idx ON audit_log (request_id) WHERE request_id IS NOT NULL;
+
+-- TG_ARGV[0] names the key column that identifies the entity
+CREATE OR REPLACE FUNCTION audit_row_change()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_old JSONB := CASE WHEN TG_OP IN ('UPDATE', 'DELETE') THEN to_jsonb(OLD) END;
+  v_new JSONB := CASE WHEN TG_OP IN ('INSERT', 'UPDATE') THEN to_jsonb(NEW) END;
+BEGIN
+  -- Updates that change nothing but the row version are not worth a history entry
+  IF TG_OP = 'UPDATE' AND (v_old - 'row_version') = (v_new - 'row_version') THEN
+    RETURN NULL;
+  END IF;
+
+  INSERT INTO audit_log (table_name, entity_id, operation, old_row, new_row, actor, request_id)
+  VALUES (
+    TG_TABLE_NAME,
+    COALESCE(v_new, v_old) ->> TG_ARGV[0],
+    TG_OP,
+    v_old,
+    v_new,
+    COALESCE(NULLIF(current_setting('app.actor', true), ''), 'db:' || session_user),
+    NULLIF(current_setting('app.request_id', true), '')
+  );
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_audit_products ON products;
+CREATE TRIGGER trg_audit_products
+AFTER INSERT OR UPDATE OR DELETE ON products
+FOR EACH ROW
+EXECUTE FUNCTION audit_row_change('product_id');
+
+DROP TRIGGER IF EXISTS trg_audit_retail ON retail;
+CREATE TRIGGER trg_audit_retail
+AFTER INSERT OR UPDATE OR DELETE ON retail
+FOR EACH ROW
+EXECUTE FUNCTION audit_row_change('id');
+
+DROP TRIGGER IF EXISTS trg_audit_inventory ON inventory;
+CREATE TRIGGER trg_audit_inventory
+AFTER INSERT OR UPDATE OR DELETE ON inventory
+FOR EACH ROW
+EXECUTE FUNCTION audit_row_change('stock_code');
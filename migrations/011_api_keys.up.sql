@@ -0,0 +1,12 @@
+-- API keys for service callers. Only the SHA-256 of a key is stored; the key
+-- itself is shown once, when scripts/api-key.js creates it.
+CREATE TABLE IF NOT EXISTS api_keys (
+  id           SERIAL      PRIMARY KEY,
+  name         TEXT        NOT NULL UNIQUE,
+  key_hash     CHAR(64)    NOT NULL UNIQUE,
+  key_prefix   TEXT        NOT NULL,
+  role         TEXT        NOT NULL CHECK (role IN ('viewer', 'clerk', 'inventory_manager', 'dba')),
+  created_at   TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  last_used_at TIMESTAMPTZ,
+  revoked_at   TIMESTAMPTZ
+);
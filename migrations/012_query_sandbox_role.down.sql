@@ -0,0 +1,4 @@
+ALTER DEFAULT PRIVILEGES IN SCHEMA public REVOKE SELECT ON TABLES FROM retail_sandbox;
+REVOKE SELECT ON ALL TABLES IN SCHEMA public FROM retail_sandbox;
+REVOKE USAGE ON SCHEMA public FROM retail_sandbox;
+DROP ROLE IF EXISTS retail_sandbox;
@@ -0,0 +1,22 @@
+-- Read-only role that POST /performance/query-analysis runs submitted queries as.
+-- It is created without a password; to enable the endpoint run
+--   ALTER ROLE retail_sandbox WITH LOGIN PASSWORD '...';
+-- and set SANDBOX_DB_PASSWORD (and SANDBOX_DB_USER if you use another name).
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_roles WHERE rolname = 'retail_sandbox') THEN
+    CREATE ROLE retail_sandbox NOLOGIN;
+  END IF;
+END
+$$;
+
+-- Belt and braces: the API opens a READ ONLY transaction with its own timeout as well
+ALTER ROLE retail_sandbox SET default_transaction_read_only = on;
+ALTER ROLE retail_sandbox SET statement_timeout = '5s';
+
+GRANT USAGE ON SCHEMA public TO retail_sandbox;
+GRANT SELECT ON ALL TABLES IN SCHEMA public TO retail_sandbox;
+ALTER DEFAULT PRIVILEGES IN SCHEMA public GRANT SELECT ON TABLES TO retail_sandbox;
+
+-- Credentials are never readable from the sandbox, even as hashes
+REVOKE ALL ON api_keys FROM retail_sandbox;
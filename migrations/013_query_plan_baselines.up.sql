@@ -0,0 +1,11 @@
+-- Named EXPLAIN ANALYZE results that later runs of the same query are compared against
+CREATE TABLE IF NOT EXISTS query_plan_baselines (
+  id          SERIAL      PRIMARY KEY,
+  name        TEXT        NOT NULL UNIQUE,
+  description TEXT,
+  query       TEXT        NOT NULL,
+  summary     JSONB       NOT NULL,
+  plan        JSONB       NOT NULL,
+  created_by  TEXT        NOT NULL,
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,53 @@
+DROP TRIGGER IF EXISTS trg_inventory_opening_balance ON inventory;
+DROP FUNCTION IF EXISTS record_opening_balance();
+
+DROP FUNCTION IF EXISTS adjust_inventory(VARCHAR, INTEGER, TEXT, VARCHAR, TEXT);
+CREATE OR REPLACE FUNCTION adjust_inventory(p_stock_code VARCHAR, p_adjustment INTEGER, p_reason TEXT DEFAULT 'Manual adjustment')
+RETURNS VOID AS $$
+BEGIN
+  UPDATE inventory
+  SET current_stock = current_stock + p_adjustment,
+      last_updated = now()
+  WHERE stock_code = p_stock_code;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Stock code % not found in inventory', p_stock_code;
+  END IF;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION update_inventory_from_retail()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP IN ('UPDATE', 'DELETE') THEN
+    UPDATE inventory
+    SET current_stock = current_stock + OLD.quantity,
+        last_updated = now()
+    WHERE stock_code = OLD.stock_code;
+  END IF;
+
+  IF TG_OP IN ('INSERT', 'UPDATE') THEN
+    UPDATE inventory
+    SET current_stock = current_stock - NEW.quantity,
+        last_updated = now()
+    WHERE stock_code = NEW.stock_code;
+  END IF;
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP FUNCTION IF EXISTS post_inventory_movement(VARCHAR, INTEGER, VARCHAR, TEXT, TEXT, INTEGER);
+
+-- Movements for stock codes without a product cannot satisfy the old NOT NULL product_id
+DELETE FROM inventory_movements WHERE product_id IS NULL;
+DROP INDEX IF EXISTS inventory_movements_stock_code_idx;
+ALTER TABLE inventory_movements
+  DROP CONSTRAINT IF EXISTS inventory_movements_type_check,
+  DROP COLUMN IF EXISTS request_id,
+  DROP COLUMN IF EXISTS actor,
+  DROP COLUMN IF EXISTS note,
+  DROP COLUMN IF EXISTS retail_id,
+  DROP COLUMN IF EXISTS balance_after,
+  DROP COLUMN IF EXISTS stock_code,
+  ALTER COLUMN product_id SET NOT NULL;
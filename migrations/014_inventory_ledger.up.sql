@@ -0,0 +1,156 @@
+-- Inventory ledger: every change to inventory.current_stock is posted through
+-- post_inventory_movement() as a typed row in inventory_movements, so stock on
+-- hand at any past moment is the sum of the movements up to it.
+ALTER TABLE inventory_movements
+  ALTER COLUMN product_id DROP NOT NULL,
+  ADD COLUMN IF NOT EXISTS stock_code    VARCHAR(20),
+  ADD COLUMN IF NOT EXISTS balance_after INTEGER,
+  ADD COLUMN IF NOT EXISTS retail_id     INTEGER,
+  ADD COLUMN IF NOT EXISTS note          TEXT,
+  ADD COLUMN IF NOT EXISTS actor         TEXT,
+  ADD COLUMN IF NOT EXISTS request_id    TEXT;
+
+UPDATE inventory_movements m
+SET stock_code = p.stock_code
+FROM products p
+WHERE p.product_id = m.product_id AND m.stock_code IS NULL;
+
+-- NOT VALID: rows written before the ledger existed keep whatever type they had
+ALTER TABLE inventory_movements
+  ADD CONSTRAINT inventory_movements_type_check CHECK (movement_type IN (
+    'opening_balance', 'sale', 'cancellation', 'return', 'receipt', 'adjustment', 'correction'
+  )) NOT VALID;
+
+CREATE INDEX IF NOT EXISTS inventory_movements_stock_code_idx ON inventory_movements (stock_code, created_at, id);
+
+-- Changes current_stock by p_quantity and records it; returns NULL when the stock code has no inventory row
+CREATE OR REPLACE FUNCTION post_inventory_movement(
+  p_stock_code    VARCHAR,
+  p_quantity      INTEGER,
+  p_movement_type VARCHAR,
+  p_reference     TEXT DEFAULT NULL,
+  p_note          TEXT DEFAULT NULL,
+  p_retail_id     INTEGER DEFAULT NULL
+)
+RETURNS inventory_movements AS $$
+DECLARE
+  v_balance  INTEGER;
+  v_movement inventory_movements;
+BEGIN
+  UPDATE inventory
+  SET current_stock = current_stock + p_quantity,
+      last_updated = now()
+  WHERE stock_code = p_stock_code
+  RETURNING current_stock INTO v_balance;
+
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+
+  INSERT INTO inventory_movements (
+    product_id, stock_code, movement_type, quantity, balance_after,
+    reference, note, retail_id, actor, request_id
+  )
+  VALUES (
+    (SELECT product_id FROM products WHERE stock_code = p_stock_code),
+    p_stock_code, p_movement_type, p_quantity, v_balance,
+    p_reference, p_note, p_retail_id,
+    COALESCE(NULLIF(current_setting('app.actor', true), ''), 'db:' || session_user),
+    NULLIF(current_setting('app.request_id', true), '')
+  )
+  RETURNING * INTO v_movement;
+
+  RETURN v_movement;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Sales and cancellation invoices move stock; editing or deleting a line first posts a correction giving it back
+CREATE OR REPLACE FUNCTION update_inventory_from_retail()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP IN ('UPDATE', 'DELETE') THEN
+    PERFORM post_inventory_movement(
+      OLD.stock_code, OLD.quantity, 'correction', OLD.invoice_no,
+      format('Invoice line %s %s', OLD.id, CASE WHEN TG_OP = 'DELETE' THEN 'deleted' ELSE 'changed' END),
+      OLD.id
+    );
+  END IF;
+
+  IF TG_OP IN ('INSERT', 'UPDATE') THEN
+    PERFORM post_inventory_movement(
+      NEW.stock_code, -NEW.quantity,
+      CASE WHEN NEW.invoice_no LIKE 'C%' THEN 'cancellation' ELSE 'sale' END,
+      NEW.invoice_no, NULL, NEW.id
+    );
+  END IF;
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Manual changes: stock counts, customer returns and deliveries
+DROP FUNCTION IF EXISTS adjust_inventory(VARCHAR, INTEGER, TEXT);
+CREATE OR REPLACE FUNCTION adjust_inventory(
+  p_stock_code    VARCHAR,
+  p_adjustment    INTEGER,
+  p_reason        TEXT DEFAULT 'Manual adjustment',
+  p_movement_type VARCHAR DEFAULT 'adjustment',
+  p_reference     TEXT DEFAULT NULL
+)
+RETURNS inventory_movements AS $$
+DECLARE
+  v_movement inventory_movements;
+BEGIN
+  IF p_movement_type NOT IN ('adjustment', 'return', 'receipt') THEN
+    RAISE EXCEPTION 'Movement type % cannot be posted manually', p_movement_type;
+  END IF;
+
+  v_movement := post_inventory_movement(p_stock_code, p_adjustment, p_movement_type, p_reference, p_reason);
+
+  IF v_movement IS NULL THEN
+    RAISE EXCEPTION 'Stock code % not found in inventory', p_stock_code;
+  END IF;
+
+  RETURN v_movement;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Stock an inventory row is created with is its opening balance
+CREATE OR REPLACE FUNCTION record_opening_balance()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.current_stock <> 0 THEN
+    INSERT INTO inventory_movements (product_id, stock_code, movement_type, quantity, balance_after, actor, request_id)
+    VALUES (
+      (SELECT product_id FROM products WHERE stock_code = NEW.stock_code),
+      NEW.stock_code, 'opening_balance', NEW.current_stock, NEW.current_stock,
+      COALESCE(NULLIF(current_setting('app.actor', true), ''), 'db:' || session_user),
+      NULLIF(current_setting('app.request_id', true), '')
+    );
+  END IF;
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_inventory_opening_balance ON inventory;
+CREATE TRIGGER trg_inventory_opening_balance
+AFTER INSERT ON inventory
+FOR EACH ROW
+EXECUTE FUNCTION record_opening_balance();
+
+-- The ledger starts now: open each existing row at whatever its movements do not already explain
+INSERT INTO inventory_movements (product_id, stock_code, movement_type, quantity, balance_after, note, actor)
+SELECT
+  (SELECT product_id FROM products p WHERE p.stock_code = i.stock_code),
+  i.stock_code,
+  'opening_balance',
+  i.current_stock - COALESCE(m.total, 0),
+  i.current_stock,
+  'Stock on hand when the ledger was introduced',
+  'db:' || session_user
+FROM inventory i
+LEFT JOIN (
+  SELECT stock_code, SUM(quantity) AS total FROM inventory_movements GROUP BY stock_code
+) m ON m.stock_code = i.stock_code
+WHERE i.current_stock - COALESCE(m.total, 0) <> 0;
@@ -0,0 +1,112 @@
+DROP TRIGGER IF EXISTS trg_release_order_stock ON orders;
+DROP FUNCTION IF EXISTS release_order_stock();
+DROP TRIGGER IF EXISTS trg_apply_order_status ON orders;
+DROP FUNCTION IF EXISTS apply_order_status();
+DROP TRIGGER IF EXISTS trg_reserve_order_stock ON order_items;
+DROP FUNCTION IF EXISTS reserve_order_stock();
+
+-- Back to the 014 trigger: every line sells stock
+CREATE OR REPLACE FUNCTION update_inventory_from_retail()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP IN ('UPDATE', 'DELETE') THEN
+    PERFORM post_inventory_movement(
+      OLD.stock_code, OLD.quantity, 'correction', OLD.invoice_no,
+      format('Invoice line %s %s', OLD.id, CASE WHEN TG_OP = 'DELETE' THEN 'deleted' ELSE 'changed' END),
+      OLD.id
+    );
+  END IF;
+
+  IF TG_OP IN ('INSERT', 'UPDATE') THEN
+    PERFORM post_inventory_movement(
+      NEW.stock_code, -NEW.quantity,
+      CASE WHEN NEW.invoice_no LIKE 'C%' THEN 'cancellation' ELSE 'sale' END,
+      NEW.invoice_no, NULL, NEW.id
+    );
+  END IF;
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_update_inventory_from_retail ON retail;
+CREATE TRIGGER trg_update_inventory_from_retail
+AFTER INSERT OR UPDATE OF stock_code, quantity OR DELETE ON retail
+FOR EACH ROW
+EXECUTE FUNCTION update_inventory_from_retail();
+
+DROP FUNCTION IF EXISTS retail_stock_change(VARCHAR, INTEGER);
+DROP FUNCTION IF EXISTS reserve_stock(VARCHAR, INTEGER);
+
+CREATE OR REPLACE FUNCTION post_inventory_movement(
+  p_stock_code    VARCHAR,
+  p_quantity      INTEGER,
+  p_movement_type VARCHAR,
+  p_reference     TEXT DEFAULT NULL,
+  p_note          TEXT DEFAULT NULL,
+  p_retail_id     INTEGER DEFAULT NULL
+)
+RETURNS inventory_movements AS $$
+DECLARE
+  v_balance  INTEGER;
+  v_movement inventory_movements;
+BEGIN
+  UPDATE inventory
+  SET current_stock = current_stock + p_quantity,
+      last_updated = now()
+  WHERE stock_code = p_stock_code
+  RETURNING current_stock INTO v_balance;
+
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+
+  INSERT INTO inventory_movements (
+    product_id, stock_code, movement_type, quantity, balance_after,
+    reference, note, retail_id, actor, request_id
+  )
+  VALUES (
+    (SELECT product_id FROM products WHERE stock_code = p_stock_code),
+    p_stock_code, p_movement_type, p_quantity, v_balance,
+    p_reference, p_note, p_retail_id,
+    COALESCE(NULLIF(current_setting('app.actor', true), ''), 'db:' || session_user),
+    NULLIF(current_setting('app.request_id', true), '')
+  )
+  RETURNING * INTO v_movement;
+
+  RETURN v_movement;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION enforce_positive_values()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.quantity < 0 THEN
+    RAISE EXCEPTION 'Quantity cannot be negative';
+  END IF;
+
+  IF NEW.unit_price < 0 THEN
+    RAISE EXCEPTION 'Unit price cannot be negative';
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Reservations only existed for pending orders
+UPDATE inventory i
+SET reserved_stock = GREATEST(i.reserved_stock - pending.quantity, 0)
+FROM (
+  SELECT p.stock_code, SUM(oi.quantity)::int AS quantity
+  FROM orders o
+  JOIN order_items oi ON oi.order_id = o.id
+  JOIN products p ON p.product_id = oi.product_id
+  WHERE o.status = 'pending'
+  GROUP BY p.stock_code
+) pending
+WHERE pending.stock_code = i.stock_code;
+
+ALTER TABLE orders
+  DROP CONSTRAINT IF EXISTS orders_status_check,
+  DROP COLUMN IF EXISTS cancelled_at,
+  DROP COLUMN IF EXISTS fulfilled_at;
@@ -0,0 +1,281 @@
+-- One stock model for orders and invoices:
+--   placing an order reserves stock (available_stock falls, current_stock does not),
+--   fulfilling it releases the reservation and posts a sale to the ledger,
+--   cancelling releases the reservation, or returns the stock if it was already fulfilled,
+--   cancellation lines in retail (C invoices or negative quantities) return stock.
+-- Anything that would leave available_stock below zero fails with SQLSTATE IS001,
+-- which the API answers with 409 INSUFFICIENT_STOCK.
+
+-- Left behind by the old "creating trigres.sql" script, which decremented retail.quantity
+DROP TRIGGER IF EXISTS trg_update_stock ON orders;
+DROP FUNCTION IF EXISTS update_stock();
+
+ALTER TABLE orders
+  ADD COLUMN IF NOT EXISTS fulfilled_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMPTZ,
+  ADD CONSTRAINT orders_status_check CHECK (status IN ('pending', 'fulfilled', 'cancelled')) NOT VALID;
+
+-- Orders placed before this migration reserve what their lines hold, so cancelling them later balances out
+UPDATE inventory i
+SET reserved_stock = i.reserved_stock + pending.quantity
+FROM (
+  SELECT p.stock_code, SUM(oi.quantity)::int AS quantity
+  FROM orders o
+  JOIN order_items oi ON oi.order_id = o.id
+  JOIN products p ON p.product_id = oi.product_id
+  WHERE o.status = 'pending'
+  GROUP BY p.stock_code
+) pending
+WHERE pending.stock_code = i.stock_code;
+
+-- Cancellation lines are stored with negative quantities, as in Online Retail II
+CREATE OR REPLACE FUNCTION enforce_positive_values()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.quantity = 0 THEN
+    RAISE EXCEPTION 'Quantity cannot be zero';
+  END IF;
+
+  IF NEW.unit_price < 0 THEN
+    RAISE EXCEPTION 'Unit price cannot be negative';
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Same as in 014, but refuses decreases that take more than is available
+CREATE OR REPLACE FUNCTION post_inventory_movement(
+  p_stock_code    VARCHAR,
+  p_quantity      INTEGER,
+  p_movement_type VARCHAR,
+  p_reference     TEXT DEFAULT NULL,
+  p_note          TEXT DEFAULT NULL,
+  p_retail_id     INTEGER DEFAULT NULL
+)
+RETURNS inventory_movements AS $$
+DECLARE
+  v_available INTEGER;
+  v_balance   INTEGER;
+  v_movement  inventory_movements;
+BEGIN
+  SELECT available_stock INTO v_available
+  FROM inventory
+  WHERE stock_code = p_stock_code
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+
+  IF p_quantity < 0 AND v_available + p_quantity < 0 THEN
+    RAISE EXCEPTION 'Insufficient stock for %: % available, % requested', p_stock_code, v_available, -p_quantity
+      USING ERRCODE = 'IS001';
+  END IF;
+
+  UPDATE inventory
+  SET current_stock = current_stock + p_quantity,
+      last_updated = now()
+  WHERE stock_code = p_stock_code
+  RETURNING current_stock INTO v_balance;
+
+  INSERT INTO inventory_movements (
+    product_id, stock_code, movement_type, quantity, balance_after,
+    reference, note, retail_id, actor, request_id
+  )
+  VALUES (
+    (SELECT product_id FROM products WHERE stock_code = p_stock_code),
+    p_stock_code, p_movement_type, p_quantity, v_balance,
+    p_reference, p_note, p_retail_id,
+    COALESCE(NULLIF(current_setting('app.actor', true), ''), 'db:' || session_user),
+    NULLIF(current_setting('app.request_id', true), '')
+  )
+  RETURNING * INTO v_movement;
+
+  RETURN v_movement;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Reserves p_quantity of a stock code, or releases it when negative
+CREATE OR REPLACE FUNCTION reserve_stock(p_stock_code VARCHAR, p_quantity INTEGER)
+RETURNS VOID AS $$
+DECLARE
+  v_available INTEGER;
+BEGIN
+  SELECT available_stock INTO v_available
+  FROM inventory
+  WHERE stock_code = p_stock_code
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Stock code % not found in inventory', p_stock_code;
+  END IF;
+
+  IF p_quantity > 0 AND v_available < p_quantity THEN
+    RAISE EXCEPTION 'Insufficient stock for %: % available, % requested', p_stock_code, v_available, p_quantity
+      USING ERRCODE = 'IS001';
+  END IF;
+
+  UPDATE inventory
+  SET reserved_stock = reserved_stock + p_quantity,
+      last_updated = now()
+  WHERE stock_code = p_stock_code;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Signed change a retail line makes to stock: sales take it, cancellation lines give it back
+CREATE OR REPLACE FUNCTION retail_stock_change(p_invoice_no VARCHAR, p_quantity INTEGER)
+RETURNS INTEGER AS $$
+  SELECT CASE
+    WHEN p_invoice_no LIKE 'C%' OR p_quantity < 0 THEN ABS(p_quantity)
+    ELSE -p_quantity
+  END;
+$$ LANGUAGE sql IMMUTABLE;
+
+CREATE OR REPLACE FUNCTION update_inventory_from_retail()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP IN ('UPDATE', 'DELETE') THEN
+    PERFORM post_inventory_movement(
+      OLD.stock_code, -retail_stock_change(OLD.invoice_no, OLD.quantity), 'correction', OLD.invoice_no,
+      format('Invoice line %s %s', OLD.id, CASE WHEN TG_OP = 'DELETE' THEN 'deleted' ELSE 'changed' END),
+      OLD.id
+    );
+  END IF;
+
+  IF TG_OP IN ('INSERT', 'UPDATE') THEN
+    PERFORM post_inventory_movement(
+      NEW.stock_code, retail_stock_change(NEW.invoice_no, NEW.quantity),
+      CASE WHEN retail_stock_change(NEW.invoice_no, NEW.quantity) > 0 THEN 'cancellation' ELSE 'sale' END,
+      NEW.invoice_no, NULL, NEW.id
+    );
+  END IF;
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+-- The invoice number decides whether a line is a cancellation, so changing it moves stock too
+DROP TRIGGER IF EXISTS trg_update_inventory_from_retail ON retail;
+CREATE TRIGGER trg_update_inventory_from_retail
+AFTER INSERT OR UPDATE OF stock_code, quantity, invoice_no OR DELETE ON retail
+FOR EACH ROW
+EXECUTE FUNCTION update_inventory_from_retail();
+
+-- Lines of a pending order hold a reservation; lines of a closed order cannot change
+CREATE OR REPLACE FUNCTION reserve_order_stock()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_status VARCHAR;
+BEGIN
+  IF TG_OP IN ('UPDATE', 'DELETE') THEN
+    SELECT status INTO v_status FROM orders WHERE id = OLD.order_id;
+
+    -- No order: the line is going with its order, which released its reservations
+    IF FOUND THEN
+      IF v_status <> 'pending' THEN
+        RAISE EXCEPTION 'Order % is %; its lines cannot be changed', OLD.order_id, v_status;
+      END IF;
+      PERFORM reserve_stock((SELECT stock_code FROM products WHERE product_id = OLD.product_id), -OLD.quantity);
+    END IF;
+  END IF;
+
+  IF TG_OP IN ('INSERT', 'UPDATE') THEN
+    SELECT status INTO v_status FROM orders WHERE id = NEW.order_id;
+
+    IF v_status <> 'pending' THEN
+      RAISE EXCEPTION 'Order % is %; lines can only be added to pending orders', NEW.order_id, v_status;
+    END IF;
+    PERFORM reserve_stock((SELECT stock_code FROM products WHERE product_id = NEW.product_id), NEW.quantity);
+  END IF;
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_reserve_order_stock ON order_items;
+CREATE TRIGGER trg_reserve_order_stock
+AFTER INSERT OR UPDATE OF product_id, quantity, order_id OR DELETE ON order_items
+FOR EACH ROW
+EXECUTE FUNCTION reserve_order_stock();
+
+-- Status changes move the stock: pending -> fulfilled turns reservations into a sale,
+-- pending -> cancelled releases them, fulfilled -> cancelled returns the goods.
+-- Lines are handled in stock_code order so concurrent orders lock inventory rows alike.
+CREATE OR REPLACE FUNCTION apply_order_status()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_line RECORD;
+BEGIN
+  IF NEW.status = OLD.status THEN
+    RETURN NEW;
+  END IF;
+
+  IF NOT (OLD.status = 'pending' AND NEW.status IN ('fulfilled', 'cancelled')
+          OR OLD.status = 'fulfilled' AND NEW.status = 'cancelled') THEN
+    RAISE EXCEPTION 'Order % cannot go from % to %', OLD.id, OLD.status, NEW.status;
+  END IF;
+
+  FOR v_line IN
+    SELECT p.stock_code, SUM(oi.quantity)::int AS quantity
+    FROM order_items oi
+    JOIN products p ON p.product_id = oi.product_id
+    WHERE oi.order_id = OLD.id
+    GROUP BY p.stock_code
+    ORDER BY p.stock_code
+  LOOP
+    IF OLD.status = 'pending' THEN
+      PERFORM reserve_stock(v_line.stock_code, -v_line.quantity);
+    END IF;
+
+    IF NEW.status = 'fulfilled' THEN
+      PERFORM post_inventory_movement(v_line.stock_code, -v_line.quantity, 'sale', 'Order ' || OLD.id);
+    ELSIF OLD.status = 'fulfilled' THEN
+      PERFORM post_inventory_movement(v_line.stock_code, v_line.quantity, 'cancellation', 'Order ' || OLD.id);
+    END IF;
+  END LOOP;
+
+  IF NEW.status = 'fulfilled' THEN
+    NEW.fulfilled_at := now();
+  ELSE
+    NEW.cancelled_at := now();
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_apply_order_status ON orders;
+CREATE TRIGGER trg_apply_order_status
+BEFORE UPDATE OF status ON orders
+FOR EACH ROW
+EXECUTE FUNCTION apply_order_status();
+
+-- Deleting a pending order gives back what it reserved; a fulfilled order's stock stays sold
+CREATE OR REPLACE FUNCTION release_order_stock()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_line RECORD;
+BEGIN
+  IF OLD.status = 'pending' THEN
+    FOR v_line IN
+      SELECT p.stock_code, SUM(oi.quantity)::int AS quantity
+      FROM order_items oi
+      JOIN products p ON p.product_id = oi.product_id
+      WHERE oi.order_id = OLD.id
+      GROUP BY p.stock_code
+      ORDER BY p.stock_code
+    LOOP
+      PERFORM reserve_stock(v_line.stock_code, -v_line.quantity);
+    END LOOP;
+  END IF;
+
+  RETURN OLD;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_release_order_stock ON orders;
+CREATE TRIGGER trg_release_order_stock
+BEFORE DELETE ON orders
+FOR EACH ROW
+EXECUTE FUNCTION release_order_stock();
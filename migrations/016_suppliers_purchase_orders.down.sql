@@ -0,0 +1,10 @@
+DROP TRIGGER IF EXISTS trg_audit_purchase_orders ON purchase_orders;
+DROP TRIGGER IF EXISTS trg_audit_suppliers ON suppliers;
+
+DROP TABLE IF EXISTS purchase_order_lines;
+DROP TABLE IF EXISTS purchase_orders;
+
+DROP INDEX IF EXISTS products_supplier_id_idx;
+ALTER TABLE products DROP COLUMN IF EXISTS supplier_id;
+
+DROP TABLE IF EXISTS suppliers;
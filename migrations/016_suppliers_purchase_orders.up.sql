@@ -0,0 +1,63 @@
+-- Suppliers and the purchase orders that restock inventory from them.
+-- A purchase order moves draft -> sent -> partially_received -> closed; it can be
+-- closed early from any open status. Receiving posts 'receipt' movements to the
+-- inventory ledger, so received goods show up in current_stock.
+CREATE TABLE IF NOT EXISTS suppliers (
+  id             SERIAL      PRIMARY KEY,
+  name           TEXT        NOT NULL UNIQUE,
+  contact_name   TEXT,
+  email          TEXT,
+  phone          TEXT,
+  lead_time_days INTEGER     CHECK (lead_time_days >= 0),
+  notes          TEXT,
+  is_active      BOOLEAN     NOT NULL DEFAULT TRUE,
+  created_at     TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at     TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- supplier_info stays as free text; supplier_id is what purchasing goes by
+ALTER TABLE products
+  ADD COLUMN IF NOT EXISTS supplier_id INTEGER REFERENCES suppliers (id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS products_supplier_id_idx ON products (supplier_id);
+
+CREATE TABLE IF NOT EXISTS purchase_orders (
+  id          SERIAL      PRIMARY KEY,
+  supplier_id INTEGER     NOT NULL REFERENCES suppliers (id),
+  status      VARCHAR(20) NOT NULL DEFAULT 'draft'
+              CHECK (status IN ('draft', 'sent', 'partially_received', 'closed')),
+  notes       TEXT,
+  created_by  TEXT,
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT now(),
+  sent_at     TIMESTAMPTZ,
+  closed_at   TIMESTAMPTZ,
+  updated_at  TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS purchase_orders_supplier_status_idx ON purchase_orders (supplier_id, status);
+CREATE INDEX IF NOT EXISTS purchase_orders_open_idx ON purchase_orders (status) WHERE status <> 'closed';
+
+CREATE TABLE IF NOT EXISTS purchase_order_lines (
+  id                SERIAL        PRIMARY KEY,
+  purchase_order_id INTEGER       NOT NULL REFERENCES purchase_orders (id) ON DELETE CASCADE,
+  stock_code        VARCHAR(20)   NOT NULL REFERENCES inventory (stock_code),
+  quantity_ordered  INTEGER       NOT NULL CHECK (quantity_ordered > 0),
+  quantity_received INTEGER       NOT NULL DEFAULT 0 CHECK (quantity_received >= 0),
+  unit_cost         NUMERIC(10,2) CHECK (unit_cost >= 0),
+  UNIQUE (purchase_order_id, stock_code),
+  CHECK (quantity_received <= quantity_ordered)
+);
+
+CREATE INDEX IF NOT EXISTS purchase_order_lines_stock_code_idx ON purchase_order_lines (stock_code);
+
+DROP TRIGGER IF EXISTS trg_audit_suppliers ON suppliers;
+CREATE TRIGGER trg_audit_suppliers
+AFTER INSERT OR UPDATE OR DELETE ON suppliers
+FOR EACH ROW
+EXECUTE FUNCTION audit_row_change('id');
+
+DROP TRIGGER IF EXISTS trg_audit_purchase_orders ON purchase_orders;
+CREATE TRIGGER trg_audit_purchase_orders
+AFTER INSERT OR UPDATE OR DELETE ON purchase_orders
+FOR EACH ROW
+EXECUTE FUNCTION audit_row_change('id');
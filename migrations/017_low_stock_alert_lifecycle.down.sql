@@ -0,0 +1,30 @@
+-- check_low_stock() as in 007: a new alert on every crossing down to the reorder level
+CREATE OR REPLACE FUNCTION check_low_stock()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.available_stock <= NEW.reorder_level
+     AND (TG_OP = 'INSERT' OR OLD.available_stock > OLD.reorder_level) THEN
+    INSERT INTO low_stock_alerts (stock_code, current_stock, available_stock, reorder_level)
+    VALUES (NEW.stock_code, NEW.current_stock, NEW.available_stock, NEW.reorder_level);
+  END IF;
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP FUNCTION IF EXISTS enqueue_webhook_event(TEXT, JSONB);
+
+DROP TABLE IF EXISTS webhook_deliveries;
+DROP TABLE IF EXISTS webhook_subscriptions;
+
+DROP INDEX IF EXISTS low_stock_alerts_status_alert_time_idx;
+DROP INDEX IF EXISTS low_stock_alerts_unresolved_stock_code_idx;
+
+ALTER TABLE low_stock_alerts
+  DROP CONSTRAINT IF EXISTS low_stock_alerts_status_check,
+  DROP COLUMN IF EXISTS resolved_available_stock,
+  DROP COLUMN IF EXISTS resolved_at,
+  DROP COLUMN IF EXISTS acknowledgement_note,
+  DROP COLUMN IF EXISTS acknowledged_by,
+  DROP COLUMN IF EXISTS acknowledged_at,
+  DROP COLUMN IF EXISTS status;
@@ -0,0 +1,134 @@
+-- Low-stock alerts get a lifecycle: open -> acknowledged (by someone through the API)
+-- -> resolved (automatically, once available stock is back above the reorder level).
+-- A stock code has at most one alert that is not resolved; it dropping further while
+-- low does not raise another.
+--
+-- Opening and resolving an alert queues a delivery for every webhook subscribed to
+-- the event, in the same transaction as the stock change. The API's webhook worker
+-- (lib/webhooks.js) sends them, signed with the subscription's secret.
+
+ALTER TABLE low_stock_alerts
+  ADD COLUMN IF NOT EXISTS status                   VARCHAR(20) NOT NULL DEFAULT 'open',
+  ADD COLUMN IF NOT EXISTS acknowledged_at          TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS acknowledged_by          TEXT,
+  ADD COLUMN IF NOT EXISTS acknowledgement_note     TEXT,
+  ADD COLUMN IF NOT EXISTS resolved_at              TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS resolved_available_stock INTEGER,
+  ADD CONSTRAINT low_stock_alerts_status_check CHECK (status IN ('open', 'acknowledged', 'resolved'));
+
+-- Until now every crossing added a row and none were ever closed: keep the newest alert
+-- of each stock code that is still low, and resolve the rest
+UPDATE low_stock_alerts
+SET status = 'resolved', resolved_at = now()
+WHERE id NOT IN (
+  SELECT DISTINCT ON (a.stock_code) a.id
+  FROM low_stock_alerts a
+  JOIN inventory i ON i.stock_code = a.stock_code
+  WHERE i.available_stock <= i.reorder_level
+  ORDER BY a.stock_code, a.alert_time DESC, a.id DESC
+);
+
+-- Stock codes that went low without an alert (stock loaded in bulk, say) get one now
+INSERT INTO low_stock_alerts (stock_code, current_stock, available_stock, reorder_level)
+SELECT i.stock_code, i.current_stock, i.available_stock, i.reorder_level
+FROM inventory i
+WHERE i.available_stock <= i.reorder_level
+  AND NOT EXISTS (
+    SELECT 1 FROM low_stock_alerts a
+    WHERE a.stock_code = i.stock_code AND a.status <> 'resolved'
+  );
+
+CREATE UNIQUE INDEX IF NOT EXISTS low_stock_alerts_unresolved_stock_code_idx
+  ON low_stock_alerts (stock_code) WHERE status <> 'resolved';
+CREATE INDEX IF NOT EXISTS low_stock_alerts_status_alert_time_idx ON low_stock_alerts (status, alert_time);
+
+CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+  id          SERIAL      PRIMARY KEY,
+  url         TEXT        NOT NULL,
+  events      TEXT[]      NOT NULL
+              CHECK (cardinality(events) > 0 AND events <@ ARRAY['alert.opened', 'alert.resolved']),
+  -- Kept in the clear because every delivery is signed with it
+  secret      TEXT        NOT NULL,
+  description TEXT,
+  is_active   BOOLEAN     NOT NULL DEFAULT TRUE,
+  created_by  TEXT,
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at  TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id                   BIGSERIAL   PRIMARY KEY,
+  subscription_id      INTEGER     NOT NULL REFERENCES webhook_subscriptions (id) ON DELETE CASCADE,
+  event                TEXT        NOT NULL,
+  payload              JSONB       NOT NULL,
+  status               VARCHAR(20) NOT NULL DEFAULT 'pending'
+                       CHECK (status IN ('pending', 'delivered', 'failed')),
+  attempts             INTEGER     NOT NULL DEFAULT 0,
+  next_attempt_at      TIMESTAMPTZ NOT NULL DEFAULT now(),
+  last_attempt_at      TIMESTAMPTZ,
+  last_response_status INTEGER,
+  last_error           TEXT,
+  delivered_at         TIMESTAMPTZ,
+  created_at           TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS webhook_deliveries_due_idx ON webhook_deliveries (next_attempt_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS webhook_deliveries_subscription_idx ON webhook_deliveries (subscription_id, created_at);
+
+-- Signing secrets are credentials: never readable from the sandbox, like api_keys
+REVOKE ALL ON webhook_subscriptions FROM retail_sandbox;
+REVOKE ALL ON webhook_deliveries FROM retail_sandbox;
+
+-- Queues one delivery per active subscription to p_event; returns how many were queued
+CREATE OR REPLACE FUNCTION enqueue_webhook_event(p_event TEXT, p_data JSONB)
+RETURNS INTEGER AS $$
+DECLARE
+  v_queued INTEGER;
+BEGIN
+  INSERT INTO webhook_deliveries (subscription_id, event, payload)
+  SELECT id, p_event, jsonb_build_object('event', p_event, 'occurred_at', now(), 'data', p_data)
+  FROM webhook_subscriptions
+  WHERE is_active AND p_event = ANY (events);
+
+  GET DIAGNOSTICS v_queued = ROW_COUNT;
+  RETURN v_queued;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Opens an alert when available stock is at or below the reorder level and none is
+-- unresolved yet; resolves it once available stock is above the reorder level again
+CREATE OR REPLACE FUNCTION check_low_stock()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_alert low_stock_alerts;
+BEGIN
+  IF NEW.available_stock <= NEW.reorder_level THEN
+    -- Checked first so stock codes that stay low do not burn a sequence value on every sale
+    IF NOT EXISTS (
+      SELECT 1 FROM low_stock_alerts WHERE stock_code = NEW.stock_code AND status <> 'resolved'
+    ) THEN
+      INSERT INTO low_stock_alerts (stock_code, current_stock, available_stock, reorder_level)
+      VALUES (NEW.stock_code, NEW.current_stock, NEW.available_stock, NEW.reorder_level)
+      ON CONFLICT (stock_code) WHERE status <> 'resolved' DO NOTHING
+      RETURNING * INTO v_alert;
+
+      IF v_alert.id IS NOT NULL THEN
+        PERFORM enqueue_webhook_event('alert.opened', to_jsonb(v_alert));
+      END IF;
+    END IF;
+  ELSE
+    UPDATE low_stock_alerts
+    SET status = 'resolved',
+        resolved_at = now(),
+        resolved_available_stock = NEW.available_stock
+    WHERE stock_code = NEW.stock_code AND status <> 'resolved'
+    RETURNING * INTO v_alert;
+
+    IF FOUND THEN
+      PERFORM enqueue_webhook_event('alert.resolved', to_jsonb(v_alert));
+    END IF;
+  END IF;
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
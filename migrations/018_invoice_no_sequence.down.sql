@@ -0,0 +1 @@
+DROP SEQUENCE IF EXISTS invoice_no_seq;
@@ -0,0 +1,10 @@
+-- Invoice numbers for POST /api/invoices when the caller does not supply one.
+-- Seeded once from the highest numeric invoice number; numbers taken since by
+-- imports or explicit invoice_no values are skipped by the API.
+CREATE SEQUENCE IF NOT EXISTS invoice_no_seq AS BIGINT;
+
+SELECT setval(
+  'invoice_no_seq',
+  COALESCE((SELECT MAX(invoice_no::bigint) FROM retail WHERE invoice_no ~ '^[0-9]+$'), 0) + 1,
+  false
+);
@@ -0,0 +1,73 @@
+ALTER TABLE sales_rollup_state ADD COLUMN IF NOT EXISTS last_incremental_update TIMESTAMPTZ;
+
+DROP TRIGGER IF EXISTS trg_sales_rollup_truncate ON retail;
+DROP FUNCTION IF EXISTS sales_rollup_on_retail_truncate();
+
+-- Statement level so bulk loads touch the state row once, not once per line
+CREATE OR REPLACE FUNCTION sales_rollup_touch()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'TRUNCATE' THEN
+    TRUNCATE sales_rollup_daily, sales_rollup_invoices;
+  END IF;
+
+  UPDATE sales_rollup_state SET last_incremental_update = now();
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_sales_rollup_touch ON retail;
+CREATE TRIGGER trg_sales_rollup_touch
+AFTER INSERT OR UPDATE OR DELETE OR TRUNCATE ON retail
+FOR EACH STATEMENT
+EXECUTE FUNCTION sales_rollup_touch();
+
+-- Adds (sign = 1) or removes (sign = -1) one retail line from the rollup
+CREATE OR REPLACE FUNCTION sales_rollup_apply(
+  p_invoice_date TIMESTAMP,
+  p_country      TEXT,
+  p_invoice_no   TEXT,
+  p_quantity     INT,
+  p_unit_price   NUMERIC,
+  p_sign         INT
+)
+RETURNS VOID AS $$
+DECLARE
+  v_date    DATE := p_invoice_date::date;
+  v_country TEXT := COALESCE(p_country, '');
+  v_lines   INT;
+BEGIN
+  INSERT INTO sales_rollup_invoices (sale_date, country, invoice_no, line_count)
+  VALUES (v_date, v_country, p_invoice_no, p_sign)
+  ON CONFLICT (sale_date, country, invoice_no)
+  DO UPDATE SET line_count = sales_rollup_invoices.line_count + p_sign
+  RETURNING line_count INTO v_lines;
+
+  IF v_lines <= 0 THEN
+    DELETE FROM sales_rollup_invoices
+    WHERE sale_date = v_date AND country = v_country AND invoice_no = p_invoice_no;
+  END IF;
+
+  INSERT INTO sales_rollup_daily (sale_date, country, revenue, quantity, line_count, invoice_count)
+  VALUES (
+    v_date,
+    v_country,
+    p_sign * p_quantity * p_unit_price,
+    p_sign * p_quantity,
+    p_sign,
+    CASE
+      WHEN p_sign = 1 AND v_lines = 1 THEN 1
+      WHEN p_sign = -1 AND v_lines <= 0 THEN -1
+      ELSE 0
+    END
+  )
+  ON CONFLICT (sale_date, country) DO UPDATE SET
+    revenue       = sales_rollup_daily.revenue + EXCLUDED.revenue,
+    quantity      = sales_rollup_daily.quantity + EXCLUDED.quantity,
+    line_count    = sales_rollup_daily.line_count + EXCLUDED.line_count,
+    invoice_count = sales_rollup_daily.invoice_count + EXCLUDED.invoice_count;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP INDEX IF EXISTS sales_rollup_daily_updated_at_idx;
+ALTER TABLE sales_rollup_daily DROP COLUMN IF EXISTS updated_at;
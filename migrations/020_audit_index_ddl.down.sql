@@ -0,0 +1,6 @@
+-- The narrower check cannot hold while index entries remain, so they are removed
+DELETE FROM audit_log WHERE operation IN ('CREATE', 'DROP');
+
+ALTER TABLE audit_log DROP CONSTRAINT IF EXISTS audit_log_operation_check;
+ALTER TABLE audit_log ADD CONSTRAINT audit_log_operation_check
+  CHECK (operation IN ('INSERT', 'UPDATE', 'DELETE'));
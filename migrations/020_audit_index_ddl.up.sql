@@ -0,0 +1,8 @@
+-- Index advisor statements run through the API are recorded in audit_log next to
+-- row changes: table_name 'indexes', entity_id the schema-qualified index name,
+-- operation CREATE or DROP, and new_row holding the statement and its outcome.
+-- Failed attempts are recorded too.
+
+ALTER TABLE audit_log DROP CONSTRAINT IF EXISTS audit_log_operation_check;
+ALTER TABLE audit_log ADD CONSTRAINT audit_log_operation_check
+  CHECK (operation IN ('INSERT', 'UPDATE', 'DELETE', 'CREATE', 'DROP'));
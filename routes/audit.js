@@ -0,0 +1,211 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const Joi = require('joi');
+const { validate } = require('../lib/validation');
+const { requireRole } = require('../lib/auth');
+const { dateTime, pageSize, cursor } = require('../lib/schemas');
+
+// Tables with an audit trigger, see migrations/010_audit_log.up.sql and 016, plus
+// indexes, where the index advisor records the statements it runs (020)
+const AUDITED_TABLES = ['products', 'retail', 'inventory', 'suppliers', 'purchase_orders', 'indexes'];
+
+const AUDIT_COLUMNS = [
+  'id', 'table_name', 'entity_id', 'operation', 'old_row', 'new_row',
+  'actor', 'request_id', 'changed_at'
+];
+
+const auditQuery = Joi.object({
+  table: Joi.string().valid(...AUDITED_TABLES),
+  entity_id: Joi.string().trim().max(100),
+  actor: Joi.string().trim().max(100),
+  request_id: Joi.string().trim().max(100),
+  operation: Joi.string().uppercase().valid('INSERT', 'UPDATE', 'DELETE', 'CREATE', 'DROP'),
+  from: dateTime(),
+  to: dateTime(),
+  limit: pageSize(500, 50),
+  cursor: cursor(),
+}).with('entity_id', 'table')
+  .messages({ 'object.with': '{{#mainWithLabel}} requires {{#peerWithLabel}}, since entity ids are only unique per table' });
+
+const encodeCursor = (changedAt, id) => Buffer.from(JSON.stringify([changedAt, id])).toString('base64url');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuditEntry:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         table_name:
+ *           type: string
+ *           enum: [products, retail, inventory, suppliers, purchase_orders, indexes]
+ *         entity_id:
+ *           type: string
+ *           description: product_id, stock_code or id, depending on the table; schema.index_name for indexes
+ *         operation:
+ *           type: string
+ *           enum: [INSERT, UPDATE, DELETE, CREATE, DROP]
+ *         old_row:
+ *           type: object
+ *           nullable: true
+ *         new_row:
+ *           type: object
+ *           nullable: true
+ *         changed_fields:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Columns whose value differs between old_row and new_row
+ *         actor:
+ *           type: string
+ *         request_id:
+ *           type: string
+ *           nullable: true
+ *         changed_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/audit:
+ *   get:
+ *     summary: Query the change history of an entity, an actor or a request
+ *     description: >
+ *       Every insert, update and delete on products, retail, inventory, suppliers and purchase
+ *       orders is recorded with the row before and after, who made it and the request it came
+ *       from. Index advisor statements are recorded under table indexes as CREATE or DROP,
+ *       with the statement and its outcome in new_row. Newest first.
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: table
+ *         schema:
+ *           type: string
+ *           enum: [products, retail, inventory, suppliers, purchase_orders, indexes]
+ *       - in: query
+ *         name: entity_id
+ *         schema:
+ *           type: string
+ *         description: Requires table
+ *       - in: query
+ *         name: actor
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: request_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: operation
+ *         schema:
+ *           type: string
+ *           enum: [INSERT, UPDATE, DELETE, CREATE, DROP]
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Inclusive lower bound on changed_at
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Exclusive upper bound on changed_at
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 500
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Opaque cursor from a previous page
+ *     responses:
+ *       200:
+ *         description: A page of audit entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuditEntry'
+ *                 pagination:
+ *                   type: object
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the viewer role or higher
+ */
+router.get('/', requireRole('viewer'), validate({ query: auditQuery }), async (req, res) => {
+  const { table, entity_id, actor, request_id, operation, from, to, limit, cursor: after } = req.query;
+  const conditions = [];
+  const params = [];
+
+  const add = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace('?', `$${params.length}`));
+  };
+
+  if (table) add('table_name = ?', table);
+  if (entity_id) add('entity_id = ?', entity_id);
+  if (actor) add('actor = ?', actor);
+  if (request_id) add('request_id = ?', request_id);
+  if (operation) add('operation = ?', operation);
+  if (from) add('changed_at >= ?', from);
+  if (to) add('changed_at < ?', to);
+
+  if (after) {
+    params.push(after[0], after[1]);
+    conditions.push(`(changed_at, id) < ($${params.length - 1}::timestamptz, $${params.length})`);
+  }
+
+  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  // cursor_value keeps the timestamp as text so the cursor round-trips exactly
+  const result = await db.query(
+    `SELECT
+       ${AUDIT_COLUMNS.join(', ')},
+       ARRAY(
+         SELECT key
+         FROM jsonb_each(COALESCE(new_row, '{}'::jsonb)) n
+         FULL JOIN jsonb_each(COALESCE(old_row, '{}'::jsonb)) o USING (key)
+         WHERE n.value IS DISTINCT FROM o.value AND key <> 'row_version'
+         ORDER BY key
+       ) AS changed_fields,
+       changed_at::text AS cursor_value
+     FROM audit_log
+     ${whereClause}
+     ORDER BY changed_at DESC, id DESC
+     LIMIT ${limit + 1}`,
+    params
+  );
+
+  const hasNext = result.rows.length > limit;
+  const rows = result.rows.slice(0, limit);
+  const last = rows[rows.length - 1];
+
+  res.json({
+    data: rows.map(({ cursor_value, ...row }) => row),
+    pagination: {
+      limit,
+      has_next: hasNext,
+      next_cursor: hasNext ? encodeCursor(last.cursor_value, last.id) : null
+    }
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,358 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const Joi = require('joi');
+const { validate } = require('../lib/validation');
+const { country, dateTime, sortDirection, pageSize, pageNumber, idParams } = require('../lib/schemas');
+
+// Segments are matched in order on recency score and the mean of frequency and monetary scores
+const SEGMENT_RULES = [
+  { segment: 'Champions', r: [4, 5], fm: [4, 5] },
+  { segment: 'Loyal Customers', r: [3, 3], fm: [4, 5] },
+  { segment: 'New Customers', r: [5, 5], fm: [1, 1] },
+  { segment: 'Promising', r: [4, 4], fm: [1, 1] },
+  { segment: 'Potential Loyalists', r: [4, 5], fm: [2, 3] },
+  { segment: 'Need Attention', r: [3, 3], fm: [3, 3] },
+  { segment: 'About to Sleep', r: [3, 3], fm: [1, 2] },
+  { segment: "Can't Lose Them", r: [1, 2], fm: [5, 5] },
+  { segment: 'At Risk', r: [1, 2], fm: [3, 4] },
+  { segment: 'Hibernating', r: [2, 2], fm: [1, 2] },
+  { segment: 'Lost', r: [1, 1], fm: [1, 2] },
+];
+
+const SEGMENTS = SEGMENT_RULES.map(rule => rule.segment);
+
+const SORT_COLUMNS = ['customer_id', 'total_spend', 'order_count', 'recency_days', 'last_purchase', 'rfm_score'];
+
+const segmentCase = `CASE
+  ${SEGMENT_RULES.map(({ segment, r, fm }) => (
+    `WHEN r_score BETWEEN ${r[0]} AND ${r[1]} AND fm_score BETWEEN ${fm[0]} AND ${fm[1]} THEN '${segment.replace(/'/g, "''")}'`
+  )).join('\n  ')}
+END`;
+
+/*
+ * Per-customer metrics and RFM quintiles as of a reference date ($1, defaulting to the
+ * day after the last invoice). Cancellations reduce spend but do not count as orders.
+ */
+const RFM_CTE = `
+  WITH ref AS (
+    SELECT COALESCE($1::timestamp, (SELECT MAX(invoice_date) FROM retail) + INTERVAL '1 day') AS ref_date
+  ),
+  customer_stats AS (
+    SELECT
+      customer_id,
+      MIN(invoice_date) FILTER (WHERE invoice_no NOT LIKE 'C%') AS first_purchase,
+      MAX(invoice_date) FILTER (WHERE invoice_no NOT LIKE 'C%') AS last_purchase,
+      COUNT(DISTINCT invoice_no) FILTER (WHERE invoice_no NOT LIKE 'C%')::int AS order_count,
+      ROUND(SUM(quantity * unit_price)::numeric, 2) AS total_spend,
+      MODE() WITHIN GROUP (ORDER BY country) AS country
+    FROM retail
+    WHERE customer_id IS NOT NULL
+      AND invoice_date < (SELECT ref_date FROM ref)
+    GROUP BY customer_id
+  ),
+  scored AS (
+    SELECT
+      cs.*,
+      ROUND(cs.total_spend / cs.order_count, 2) AS avg_basket,
+      EXTRACT(DAY FROM (SELECT ref_date FROM ref) - cs.last_purchase)::int AS recency_days,
+      NTILE(5) OVER (ORDER BY cs.last_purchase) AS r_score,
+      NTILE(5) OVER (ORDER BY cs.order_count) AS f_score,
+      NTILE(5) OVER (ORDER BY cs.total_spend) AS m_score
+    FROM customer_stats cs
+    WHERE cs.order_count > 0
+  ),
+  rfm AS (
+    SELECT *, ROUND((f_score + m_score) / 2.0)::int AS fm_score
+    FROM scored
+  ),
+  customers AS (
+    SELECT
+      customer_id, country, first_purchase, last_purchase, order_count,
+      total_spend, avg_basket, recency_days, r_score, f_score, m_score,
+      (r_score::text || f_score::text || m_score::text) AS rfm_score,
+      ${segmentCase} AS segment,
+      (SELECT ref_date FROM ref) AS reference_date
+    FROM rfm
+  )
+`;
+
+const asOf = dateTime().description('Reference date for recency and scoring');
+
+const customerListQuery = Joi.object({
+  as_of: asOf,
+  segment: Joi.string().valid(...SEGMENTS),
+  country: country(),
+  sort_by: Joi.string().valid(...SORT_COLUMNS).default('total_spend'),
+  sort_order: sortDirection('desc'),
+  page: pageNumber(),
+  limit: pageSize(1000, 50),
+});
+
+const segmentsQuery = Joi.object({ as_of: asOf });
+
+const customerQuery = Joi.object({
+  as_of: asOf,
+  top: Joi.number().integer().min(1).max(50).default(5),
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Customer:
+ *       type: object
+ *       properties:
+ *         customer_id:
+ *           type: integer
+ *         country:
+ *           type: string
+ *           description: Most frequent country on the customer's lines
+ *         first_purchase:
+ *           type: string
+ *           format: date-time
+ *         last_purchase:
+ *           type: string
+ *           format: date-time
+ *         order_count:
+ *           type: integer
+ *         total_spend:
+ *           type: number
+ *           description: Net of cancellations
+ *         avg_basket:
+ *           type: number
+ *         recency_days:
+ *           type: integer
+ *         r_score:
+ *           type: integer
+ *         f_score:
+ *           type: integer
+ *         m_score:
+ *           type: integer
+ *         rfm_score:
+ *           type: string
+ *           example: '545'
+ *         segment:
+ *           type: string
+ *         reference_date:
+ *           type: string
+ *           format: date-time
+ *   parameters:
+ *     CustomerAsOf:
+ *       in: query
+ *       name: as_of
+ *       schema:
+ *         type: string
+ *         format: date
+ *       description: Reference date for recency and scoring; defaults to the day after the last invoice
+ */
+
+/**
+ * @swagger
+ * /api/customers:
+ *   get:
+ *     summary: List customers with RFM scores and segments
+ *     parameters:
+ *       - $ref: '#/components/parameters/CustomerAsOf'
+ *       - in: query
+ *         name: segment
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: country
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sort_by
+ *         schema:
+ *           type: string
+ *           enum: [customer_id, total_spend, order_count, recency_days, last_purchase, rfm_score]
+ *           default: total_spend
+ *       - in: query
+ *         name: sort_order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: desc
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 1000
+ *     responses:
+ *       200:
+ *         description: A page of customers
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Customer'
+ *                 pagination:
+ *                   type: object
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+router.get('/', validate({ query: customerListQuery }), async (req, res) => {
+  const { as_of, segment, country, sort_by, sort_order, page, limit } = req.query;
+
+  const params = [as_of || null];
+  const conditions = [];
+  if (segment) {
+    params.push(segment);
+    conditions.push(`segment = $${params.length}`);
+  }
+  if (country) {
+    params.push(country);
+    conditions.push(`country = $${params.length}`);
+  }
+
+  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const direction = sort_order === 'asc' ? 'ASC' : 'DESC';
+
+  const result = await db.query(
+    `${RFM_CTE}
+     SELECT *, COUNT(*) OVER () AS total_records
+     FROM customers
+     ${whereClause}
+     ORDER BY ${sort_by} ${direction}, customer_id
+     LIMIT ${limit} OFFSET ${(page - 1) * limit}`,
+    params
+  );
+
+  const total = result.rows.length > 0 ? parseInt(result.rows[0].total_records) : 0;
+
+  res.json({
+    data: result.rows.map(({ total_records, ...customer }) => customer),
+    pagination: {
+      current_page: page,
+      total_pages: Math.ceil(total / limit),
+      total_records: total,
+      limit
+    }
+  });
+});
+
+/**
+ * @swagger
+ * /api/customers/segments:
+ *   get:
+ *     summary: Summarize customers per RFM segment
+ *     parameters:
+ *       - $ref: '#/components/parameters/CustomerAsOf'
+ *     responses:
+ *       200:
+ *         description: Customer count, spend and recency per segment
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+router.get('/segments', validate({ query: segmentsQuery }), async (req, res) => {
+  const { as_of } = req.query;
+
+  const result = await db.query(
+    `${RFM_CTE}
+     SELECT
+       segment,
+       COUNT(*)::int AS customer_count,
+       ROUND(SUM(total_spend), 2) AS total_spend,
+       ROUND(AVG(total_spend), 2) AS avg_spend,
+       ROUND(AVG(order_count), 2) AS avg_order_count,
+       ROUND(AVG(recency_days), 1) AS avg_recency_days,
+       MIN(reference_date) AS reference_date
+     FROM customers
+     GROUP BY segment
+     ORDER BY total_spend DESC`,
+    [as_of || null]
+  );
+
+  res.json(result.rows);
+});
+
+/**
+ * @swagger
+ * /api/customers/{id}:
+ *   get:
+ *     summary: Customer 360 view with RFM score, favourite products and countries
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - $ref: '#/components/parameters/CustomerAsOf'
+ *       - in: query
+ *         name: top
+ *         schema:
+ *           type: integer
+ *           default: 5
+ *           maximum: 50
+ *         description: Number of favourite products to return
+ *     responses:
+ *       200:
+ *         description: The customer profile
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       404:
+ *         description: Customer not found
+ */
+router.get('/:id', validate({ params: idParams, query: customerQuery }), async (req, res) => {
+  const { id } = req.params;
+  const { as_of, top } = req.query;
+
+  // Scores are quintiles over all customers, so the full set is ranked before filtering
+  const profileResult = await db.query(
+    `${RFM_CTE} SELECT * FROM customers WHERE customer_id = $2`,
+    [as_of || null, id]
+  );
+
+  if (profileResult.rows.length === 0) {
+    return res.status(404).json({ error: 'Customer not found' });
+  }
+
+  const profile = profileResult.rows[0];
+
+  const [productsResult, countriesResult] = await Promise.all([
+    db.query(
+      `SELECT
+         stock_code,
+         MAX(description) AS description,
+         SUM(quantity)::int AS total_quantity,
+         COUNT(DISTINCT invoice_no)::int AS order_count,
+         ROUND(SUM(quantity * unit_price)::numeric, 2) AS total_spend
+       FROM retail
+       WHERE customer_id = $1
+         AND invoice_no NOT LIKE 'C%'
+         AND invoice_date < $2
+       GROUP BY stock_code
+       ORDER BY total_quantity DESC, total_spend DESC
+       LIMIT $3`,
+      [id, profile.reference_date, top]
+    ),
+    db.query(
+      `SELECT country, COUNT(DISTINCT invoice_no)::int AS order_count
+       FROM retail
+       WHERE customer_id = $1
+         AND invoice_date < $2
+       GROUP BY country
+       ORDER BY order_count DESC`,
+      [id, profile.reference_date]
+    )
+  ]);
+
+  res.json({
+    ...profile,
+    favourite_products: productsResult.rows,
+    countries: countriesResult.rows
+  });
+});
+
+module.exports = router;
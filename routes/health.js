@@ -0,0 +1,90 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const { checkReadiness } = require('../lib/healthChecks');
+
+/**
+ * @swagger
+ * /api/health:
+ *   get:
+ *     summary: API and database health check
+ *     responses:
+ *       200:
+ *         description: The API can reach the database
+ *       503:
+ *         description: The database is unreachable
+ */
+router.get('/', async (req, res) => {
+  try {
+    await db.query('SELECT 1');
+
+    res.json({
+      success: true,
+      status: 'healthy',
+      timestamp: new Date().toISOString(),
+      database: 'connected'
+    });
+  } catch (err) {
+    console.error('Health check failed:', err.message);
+    res.status(503).json({
+      success: false,
+      status: 'unhealthy',
+      timestamp: new Date().toISOString(),
+      database: 'disconnected'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/health/live:
+ *   get:
+ *     summary: Liveness probe
+ *     description: >
+ *       Answers as long as the process is serving requests. It does not touch the
+ *       database, so an outage does not get healthy instances restarted.
+ *     responses:
+ *       200:
+ *         description: The process is alive
+ */
+router.get('/live', (req, res) => {
+  res.json({
+    success: true,
+    status: 'alive',
+    timestamp: new Date().toISOString(),
+    uptime_seconds: Math.round(process.uptime()),
+  });
+});
+
+/**
+ * @swagger
+ * /api/health/ready:
+ *   get:
+ *     summary: Readiness probe with per-dependency detail
+ *     description: >
+ *       Checks connection pool headroom, database connectivity, that the required tables,
+ *       functions (get_monthly_sales, get_inventory_status, adjust_inventory) and triggers
+ *       exist, that every migration in this build has been applied, and replication lag.
+ *       Each check reports pass, warn or fail with its duration. Warnings (pool above 90% or
+ *       requests waiting for a connection, replication lag, edited migrations) leave the
+ *       instance ready; any failure, including no connection freeing up in time, does not.
+ *     responses:
+ *       200:
+ *         description: Ready (status ready) or ready with warnings (status degraded)
+ *       503:
+ *         description: At least one check failed
+ */
+router.get('/ready', async (req, res) => {
+  const readiness = await checkReadiness(db);
+  const ready = readiness.status !== 'fail';
+
+  res.status(ready ? 200 : 503).json({
+    success: ready,
+    status: { pass: 'ready', warn: 'degraded', fail: 'not_ready' }[readiness.status],
+    timestamp: new Date().toISOString(),
+    duration_ms: readiness.duration_ms,
+    checks: readiness.checks,
+  });
+});
+
+module.exports = router;
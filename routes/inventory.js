@@ -0,0 +1,327 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const Joi = require('joi');
+const { validate } = require('../lib/validation');
+const { requireRole } = require('../lib/auth');
+const { HttpError } = require('../lib/errors');
+const { DATE_ONLY, MOVEMENT_TYPES, stockCode, dateTime, pageSize, cursor } = require('../lib/schemas');
+
+const MOVEMENT_COLUMNS = [
+  'id', 'stock_code', 'movement_type', 'quantity', 'balance_after', 'reference',
+  'note', 'retail_id', 'actor', 'request_id', 'created_at'
+];
+
+const stockCodeParams = Joi.object({
+  stock_code: stockCode().required(),
+});
+
+const movementQuery = Joi.object({
+  type: Joi.string().valid(...MOVEMENT_TYPES),
+  from: dateTime(),
+  to: dateTime(),
+  limit: pageSize(500, 50),
+  cursor: cursor(),
+});
+
+const stockQuery = Joi.object({
+  as_of: dateTime().description('A date means the end of that day; defaults to now'),
+});
+
+const reconcileQuery = Joi.object({
+  all: Joi.boolean().default(false).description('Include stock codes whose ledger agrees'),
+});
+
+const encodeCursor = (createdAt, id) => Buffer.from(JSON.stringify([createdAt, id])).toString('base64url');
+
+// A bare date covers the whole day, so "as of 2011-12-09" includes that day's movements
+const asOfCondition = (asOf) => (DATE_ONLY.test(asOf) ? 'created_at < $2::date + 1' : 'created_at <= $2::timestamptz');
+
+async function findInventory(stockCodeValue) {
+  const result = await db.query('SELECT stock_code, current_stock FROM inventory WHERE stock_code = $1', [stockCodeValue]);
+  if (result.rows.length === 0) {
+    throw new HttpError(404, 'Stock code not found in inventory');
+  }
+  return result.rows[0];
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     InventoryMovement:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         stock_code:
+ *           type: string
+ *         movement_type:
+ *           type: string
+ *           enum: [opening_balance, sale, cancellation, return, receipt, adjustment, correction]
+ *         quantity:
+ *           type: integer
+ *           description: Signed change to current stock
+ *         balance_after:
+ *           type: integer
+ *           description: Current stock once the movement was posted
+ *         reference:
+ *           type: string
+ *           nullable: true
+ *           description: Invoice number or other source document
+ *         note:
+ *           type: string
+ *           nullable: true
+ *         retail_id:
+ *           type: integer
+ *           nullable: true
+ *           description: The retail line that caused the movement
+ *         actor:
+ *           type: string
+ *         request_id:
+ *           type: string
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/inventory/reconcile:
+ *   get:
+ *     summary: Compare each stock code's ledger total with inventory.current_stock
+ *     description: >
+ *       Every change to current stock is posted to the ledger, so the sum of a stock code's
+ *       movements should equal its current stock. A difference means current_stock was
+ *       changed directly, bypassing the ledger. Only mismatches are listed unless all=true.
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: all
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     responses:
+ *       200:
+ *         description: Ledger and current stock per stock code, largest differences first
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the viewer role or higher
+ */
+router.get('/reconcile', requireRole('viewer'), validate({ query: reconcileQuery }), async (req, res) => {
+  const result = await db.query(`
+    SELECT
+      i.stock_code,
+      i.current_stock,
+      COALESCE(m.ledger_stock, 0)::int AS ledger_stock,
+      (i.current_stock - COALESCE(m.ledger_stock, 0))::int AS difference,
+      COALESCE(m.movements, 0)::int AS movements
+    FROM inventory i
+    LEFT JOIN (
+      SELECT stock_code, SUM(quantity) AS ledger_stock, COUNT(*) AS movements
+      FROM inventory_movements
+      GROUP BY stock_code
+    ) m ON m.stock_code = i.stock_code
+    ORDER BY ABS(i.current_stock - COALESCE(m.ledger_stock, 0)) DESC, i.stock_code
+  `);
+
+  const mismatched = result.rows.filter(row => row.difference !== 0);
+
+  res.json({
+    success: true,
+    checked: result.rows.length,
+    mismatched: mismatched.length,
+    data: req.query.all ? result.rows : mismatched
+  });
+});
+
+/**
+ * @swagger
+ * /api/inventory/{stock_code}/movements:
+ *   get:
+ *     summary: Ledger of stock movements for a stock code, newest first
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: stock_code
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [opening_balance, sale, cancellation, return, receipt, adjustment, correction]
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Inclusive lower bound on created_at
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Exclusive upper bound on created_at
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 500
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Opaque cursor from a previous page
+ *     responses:
+ *       200:
+ *         description: A page of movements with the stock code's current stock
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 stock_code:
+ *                   type: string
+ *                 current_stock:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/InventoryMovement'
+ *                 pagination:
+ *                   type: object
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the viewer role or higher
+ *       404:
+ *         description: Stock code not found in inventory
+ */
+router.get('/:stock_code/movements', requireRole('viewer'), validate({ params: stockCodeParams, query: movementQuery }), async (req, res) => {
+  const { type, from, to, limit, cursor: after } = req.query;
+  const inventory = await findInventory(req.params.stock_code);
+
+  const conditions = ['stock_code = $1'];
+  const params = [inventory.stock_code];
+
+  const add = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace('?', `$${params.length}`));
+  };
+
+  if (type) add('movement_type = ?', type);
+  if (from) add('created_at >= ?', from);
+  if (to) add('created_at < ?', to);
+
+  if (after) {
+    params.push(after[0], after[1]);
+    conditions.push(`(created_at, id) < ($${params.length - 1}::timestamptz, $${params.length})`);
+  }
+
+  // cursor_value keeps the timestamp as text so the cursor round-trips exactly
+  const result = await db.query(
+    `SELECT ${MOVEMENT_COLUMNS.join(', ')}, created_at::text AS cursor_value
+     FROM inventory_movements
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY created_at DESC, id DESC
+     LIMIT ${limit + 1}`,
+    params
+  );
+
+  const hasNext = result.rows.length > limit;
+  const rows = result.rows.slice(0, limit);
+  const last = rows[rows.length - 1];
+
+  res.json({
+    success: true,
+    stock_code: inventory.stock_code,
+    current_stock: inventory.current_stock,
+    data: rows.map(({ cursor_value, ...row }) => row),
+    pagination: {
+      limit,
+      has_next: hasNext,
+      next_cursor: hasNext ? encodeCursor(last.cursor_value, last.id) : null
+    }
+  });
+});
+
+/**
+ * @swagger
+ * /api/inventory/{stock_code}/stock:
+ *   get:
+ *     summary: Stock on hand for a stock code now or at a past date, from the ledger
+ *     description: >
+ *       Sums the ledger up to as_of. Movements are dated when they were posted, so stock before
+ *       the ledger was introduced (its opening balance) cannot be reconstructed. Without as_of,
+ *       the ledger total is also compared with inventory.current_stock.
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: stock_code
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: as_of
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: A date means the end of that day; defaults to now
+ *     responses:
+ *       200:
+ *         description: Stock on hand at the requested time
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the viewer role or higher
+ *       404:
+ *         description: Stock code not found in inventory
+ */
+router.get('/:stock_code/stock', requireRole('viewer'), validate({ params: stockCodeParams, query: stockQuery }), async (req, res) => {
+  const { as_of } = req.query;
+  const inventory = await findInventory(req.params.stock_code);
+
+  const result = await db.query(
+    `SELECT COALESCE(SUM(quantity), 0)::int AS stock_on_hand, COUNT(*)::int AS movements, MAX(created_at) AS last_movement_at
+     FROM inventory_movements
+     WHERE stock_code = $1 ${as_of ? `AND ${asOfCondition(as_of)}` : ''}`,
+    as_of ? [inventory.stock_code, as_of] : [inventory.stock_code]
+  );
+  const ledger = result.rows[0];
+
+  const data = {
+    stock_code: inventory.stock_code,
+    as_of: as_of || new Date().toISOString(),
+    stock_on_hand: ledger.stock_on_hand,
+    movements: ledger.movements,
+    last_movement_at: ledger.last_movement_at,
+  };
+
+  if (!as_of) {
+    data.current_stock = inventory.current_stock;
+    data.reconciled = inventory.current_stock === ledger.stock_on_hand;
+  }
+
+  res.json({ success: true, data });
+});
+
+module.exports = router;
@@ -0,0 +1,442 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const Joi = require('joi');
+const { validate } = require('../lib/validation');
+const { requireRole } = require('../lib/auth');
+const { HttpError } = require('../lib/errors');
+const { withTransaction } = require('../lib/transaction');
+const { INVOICE_NO, country, dateTime, pageSize, cursor, invoiceInput } = require('../lib/schemas');
+
+// Online Retail II marks cancellation invoices with a leading "C"
+const CANCELLATION_PREFIX = 'C';
+
+// Aggregates over retail lines grouped by invoice_no
+const HEADER_COLUMNS = `
+  invoice_no,
+  MIN(invoice_date) AS invoice_date,
+  MIN(customer_id) AS customer_id,
+  MIN(country) AS country,
+  COUNT(*)::int AS line_count,
+  SUM(quantity)::int AS total_quantity,
+  ROUND(SUM(quantity * unit_price)::numeric, 2) AS total,
+  invoice_no LIKE '${CANCELLATION_PREFIX}%' AS is_cancellation
+`;
+
+const encodeCursor = (invoiceDate, invoiceNo) => Buffer.from(JSON.stringify([invoiceDate, invoiceNo])).toString('base64url');
+
+const invoiceListQuery = Joi.object({
+  customer_id: Joi.number().integer().positive(),
+  country: country(),
+  date_from: dateTime(),
+  date_to: dateTime(),
+  type: Joi.string().valid('sale', 'cancellation'),
+  limit: pageSize(500, 50),
+  cursor: cursor(),
+});
+
+const invoiceParams = Joi.object({
+  invoice_no: Joi.string().pattern(INVOICE_NO).required()
+    .messages({ 'string.pattern.base': '{{#label}} must be digits with an optional letter prefix' }),
+});
+
+/*
+ * The dataset does not record which sale a cancellation reverses, so the link is
+ * inferred: the latest earlier sale to the same customer sharing the most stock codes.
+ */
+async function findCancelledSale(client, header, stockCodes) {
+  if (header.customer_id === null) return null;
+
+  const result = await client.query(`
+    SELECT
+      invoice_no,
+      MIN(invoice_date) AS invoice_date,
+      COUNT(DISTINCT stock_code)::int AS matched_stock_codes
+    FROM retail
+    WHERE customer_id = $1
+      AND invoice_no NOT LIKE '${CANCELLATION_PREFIX}%'
+      AND invoice_date <= $2
+      AND stock_code = ANY($3)
+    GROUP BY invoice_no
+    ORDER BY matched_stock_codes DESC, MIN(invoice_date) DESC
+    LIMIT 1
+  `, [header.customer_id, header.invoice_date, stockCodes]);
+
+  return result.rows[0] || null;
+}
+
+// Cancellations issued to the same customer on or after the sale for any of its stock codes
+async function findCancellations(client, header, stockCodes) {
+  if (header.customer_id === null) return [];
+
+  const result = await client.query(`
+    SELECT
+      invoice_no,
+      MIN(invoice_date) AS invoice_date,
+      COUNT(DISTINCT stock_code)::int AS matched_stock_codes
+    FROM retail
+    WHERE customer_id = $1
+      AND invoice_no LIKE '${CANCELLATION_PREFIX}%'
+      AND invoice_date >= $2
+      AND stock_code = ANY($3)
+    GROUP BY invoice_no
+    ORDER BY MIN(invoice_date)
+  `, [header.customer_id, header.invoice_date, stockCodes]);
+
+  return result.rows;
+}
+
+// Loads an invoice header with its lines and cancellation links, or null if it has no lines
+async function loadInvoice(client, invoiceNo) {
+  const headerResult = await client.query(`SELECT ${HEADER_COLUMNS} FROM retail WHERE invoice_no = $1 GROUP BY invoice_no`, [invoiceNo]);
+
+  if (headerResult.rows.length === 0) {
+    return null;
+  }
+
+  const header = headerResult.rows[0];
+  const linesResult = await client.query(
+    `SELECT id, stock_code, description, quantity, unit_price,
+            ROUND((quantity * unit_price)::numeric, 2) AS line_total
+     FROM retail
+     WHERE invoice_no = $1
+     ORDER BY id`,
+    [invoiceNo]
+  );
+
+  const stockCodes = [...new Set(linesResult.rows.map(line => line.stock_code))];
+  const invoice = { ...header, lines: linesResult.rows };
+
+  if (header.is_cancellation) {
+    invoice.cancels = await findCancelledSale(client, header, stockCodes);
+  } else {
+    invoice.cancellations = await findCancellations(client, header, stockCodes);
+  }
+
+  return invoice;
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     InvoiceLine:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         stock_code:
+ *           type: string
+ *         description:
+ *           type: string
+ *         quantity:
+ *           type: integer
+ *         unit_price:
+ *           type: number
+ *         line_total:
+ *           type: number
+ *     InvoiceHeader:
+ *       type: object
+ *       properties:
+ *         invoice_no:
+ *           type: string
+ *         invoice_date:
+ *           type: string
+ *           format: date-time
+ *         customer_id:
+ *           type: integer
+ *           nullable: true
+ *         country:
+ *           type: string
+ *         line_count:
+ *           type: integer
+ *         total_quantity:
+ *           type: integer
+ *         total:
+ *           type: number
+ *           description: Sum of quantity * unit_price over all lines
+ *         is_cancellation:
+ *           type: boolean
+ *     InvoiceLink:
+ *       type: object
+ *       properties:
+ *         invoice_no:
+ *           type: string
+ *         invoice_date:
+ *           type: string
+ *           format: date-time
+ *         matched_stock_codes:
+ *           type: integer
+ *     Invoice:
+ *       allOf:
+ *         - $ref: '#/components/schemas/InvoiceHeader'
+ *         - type: object
+ *           properties:
+ *             lines:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/InvoiceLine'
+ *             cancels:
+ *               description: For cancellations, the sale it most likely reverses
+ *               allOf:
+ *                 - $ref: '#/components/schemas/InvoiceLink'
+ *               nullable: true
+ *             cancellations:
+ *               description: For sales, later cancellations to the same customer sharing stock codes
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/InvoiceLink'
+ */
+
+/**
+ * @swagger
+ * /api/invoices:
+ *   get:
+ *     summary: List invoice headers, newest first
+ *     parameters:
+ *       - in: query
+ *         name: customer_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: country
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: date_from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: date_to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [sale, cancellation]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 500
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: A page of invoice headers
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/InvoiceHeader'
+ *                 pagination:
+ *                   type: object
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+router.get('/', validate({ query: invoiceListQuery }), async (req, res) => {
+  const { customer_id, country, date_from, date_to, type, limit, cursor: after } = req.query;
+  const conditions = [];
+  const params = [];
+
+  const add = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace('?', `$${params.length}`));
+  };
+
+  if (customer_id !== undefined) add('customer_id = ?', customer_id);
+  if (country) add('country = ?', country);
+  if (date_from !== undefined) add('invoice_date >= ?', date_from);
+  if (date_to !== undefined) add('invoice_date < ?', date_to);
+  if (type !== undefined) {
+    conditions.push(`invoice_no ${type === 'sale' ? 'NOT LIKE' : 'LIKE'} '${CANCELLATION_PREFIX}%'`);
+  }
+
+  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  // Nothing keeps an invoice's lines on one date, so invoices are keyed by their earliest
+  // matching line and the keyset is applied after grouping
+  let havingClause = '';
+  if (after) {
+    params.push(after[0], after[1]);
+    havingClause = `HAVING (MIN(invoice_date), invoice_no) < ($${params.length - 1}::timestamp, $${params.length})`;
+  }
+
+  // Pick the page's invoice numbers first and aggregate only their lines;
+  // cursor_value keeps the timestamp as text so the cursor round-trips exactly
+  const result = await db.query(
+    `SELECT ${HEADER_COLUMNS}, page.page_date::text AS cursor_value
+     FROM retail
+     JOIN (
+       SELECT invoice_no, MIN(invoice_date) AS page_date
+       FROM retail
+       ${whereClause}
+       GROUP BY invoice_no
+       ${havingClause}
+       ORDER BY page_date DESC, invoice_no DESC
+       LIMIT ${limit + 1}
+     ) page USING (invoice_no)
+     GROUP BY invoice_no, page.page_date
+     ORDER BY page.page_date DESC, invoice_no DESC`,
+    params
+  );
+
+  const hasNext = result.rows.length > limit;
+  const rows = result.rows.slice(0, limit);
+  const last = rows[rows.length - 1];
+
+  res.json({
+    data: rows.map(({ cursor_value, ...row }) => row),
+    pagination: {
+      limit,
+      has_next: hasNext,
+      next_cursor: hasNext ? encodeCursor(last.cursor_value, last.invoice_no) : null
+    }
+  });
+});
+
+/**
+ * @swagger
+ * /api/invoices/{invoice_no}:
+ *   get:
+ *     summary: Get an invoice with its lines and cancellation links
+ *     parameters:
+ *       - in: path
+ *         name: invoice_no
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The invoice
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Invoice'
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       404:
+ *         description: Invoice not found
+ */
+router.get('/:invoice_no', validate({ params: invoiceParams }), async (req, res) => {
+  const client = await db.connect();
+
+  try {
+    const invoice = await loadInvoice(client, req.params.invoice_no);
+
+    if (!invoice) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+
+    res.json(invoice);
+  } finally {
+    client.release();
+  }
+});
+
+// Two requests creating the same invoice number would both pass the existence check; they take turns per number
+const lockInvoiceNo = (client, invoiceNo) => client.query("SELECT pg_advisory_xact_lock(hashtext('invoice:' || $1))", [invoiceNo]);
+
+async function invoiceExists(client, invoiceNo) {
+  const result = await client.query('SELECT 1 FROM retail WHERE invoice_no = $1 LIMIT 1', [invoiceNo]);
+  return result.rows.length > 0;
+}
+
+// Next number from invoice_no_seq (migrations/018), skipping numbers already in use
+async function nextInvoiceNo(client) {
+  for (;;) {
+    const next = await client.query("SELECT nextval('invoice_no_seq')::text AS invoice_no");
+    const candidate = next.rows[0].invoice_no;
+
+    await lockInvoiceNo(client, candidate);
+    if (!(await invoiceExists(client, candidate))) {
+      return candidate;
+    }
+  }
+}
+
+/**
+ * @swagger
+ * /api/invoices:
+ *   post:
+ *     summary: Create a multi-line invoice atomically
+ *     description: All lines are inserted in one transaction; if any line is rejected none are kept.
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/InvoiceInput'
+ *     responses:
+ *       201:
+ *         description: Invoice created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Invoice'
+ *       400:
+ *         description: Invalid invoice fields or a line rejected by the database
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the clerk role or higher
+ *       409:
+ *         description: Invoice number already exists, or a line needs more stock than is available (INSUFFICIENT_STOCK)
+ */
+router.post('/', requireRole('clerk'), validate({ body: invoiceInput }), async (req, res) => {
+  const {
+    invoice_date = new Date().toISOString(),
+    customer_id,
+    country,
+    lines
+  } = req.body;
+
+  const invoice = await withTransaction(async (client) => {
+    // Scoped to the attempt: a retried transaction must generate its number afresh
+    let { invoice_no } = req.body;
+
+    if (invoice_no) {
+      await lockInvoiceNo(client, invoice_no);
+      if (await invoiceExists(client, invoice_no)) {
+        throw new HttpError(409, 'Invoice number already exists');
+      }
+    } else {
+      invoice_no = await nextInvoiceNo(client);
+    }
+
+    const values = [];
+    const placeholders = lines.map((line, i) => {
+      values.push(
+        invoice_no, line.stock_code, line.description || null, line.quantity,
+        invoice_date, line.unit_price, customer_id, country
+      );
+      const base = i * 8;
+      return `($${base + 1}, $${base + 2}, $${base + 3}, $${base + 4}, $${base + 5}, $${base + 6}, $${base + 7}, $${base + 8})`;
+    });
+
+    await client.query(
+      `INSERT INTO retail (invoice_no, stock_code, description, quantity, invoice_date, unit_price, customer_id, country)
+       VALUES ${placeholders.join(', ')}`,
+      values
+    );
+
+    return loadInvoice(client, invoice_no);
+  });
+
+  res.status(201).json(invoice);
+});
+
+module.exports = router;
@@ -0,0 +1,76 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const config = require('../config');
+const { CONTENT_TYPE, renderGauge, renderHttpMetrics } = require('../lib/metrics');
+
+// Database gauges, or null when the database cannot be reached
+async function databaseMetrics() {
+  try {
+    const [cache, tables, connections] = await Promise.all([
+      db.query(`
+        SELECT SUM(heap_blks_hit)::float / NULLIF(SUM(heap_blks_hit + heap_blks_read), 0) AS ratio
+        FROM pg_statio_user_tables
+      `),
+      db.query('SELECT schemaname, relname, n_live_tup, n_dead_tup FROM pg_stat_user_tables'),
+      db.query(`
+        SELECT COALESCE(state, 'unknown') AS state, COUNT(*) AS count
+        FROM pg_stat_activity
+        WHERE datname = current_database()
+        GROUP BY 1
+      `),
+    ]);
+
+    const tableLabels = row => ({ schema: row.schemaname, table: row.relname });
+
+    return renderGauge('pg_cache_hit_ratio', 'Share of user table block reads served from shared buffers',
+      [{ value: cache.rows[0].ratio }])
+      + renderGauge('pg_table_live_tuples', 'Estimated live rows per user table',
+        tables.rows.map(row => ({ labels: tableLabels(row), value: row.n_live_tup })))
+      + renderGauge('pg_table_dead_tuples', 'Dead rows awaiting vacuum per user table',
+        tables.rows.map(row => ({ labels: tableLabels(row), value: row.n_dead_tup })))
+      + renderGauge('pg_connections', 'Connections to this database by state',
+        connections.rows.map(row => ({ labels: { state: row.state }, value: row.count })));
+  } catch (err) {
+    console.error('Collecting database metrics failed:', err.message);
+    return null;
+  }
+}
+
+/**
+ * @swagger
+ * /metrics:
+ *   get:
+ *     summary: Prometheus metrics
+ *     description: >
+ *       HTTP request counts and latency histograms per route, connection pool usage,
+ *       cache hit ratio, live and dead tuples per table and connections by state, in the
+ *       Prometheus text format. pg_up is 0 and the database gauges are left out when the
+ *       database cannot be reached.
+ *     responses:
+ *       200:
+ *         description: Metrics in Prometheus text exposition format 0.0.4
+ *         content:
+ *           text/plain:
+ *             schema:
+ *               type: string
+ */
+router.get('/', async (req, res) => {
+  const database = await databaseMetrics();
+
+  const body = renderHttpMetrics()
+    + renderGauge('pg_pool_clients', 'Clients in the API connection pool by state', [
+      { labels: { state: 'total' }, value: db.totalCount },
+      { labels: { state: 'idle' }, value: db.idleCount },
+      { labels: { state: 'waiting' }, value: db.waitingCount },
+    ])
+    + renderGauge('pg_pool_max_clients', 'Size limit of the API connection pool', [{ value: config.db.max }])
+    + renderGauge('pg_up', 'Whether the last scrape could query the database', [{ value: database ? 1 : 0 }])
+    + (database || '')
+    + renderGauge('process_uptime_seconds', 'Seconds since the API process started', [{ value: process.uptime() }])
+    + renderGauge('nodejs_heap_used_bytes', 'V8 heap in use', [{ value: process.memoryUsage().heapUsed }]);
+
+  res.type(CONTENT_TYPE).send(body);
+});
+
+module.exports = router;
@@ -0,0 +1,290 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const { validate } = require('../lib/validation');
+const { requireRole } = require('../lib/auth');
+const { HttpError } = require('../lib/errors');
+const { withTransaction } = require('../lib/transaction');
+const { idParams, orderInput } = require('../lib/schemas');
+
+// Status changes the order triggers accept, see migrations/015_order_stock_reservations.up.sql
+const TRANSITIONS = {
+  fulfil: { from: ['pending'], to: 'fulfilled' },
+  cancel: { from: ['pending', 'fulfilled'], to: 'cancelled' },
+};
+
+// An order with its lines, or null when there is no such order
+async function loadOrder(client, id) {
+  const orderResult = await client.query('SELECT * FROM orders WHERE id = $1', [id]);
+  if (orderResult.rows.length === 0) {
+    return null;
+  }
+
+  const linesResult = await client.query(`
+    SELECT oi.id, p.stock_code, p.description, oi.quantity, oi.unit_price,
+           ROUND((oi.quantity * oi.unit_price)::numeric, 2) AS line_total
+    FROM order_items oi
+    JOIN products p ON p.product_id = oi.product_id
+    WHERE oi.order_id = $1
+    ORDER BY oi.id
+  `, [id]);
+
+  return { ...orderResult.rows[0], lines: linesResult.rows };
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Order:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         customer_id:
+ *           type: integer
+ *           nullable: true
+ *         status:
+ *           type: string
+ *           enum: [pending, fulfilled, cancelled]
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         fulfilled_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         cancelled_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         lines:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: integer
+ *               stock_code:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               quantity:
+ *                 type: integer
+ *               unit_price:
+ *                 type: number
+ *               line_total:
+ *                 type: number
+ */
+
+/**
+ * @swagger
+ * /api/orders:
+ *   post:
+ *     summary: Place an order, reserving stock for every line
+ *     description: >
+ *       The order starts pending. Each line reserves its quantity, lowering available_stock
+ *       while current_stock stays put until the order is fulfilled. If any line needs more
+ *       than is available, nothing is reserved and the order is not created.
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/OrderInput'
+ *     responses:
+ *       201:
+ *         description: Order placed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Order'
+ *       400:
+ *         description: Invalid fields, or a stock code with no active product or no inventory row
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the clerk role or higher
+ *       409:
+ *         $ref: '#/components/responses/InsufficientStock'
+ */
+router.post('/', requireRole('clerk'), validate({ body: orderInput }), async (req, res) => {
+  const { customer_id, lines } = req.body;
+
+  const order = await withTransaction(async (client) => {
+    const products = await client.query(
+      'SELECT product_id, stock_code, unit_price FROM products WHERE stock_code = ANY($1) AND deleted_at IS NULL AND is_active',
+      [lines.map(line => line.stock_code)]
+    );
+    const byStockCode = new Map(products.rows.map(product => [product.stock_code, product]));
+
+    const unknown = lines.filter(line => !byStockCode.has(line.stock_code)).map(line => line.stock_code);
+    if (unknown.length > 0) {
+      throw new HttpError(400, 'No active product for some stock codes', { code: 'UNKNOWN_STOCK_CODE', stock_codes: unknown });
+    }
+
+    const orderResult = await client.query(
+      'INSERT INTO orders (customer_id) VALUES ($1) RETURNING id',
+      [customer_id]
+    );
+    const orderId = orderResult.rows[0].id;
+
+    // Lines in stock_code order so concurrent orders reserve (and lock) inventory rows alike
+    const sorted = [...lines].sort((a, b) => a.stock_code.localeCompare(b.stock_code));
+    for (const line of sorted) {
+      const product = byStockCode.get(line.stock_code);
+      await client.query(
+        'INSERT INTO order_items (order_id, product_id, quantity, unit_price) VALUES ($1, $2, $3, $4)',
+        [orderId, product.product_id, line.quantity, line.unit_price ?? product.unit_price ?? 0]
+      );
+    }
+
+    return loadOrder(client, orderId);
+  });
+
+  res.status(201).json(order);
+});
+
+/**
+ * @swagger
+ * /api/orders/{id}:
+ *   get:
+ *     summary: Get an order with its lines
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Order'
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       404:
+ *         description: Order not found
+ */
+router.get('/:id', validate({ params: idParams }), async (req, res) => {
+  const client = await db.connect();
+
+  try {
+    const order = await loadOrder(client, req.params.id);
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    res.json(order);
+  } finally {
+    client.release();
+  }
+});
+
+// Handler moving an order along one of TRANSITIONS; the order triggers do the stock work
+const changeStatus = (action) => async (req, res) => {
+  const transition = TRANSITIONS[action];
+
+  const order = await withTransaction(async (client) => {
+    const current = await client.query('SELECT status FROM orders WHERE id = $1 FOR UPDATE', [req.params.id]);
+
+    if (current.rows.length === 0) {
+      throw new HttpError(404, 'Order not found');
+    }
+
+    const { status } = current.rows[0];
+    if (!transition.from.includes(status)) {
+      throw new HttpError(409, `A ${status} order cannot be ${transition.to}`, {
+        code: 'INVALID_ORDER_STATUS',
+        status,
+      });
+    }
+
+    await client.query('UPDATE orders SET status = $2 WHERE id = $1', [req.params.id, transition.to]);
+    return loadOrder(client, req.params.id);
+  });
+
+  res.json(order);
+};
+
+/**
+ * @swagger
+ * /api/orders/{id}/fulfil:
+ *   post:
+ *     summary: Fulfil a pending order
+ *     description: >
+ *       Turns the order's reservations into a sale: reserved and current stock both fall by each
+ *       line's quantity, and the sale is posted to the inventory ledger.
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The fulfilled order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Order'
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the clerk role or higher
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: The order is not pending (INVALID_ORDER_STATUS)
+ */
+router.post('/:id/fulfil', requireRole('clerk'), validate({ params: idParams }), changeStatus('fulfil'));
+
+/**
+ * @swagger
+ * /api/orders/{id}/cancel:
+ *   post:
+ *     summary: Cancel an order
+ *     description: >
+ *       A pending order's reservations are released. A fulfilled order's goods go back into
+ *       current stock, posted to the inventory ledger as a cancellation.
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The cancelled order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Order'
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the clerk role or higher
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: The order is already cancelled (INVALID_ORDER_STATUS)
+ */
+router.post('/:id/cancel', requireRole('clerk'), validate({ params: idParams }), changeStatus('cancel'));
+
+module.exports = router;
@@ -0,0 +1,843 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const Joi = require('joi');
+const { streamExport, EXPORT_FORMATS } = require('../lib/export');
+const { validate } = require('../lib/validation');
+const { requireRole, assertRole } = require('../lib/auth');
+const { etag, ifMatchVersions, updateVersioned } = require('../lib/rowVersion');
+const { withTransaction } = require('../lib/transaction');
+const { HttpError } = require('../lib/errors');
+const { stockCode, sortDirection, pageSize, pageNumber, productInput, productPatch } = require('../lib/schemas');
+
+const PRODUCT_COLUMNS = [
+  'product_id', 'stock_code', 'description', 'category_id', 'unit_price',
+  'stock_quantity', 'reorder_level', 'supplier_info', 'supplier_id', 'is_active',
+  'weight', 'dimensions', 'created_at', 'updated_at', 'deleted_at'
+];
+
+const PRODUCT_SORT_COLUMNS = [
+  'product_id', 'stock_code', 'description', 'unit_price',
+  'stock_quantity', 'created_at', 'updated_at'
+];
+
+const productFilters = {
+  search: Joi.string().trim().allow('').max(100),
+  category_id: Joi.number().integer().positive(),
+  is_active: Joi.boolean(),
+  include_deleted: Joi.boolean().default(false),
+};
+
+const productListQuery = Joi.object({
+  ...productFilters,
+  page: pageNumber(),
+  limit: pageSize(1000, 10),
+  sort_by: Joi.string().valid(...PRODUCT_SORT_COLUMNS).default('stock_code'),
+  sort_order: sortDirection('asc'),
+});
+
+const productExportQuery = Joi.object({
+  ...productFilters,
+  format: Joi.string().valid(...Object.keys(EXPORT_FORMATS)).default('csv'),
+  sort_by: Joi.string().valid(...PRODUCT_COLUMNS).default('stock_code'),
+  sort_order: sortDirection('asc'),
+});
+
+// Products are addressed by product_id or stock_code
+const productParams = Joi.object({
+  id: Joi.alternatives().try(Joi.number().integer().positive(), stockCode()).required(),
+});
+
+const productDeleteQuery = Joi.object({
+  purge: Joi.boolean().default(false),
+});
+
+// Builds the WHERE clause shared by the product list and export endpoints
+const buildProductFilters = ({ search, category_id, is_active, include_deleted }) => {
+  const whereConditions = include_deleted ? [] : ['deleted_at IS NULL'];
+  const queryParams = [];
+  let paramIndex = 1;
+
+  // Search condition
+  if (search) {
+    whereConditions.push(`(description ILIKE $${paramIndex} OR stock_code ILIKE $${paramIndex})`);
+    queryParams.push(`%${search}%`);
+    paramIndex++;
+  }
+
+  // Category filter
+  if (category_id !== undefined) {
+    whereConditions.push(`category_id = $${paramIndex}`);
+    queryParams.push(category_id);
+    paramIndex++;
+  }
+
+  // Active status filter
+  if (is_active !== undefined) {
+    whereConditions.push(`is_active = $${paramIndex}`);
+    queryParams.push(is_active);
+    paramIndex++;
+  }
+
+  const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
+
+  return { whereClause, queryParams };
+};
+
+// Resolves a validated :id to a product_id or stock_code lookup
+const productLookup = (id) => ({
+  searchField: typeof id === 'number' ? 'product_id' : 'stock_code',
+  searchValue: id
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Product:
+ *       type: object
+ *       properties:
+ *         product_id:
+ *           type: integer
+ *         stock_code:
+ *           type: string
+ *         description:
+ *           type: string
+ *         category_id:
+ *           type: integer
+ *         unit_price:
+ *           type: number
+ *         stock_quantity:
+ *           type: integer
+ *         reorder_level:
+ *           type: integer
+ *         supplier_info:
+ *           type: string
+ *         supplier_id:
+ *           type: integer
+ *           nullable: true
+ *         is_active:
+ *           type: boolean
+ *         weight:
+ *           type: number
+ *         dimensions:
+ *           type: string
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *         deleted_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Set when the product is soft deleted
+ *         row_version:
+ *           type: integer
+ *           description: Incremented on every update; returned as the ETag
+ */
+
+/**
+ * @swagger
+ * /api/products:
+ *   get:
+ *     summary: Get all products with pagination, search and filters
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sort_by
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sort_order
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: category_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: is_active
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: include_deleted
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Also list soft-deleted products
+ *     responses:
+ *       200:
+ *         description: A page of products
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+router.get('/', validate({ query: productListQuery }), async (req, res) => {
+  const client = await db.connect();
+
+  try {
+    const { page, limit, sort_by, sort_order } = req.query;
+    const offset = (page - 1) * limit;
+
+    // Build dynamic WHERE conditions
+    const { whereClause, queryParams } = buildProductFilters(req.query);
+    const paramIndex = queryParams.length + 1;
+
+    // Main query with pagination and sorting
+    const query = `
+      SELECT ${PRODUCT_COLUMNS.join(', ')}
+      FROM products
+      ${whereClause}
+      ORDER BY ${sort_by} ${sort_order.toUpperCase()}
+      LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+    `;
+
+    const countQuery = `
+      SELECT COUNT(*) as total
+      FROM products
+      ${whereClause}
+    `;
+
+    queryParams.push(limit, offset);
+
+    const [productsResult, countResult] = await Promise.all([
+      client.query(query, queryParams),
+      client.query(countQuery, queryParams.slice(0, -2)) // Remove limit and offset for count
+    ]);
+
+    const total = parseInt(countResult.rows[0].total);
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: productsResult.rows,
+      pagination: {
+        current_page: page,
+        total_pages: totalPages,
+        total_records: total,
+        limit,
+        has_next: page < totalPages,
+        has_prev: page > 1
+      }
+    });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /api/products/export:
+ *   get:
+ *     summary: Download products as CSV or NDJSON (same filters as the list)
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, ndjson]
+ *       - in: query
+ *         name: include_deleted
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     responses:
+ *       200:
+ *         description: File download of products
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+router.get('/export', validate({ query: productExportQuery }), async (req, res) => {
+  const { format, sort_by, sort_order } = req.query;
+  const { whereClause, queryParams } = buildProductFilters(req.query);
+
+  const client = await db.connect();
+
+  try {
+    await streamExport(client, res, {
+      sql: `
+        SELECT ${PRODUCT_COLUMNS.join(', ')}
+        FROM products
+        ${whereClause}
+        ORDER BY ${sort_by} ${sort_order.toUpperCase()}, product_id
+      `,
+      params: queryParams,
+      columns: PRODUCT_COLUMNS,
+      format,
+      filename: 'products'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /api/products/analytics/summary:
+ *   get:
+ *     summary: Get products analytics summary
+ *     responses:
+ *       200:
+ *         description: Catalogue-wide price and stock statistics
+ */
+router.get('/analytics/summary', async (req, res) => {
+  const result = await db.query(`
+    SELECT
+      COUNT(*) as total_products,
+      COUNT(CASE WHEN is_active = true THEN 1 END) as active_products,
+      COUNT(CASE WHEN is_active = false THEN 1 END) as inactive_products,
+      (SELECT COUNT(*) FROM products WHERE deleted_at IS NOT NULL) as deleted_products,
+      AVG(unit_price) as avg_product_price,
+      SUM(stock_quantity) as total_stock_quantity,
+      COUNT(CASE WHEN stock_quantity <= reorder_level THEN 1 END) as low_stock_products,
+      MIN(unit_price) as min_price,
+      MAX(unit_price) as max_price,
+      AVG(stock_quantity) as avg_stock_quantity
+    FROM products
+    WHERE unit_price IS NOT NULL
+    AND deleted_at IS NULL
+  `);
+
+  res.json({
+    success: true,
+    data: result.rows[0]
+  });
+});
+
+/**
+ * @swagger
+ * /api/products/low-stock:
+ *   get:
+ *     summary: Get active products at or below their reorder level
+ *     responses:
+ *       200:
+ *         description: Low stock products
+ */
+router.get('/low-stock', async (req, res) => {
+  const result = await db.query(`
+    SELECT
+      product_id,
+      stock_code,
+      description,
+      stock_quantity,
+      reorder_level,
+      unit_price
+    FROM products
+    WHERE stock_quantity <= reorder_level
+    AND is_active = true
+    AND deleted_at IS NULL
+    ORDER BY stock_quantity ASC
+  `);
+
+  res.json({
+    success: true,
+    data: result.rows,
+    count: result.rows.length
+  });
+});
+
+/**
+ * @swagger
+ * /api/products/{id}:
+ *   get:
+ *     summary: Get a product by product_id or stock_code
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The product with sales analytics; the ETag header carries its row version
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       404:
+ *         description: Product not found
+ */
+router.get('/:id', validate({ params: productParams }), async (req, res) => {
+  const client = await db.connect();
+
+  try {
+    const { searchField, searchValue } = productLookup(req.params.id);
+
+    const query = `
+      SELECT ${PRODUCT_COLUMNS.join(', ')}, row_version
+      FROM products
+      WHERE ${searchField} = $1
+    `;
+
+    const result = await client.query(query, [searchValue]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Product not found'
+      });
+    }
+
+    // Get additional analytics for this product (if order_items table exists)
+    const analyticsQuery = `
+      SELECT
+        COUNT(*) as order_count,
+        SUM(oi.quantity) as total_sold,
+        AVG(oi.unit_price) as avg_selling_price,
+        MIN(o.created_at) as first_sold,
+        MAX(o.created_at) as last_sold
+      FROM order_items oi
+      JOIN orders o ON oi.order_id = o.id
+      WHERE oi.product_id = $1
+    `;
+
+    let analyticsData = null;
+    try {
+      const analyticsResult = await client.query(analyticsQuery, [result.rows[0].product_id]);
+      analyticsData = analyticsResult.rows[0];
+    } catch (analyticsError) {
+      // If analytics tables don't exist, just skip analytics
+      console.log('Analytics data not available:', analyticsError.message);
+    }
+
+    res.set('ETag', etag(result.rows[0]));
+    res.json({
+      success: true,
+      data: {
+        ...result.rows[0],
+        analytics: analyticsData
+      }
+    });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /api/products:
+ *   post:
+ *     summary: Add a new product
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ProductInput'
+ *     responses:
+ *       201:
+ *         description: Product created
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the inventory_manager role or higher
+ *       409:
+ *         description: A product with this stock_code already exists
+ */
+router.post('/', requireRole('inventory_manager'), validate({ body: productInput }), async (req, res) => {
+  // Optional fields arrive with their defaults filled in by productInput
+  const {
+    stock_code,
+    description,
+    category_id,
+    unit_price,
+    stock_quantity,
+    reorder_level,
+    supplier_info,
+    supplier_id,
+    is_active,
+    weight,
+    dimensions
+  } = req.body;
+
+  const query = `
+    INSERT INTO products (
+      stock_code, description, category_id, unit_price,
+      stock_quantity, reorder_level, supplier_info, supplier_id,
+      is_active, weight, dimensions
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+    RETURNING *
+  `;
+
+  const result = await db.query(query, [
+    stock_code, description, category_id, unit_price,
+    stock_quantity, reorder_level, supplier_info, supplier_id,
+    is_active, weight, dimensions
+  ]);
+
+  res.set('ETag', etag(result.rows[0]));
+  res.status(201).json({
+    success: true,
+    message: 'Product created successfully',
+    data: result.rows[0]
+  });
+});
+
+/**
+ * @swagger
+ * /api/products/{id}:
+ *   put:
+ *     summary: Replace a product by product_id or stock_code
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ProductInput'
+ *     responses:
+ *       200:
+ *         description: Product updated
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the inventory_manager role or higher
+ *       404:
+ *         description: Product not found
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ */
+router.put('/:id', requireRole('inventory_manager'), validate({ params: productParams, body: productInput }), async (req, res) => {
+  const { searchField, searchValue } = productLookup(req.params.id);
+
+  // Full replacement: fields left out of the body take their schema defaults
+  const product = await updateVersioned(db, {
+    table: 'products',
+    key: searchField,
+    id: searchValue,
+    changes: req.body,
+    versions: ifMatchVersions(req),
+    touch: 'updated_at'
+  });
+
+  if (!product) {
+    return res.status(404).json({
+      success: false,
+      error: 'Product not found'
+    });
+  }
+
+  res.set('ETag', etag(product));
+  res.json({
+    success: true,
+    message: 'Product updated successfully',
+    data: product
+  });
+});
+
+/**
+ * @swagger
+ * /api/products/{id}:
+ *   patch:
+ *     summary: Update only the supplied fields of a product
+ *     description: >
+ *       Send the ETag from a previous read as If-Match to have the update rejected
+ *       with 412 if someone else changed the product in the meantime.
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ProductPatch'
+ *     responses:
+ *       200:
+ *         description: Product updated; the response carries the new ETag
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the inventory_manager role or higher
+ *       404:
+ *         description: Product not found
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ */
+router.patch('/:id', requireRole('inventory_manager'), validate({ params: productParams, body: productPatch }), async (req, res) => {
+  const { searchField, searchValue } = productLookup(req.params.id);
+
+  const product = await updateVersioned(db, {
+    table: 'products',
+    key: searchField,
+    id: searchValue,
+    changes: req.body,
+    versions: ifMatchVersions(req),
+    touch: 'updated_at'
+  });
+
+  if (!product) {
+    return res.status(404).json({
+      success: false,
+      error: 'Product not found'
+    });
+  }
+
+  res.set('ETag', etag(product));
+  res.json({
+    success: true,
+    message: 'Product updated successfully',
+    data: product
+  });
+});
+
+/**
+ * @swagger
+ * /api/products/{id}:
+ *   delete:
+ *     summary: Soft delete a product, or purge it and its history into the archive tables
+ *     description: >
+ *       By default the product is deactivated and stamped with deleted_at; it disappears from
+ *       the product list but keeps its order and inventory history and can be restored.
+ *       With purge=true the product and its order items are copied to the *_archive tables
+ *       and then deleted for good. Lines of pending orders are removed with their reservations;
+ *       a product on any other order cannot be purged. Inventory movements stay in the stock
+ *       ledger, which is keyed by stock code, with their product_id cleared.
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: purge
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     responses:
+ *       200:
+ *         description: Product soft deleted (or already deleted), or purged with archived and unlinked row counts
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the inventory_manager role or higher, or dba with purge=true
+ *       404:
+ *         description: Product not found
+ *       409:
+ *         description: With purge=true, the product is on orders that are no longer pending; they are listed
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ */
+router.delete('/:id', requireRole('inventory_manager'), validate({ params: productParams, query: productDeleteQuery }), async (req, res) => {
+  const { searchField, searchValue } = productLookup(req.params.id);
+
+  if (req.query.purge) {
+    // Purging cannot be undone from the API, so it takes more than an ordinary delete
+    assertRole(req, 'dba');
+    const { product, archived, unlinked } = await purgeProduct(searchField, searchValue);
+
+    return res.json({
+      success: true,
+      message: 'Product purged and archived',
+      purged_product: product,
+      archived,
+      unlinked
+    });
+  }
+
+  // The row is locked between the already-deleted check and the update
+  const { product, alreadyDeleted } = await withTransaction(async (client) => {
+    const existing = await client.query(
+      `SELECT ${PRODUCT_COLUMNS.join(', ')}, row_version FROM products WHERE ${searchField} = $1 FOR UPDATE`,
+      [searchValue]
+    );
+
+    if (existing.rows.length === 0) {
+      throw new HttpError(404, 'Product not found');
+    }
+
+    // Deleting twice is a no-op so the original deleted_at is kept
+    if (existing.rows[0].deleted_at) {
+      return { product: existing.rows[0], alreadyDeleted: true };
+    }
+
+    const updated = await updateVersioned(client, {
+      table: 'products',
+      key: 'product_id',
+      id: existing.rows[0].product_id,
+      changes: { is_active: false, deleted_at: new Date() },
+      versions: ifMatchVersions(req),
+      touch: 'updated_at'
+    });
+    return { product: updated, alreadyDeleted: false };
+  });
+
+  if (alreadyDeleted) {
+    return res.json({
+      success: true,
+      message: 'Product was already deleted',
+      deleted_product: product
+    });
+  }
+
+  res.set('ETag', etag(product));
+  res.json({
+    success: true,
+    message: 'Product deleted successfully',
+    deleted_product: product
+  });
+});
+
+// Copies the product and its order items to the archive tables, then deletes them; inventory movements are kept
+function purgeProduct(searchField, searchValue) {
+  return withTransaction(async (client) => {
+    const productResult = await client.query(
+      `SELECT * FROM products WHERE ${searchField} = $1 FOR UPDATE`,
+      [searchValue]
+    );
+
+    if (productResult.rows.length === 0) {
+      throw new HttpError(404, 'Product not found');
+    }
+
+    const product = productResult.rows[0];
+
+    // Lines of fulfilled and cancelled orders cannot change (trg_reserve_order_stock); the
+    // share lock keeps the pending ones from moving on before their lines are archived
+    const orders = await client.query(`
+      SELECT id, status FROM orders
+      WHERE id IN (SELECT order_id FROM order_items WHERE product_id = $1)
+      ORDER BY id
+      FOR SHARE
+    `, [product.product_id]);
+
+    const blocking = orders.rows.filter(order => order.status !== 'pending');
+    if (blocking.length > 0) {
+      throw new HttpError(409, 'The product is on orders that are no longer pending; their lines cannot be purged', {
+        code: 'PRODUCT_ON_CLOSED_ORDERS',
+        orders: blocking,
+      });
+    }
+
+    const orderItems = await client.query(`
+      WITH moved AS (
+        DELETE FROM order_items WHERE product_id = $1 RETURNING *
+      )
+      INSERT INTO order_items_archive (id, order_id, product_id, data)
+      SELECT id, order_id, product_id, to_jsonb(moved) FROM moved
+    `, [product.product_id]);
+
+    // The ledger is keyed by stock code and must keep summing to the inventory row, which
+    // stays, so movements only lose their link to the product
+    const movements = await client.query(
+      'UPDATE inventory_movements SET product_id = NULL WHERE product_id = $1',
+      [product.product_id]
+    );
+
+    await client.query(`
+      WITH moved AS (
+        DELETE FROM products WHERE product_id = $1 RETURNING *
+      )
+      INSERT INTO products_archive (product_id, stock_code, data)
+      SELECT product_id, stock_code, to_jsonb(moved) FROM moved
+    `, [product.product_id]);
+
+    return {
+      product,
+      archived: {
+        order_items: orderItems.rowCount
+      },
+      unlinked: {
+        inventory_movements: movements.rowCount
+      }
+    };
+  });
+}
+
+/**
+ * @swagger
+ * /api/products/{id}/restore:
+ *   post:
+ *     summary: Restore a soft-deleted product
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Product reactivated
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the inventory_manager role or higher
+ *       404:
+ *         description: Product not found
+ *       409:
+ *         description: Product is not deleted
+ */
+router.post('/:id/restore', requireRole('inventory_manager'), validate({ params: productParams }), async (req, res) => {
+  const { searchField, searchValue } = productLookup(req.params.id);
+
+  const result = await db.query(`
+    UPDATE products
+    SET is_active = true, deleted_at = NULL, updated_at = CURRENT_TIMESTAMP
+    WHERE ${searchField} = $1 AND deleted_at IS NOT NULL
+    RETURNING *
+  `, [searchValue]);
+
+  if (result.rows.length === 0) {
+    const exists = await db.query(`SELECT 1 FROM products WHERE ${searchField} = $1`, [searchValue]);
+    return res.status(exists.rows.length > 0 ? 409 : 404).json({
+      success: false,
+      error: exists.rows.length > 0 ? 'Product is not deleted' : 'Product not found'
+    });
+  }
+
+  res.set('ETag', etag(result.rows[0]));
+  res.json({
+    success: true,
+    message: 'Product restored successfully',
+    data: result.rows[0]
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,687 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const Joi = require('joi');
+const { validate } = require('../lib/validation');
+const { requireRole } = require('../lib/auth');
+const { HttpError } = require('../lib/errors');
+const { withTransaction } = require('../lib/transaction');
+const { idParams, pageSize, pageNumber, purchaseOrderInput, purchaseOrderReceipt } = require('../lib/schemas');
+
+const STATUSES = ['draft', 'sent', 'partially_received', 'closed'];
+
+// Status changes made directly; receiving moves an order to partially_received or closed
+const TRANSITIONS = {
+  send: { from: ['draft'], to: 'sent', stamp: 'sent_at' },
+  close: { from: ['draft', 'sent', 'partially_received'], to: 'closed', stamp: 'closed_at' },
+};
+
+const RECEIVABLE_STATUSES = ['sent', 'partially_received'];
+
+// Auto-drafted lines order enough to bring stock up to this multiple of the reorder level
+const REORDER_TARGET_FACTOR = 2;
+
+const purchaseOrderListQuery = Joi.object({
+  status: Joi.string().valid(...STATUSES),
+  supplier_id: Joi.number().integer().positive(),
+  page: pageNumber(),
+  limit: pageSize(200, 20),
+});
+
+const autoDraftInput = Joi.object({
+  supplier_id: Joi.number().integer().positive()
+    .description('Only draft for this supplier'),
+  dry_run: Joi.boolean().default(false)
+    .description('Return the drafts that would be created without saving them'),
+});
+
+// Purchase orders are referenced this way on the inventory ledger
+const ledgerReference = (id) => `PO ${id}`;
+
+// A purchase order with its supplier and lines, or null when there is no such order
+async function loadPurchaseOrder(client, id) {
+  const orderResult = await client.query(`
+    SELECT po.*, s.name AS supplier_name
+    FROM purchase_orders po
+    JOIN suppliers s ON s.id = po.supplier_id
+    WHERE po.id = $1
+  `, [id]);
+  if (orderResult.rows.length === 0) {
+    return null;
+  }
+
+  const linesResult = await client.query(`
+    SELECT id, stock_code, quantity_ordered, quantity_received,
+           quantity_ordered - quantity_received AS quantity_outstanding,
+           unit_cost,
+           ROUND((quantity_ordered * unit_cost)::numeric, 2) AS line_total
+    FROM purchase_order_lines
+    WHERE purchase_order_id = $1
+    ORDER BY stock_code
+  `, [id]);
+
+  return { ...orderResult.rows[0], lines: linesResult.rows };
+}
+
+// Creates a draft with the given lines and resolves to it; lines are { stock_code, quantity, unit_cost }
+async function createDraft(client, { supplierId, notes, lines, createdBy }) {
+  const orderResult = await client.query(
+    'INSERT INTO purchase_orders (supplier_id, notes, created_by) VALUES ($1, $2, $3) RETURNING id',
+    [supplierId, notes, createdBy]
+  );
+  const orderId = orderResult.rows[0].id;
+
+  for (const line of lines) {
+    await client.query(
+      'INSERT INTO purchase_order_lines (purchase_order_id, stock_code, quantity_ordered, unit_cost) VALUES ($1, $2, $3, $4)',
+      [orderId, line.stock_code, line.quantity, line.unit_cost ?? null]
+    );
+  }
+
+  return loadPurchaseOrder(client, orderId);
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PurchaseOrder:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         supplier_id:
+ *           type: integer
+ *         supplier_name:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [draft, sent, partially_received, closed]
+ *         notes:
+ *           type: string
+ *           nullable: true
+ *         created_by:
+ *           type: string
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         sent_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         closed_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *         lines:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: integer
+ *               stock_code:
+ *                 type: string
+ *               quantity_ordered:
+ *                 type: integer
+ *               quantity_received:
+ *                 type: integer
+ *               quantity_outstanding:
+ *                 type: integer
+ *               unit_cost:
+ *                 type: number
+ *                 nullable: true
+ *               line_total:
+ *                 type: number
+ *                 nullable: true
+ */
+
+/**
+ * @swagger
+ * /api/purchase-orders:
+ *   get:
+ *     summary: List purchase orders, newest first
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, sent, partially_received, closed]
+ *       - in: query
+ *         name: supplier_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 200
+ *     responses:
+ *       200:
+ *         description: A page of purchase orders without their lines, with line counts and quantities
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the viewer role or higher
+ */
+router.get('/', requireRole('viewer'), validate({ query: purchaseOrderListQuery }), async (req, res) => {
+  const { status, supplier_id, page, limit } = req.query;
+  const conditions = [];
+  const params = [];
+
+  if (status) {
+    params.push(status);
+    conditions.push(`po.status = $${params.length}`);
+  }
+  if (supplier_id) {
+    params.push(supplier_id);
+    conditions.push(`po.supplier_id = $${params.length}`);
+  }
+
+  const whereClause = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+  const client = await db.connect();
+
+  try {
+    const [ordersResult, countResult] = await Promise.all([
+      client.query(`
+        SELECT po.*, s.name AS supplier_name,
+          COUNT(l.id)::int AS line_count,
+          COALESCE(SUM(l.quantity_ordered), 0)::int AS quantity_ordered,
+          COALESCE(SUM(l.quantity_received), 0)::int AS quantity_received
+        FROM purchase_orders po
+        JOIN suppliers s ON s.id = po.supplier_id
+        LEFT JOIN purchase_order_lines l ON l.purchase_order_id = po.id
+        ${whereClause}
+        GROUP BY po.id, s.name
+        ORDER BY po.created_at DESC, po.id DESC
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+      `, [...params, limit, (page - 1) * limit]),
+      client.query(`SELECT COUNT(*)::int AS total FROM purchase_orders po ${whereClause}`, params)
+    ]);
+
+    const total = countResult.rows[0].total;
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: ordersResult.rows,
+      pagination: {
+        current_page: page,
+        total_pages: totalPages,
+        total_records: total,
+        limit,
+        has_next: page < totalPages,
+        has_prev: page > 1
+      }
+    });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /api/purchase-orders:
+ *   post:
+ *     summary: Create a draft purchase order
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PurchaseOrderInput'
+ *     responses:
+ *       201:
+ *         description: Draft created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/PurchaseOrder'
+ *       400:
+ *         description: Invalid fields, an unknown or inactive supplier, or a stock code with no inventory row
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the inventory_manager role or higher
+ */
+router.post('/', requireRole('inventory_manager'), validate({ body: purchaseOrderInput }), async (req, res) => {
+  const { supplier_id, notes, lines } = req.body;
+
+  const purchaseOrder = await withTransaction(async (client) => {
+    const supplier = await client.query('SELECT is_active FROM suppliers WHERE id = $1', [supplier_id]);
+    if (supplier.rows.length === 0 || !supplier.rows[0].is_active) {
+      throw new HttpError(400, 'No active supplier with that id', { code: 'UNKNOWN_SUPPLIER' });
+    }
+
+    const inventory = await client.query(
+      'SELECT stock_code FROM inventory WHERE stock_code = ANY($1)',
+      [lines.map(line => line.stock_code)]
+    );
+    const known = new Set(inventory.rows.map(row => row.stock_code));
+
+    const unknown = lines.filter(line => !known.has(line.stock_code)).map(line => line.stock_code);
+    if (unknown.length > 0) {
+      throw new HttpError(400, 'Some stock codes are not in inventory', { code: 'UNKNOWN_STOCK_CODE', stock_codes: unknown });
+    }
+
+    return createDraft(client, { supplierId: supplier_id, notes, lines, createdBy: req.context.actor });
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Purchase order drafted',
+    data: purchaseOrder
+  });
+});
+
+/**
+ * @swagger
+ * /api/purchase-orders/auto-draft:
+ *   post:
+ *     summary: Draft purchase orders for low-stock products, one per supplier
+ *     description: >
+ *       A stock code needs reordering when its available stock plus what is still outstanding
+ *       on open purchase orders is at or below its reorder level. Each such stock code whose
+ *       active product has an active supplier gets a line ordering enough to bring it up to
+ *       twice the reorder level (at least one unit). Stock codes without an active supplier
+ *       are listed under skipped. Running it again does not draft the same shortfall twice,
+ *       since drafted quantities count as outstanding.
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               supplier_id:
+ *                 type: integer
+ *                 description: Only draft for this supplier
+ *               dry_run:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Return the drafts that would be created without saving them
+ *     responses:
+ *       200:
+ *         description: The drafts created (or that would be, on a dry run) and the stock codes skipped
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 dry_run:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PurchaseOrder'
+ *                 skipped:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       stock_code:
+ *                         type: string
+ *                       reason:
+ *                         type: string
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the inventory_manager role or higher
+ */
+router.post('/auto-draft', requireRole('inventory_manager'), validate({ body: autoDraftInput }), async (req, res) => {
+  const { supplier_id, dry_run } = req.body;
+
+  const result = await withTransaction(async (client) => {
+    // Two concurrent runs would both see the same shortfall; let them take turns
+    await client.query("SELECT pg_advisory_xact_lock(hashtext('purchase_orders_auto_draft'))");
+
+    const shortfalls = await client.query(`
+      WITH outstanding AS (
+        SELECT l.stock_code, SUM(l.quantity_ordered - l.quantity_received) AS quantity
+        FROM purchase_order_lines l
+        JOIN purchase_orders po ON po.id = l.purchase_order_id
+        WHERE po.status <> 'closed'
+        GROUP BY l.stock_code
+      )
+      SELECT
+        i.stock_code,
+        i.available_stock,
+        i.reorder_level,
+        COALESCE(o.quantity, 0)::int AS outstanding,
+        p.supplier_id AS assigned_supplier_id,
+        s.id AS supplier_id
+      FROM inventory i
+      JOIN products p ON p.stock_code = i.stock_code AND p.deleted_at IS NULL AND p.is_active
+      LEFT JOIN suppliers s ON s.id = p.supplier_id AND s.is_active
+      LEFT JOIN outstanding o ON o.stock_code = i.stock_code
+      WHERE i.available_stock + COALESCE(o.quantity, 0) <= i.reorder_level
+        AND ($1::int IS NULL OR p.supplier_id = $1)
+      ORDER BY s.id, i.stock_code
+    `, [supplier_id ?? null]);
+
+    const bySupplier = new Map();
+    const skipped = [];
+
+    for (const row of shortfalls.rows) {
+      if (row.supplier_id === null) {
+        skipped.push({
+          stock_code: row.stock_code,
+          reason: row.assigned_supplier_id === null ? 'No supplier assigned' : 'Supplier is inactive',
+        });
+        continue;
+      }
+
+      const target = row.reorder_level * REORDER_TARGET_FACTOR;
+      const quantity = Math.max(1, target - row.available_stock - row.outstanding);
+
+      if (!bySupplier.has(row.supplier_id)) bySupplier.set(row.supplier_id, []);
+      bySupplier.get(row.supplier_id).push({ stock_code: row.stock_code, quantity });
+    }
+
+    const drafts = [];
+    for (const [supplierId, lines] of bySupplier) {
+      drafts.push(await createDraft(client, {
+        supplierId,
+        notes: 'Drafted automatically from low stock',
+        lines,
+        createdBy: req.context.actor,
+      }));
+    }
+
+    return { drafts, skipped };
+  }, { rollback: dry_run });
+
+  res.json({
+    success: true,
+    dry_run,
+    data: result.drafts,
+    skipped: result.skipped
+  });
+});
+
+/**
+ * @swagger
+ * /api/purchase-orders/{id}:
+ *   get:
+ *     summary: Get a purchase order with its lines
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The purchase order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/PurchaseOrder'
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the viewer role or higher
+ *       404:
+ *         description: Purchase order not found
+ */
+router.get('/:id', requireRole('viewer'), validate({ params: idParams }), async (req, res) => {
+  const client = await db.connect();
+
+  try {
+    const purchaseOrder = await loadPurchaseOrder(client, req.params.id);
+
+    if (!purchaseOrder) {
+      throw new HttpError(404, 'Purchase order not found');
+    }
+
+    res.json({ success: true, data: purchaseOrder });
+  } finally {
+    client.release();
+  }
+});
+
+// Locks a purchase order for a status change, failing unless it is in one of the given statuses
+async function lockPurchaseOrder(client, id, allowed, action) {
+  const current = await client.query('SELECT status FROM purchase_orders WHERE id = $1 FOR UPDATE', [id]);
+
+  if (current.rows.length === 0) {
+    throw new HttpError(404, 'Purchase order not found');
+  }
+
+  const { status } = current.rows[0];
+  if (!allowed.includes(status)) {
+    throw new HttpError(409, `A ${status} purchase order cannot be ${action}`, {
+      code: 'INVALID_PURCHASE_ORDER_STATUS',
+      status,
+    });
+  }
+
+  return status;
+}
+
+// Handler moving a purchase order along one of TRANSITIONS
+const changeStatus = (action) => async (req, res) => {
+  const transition = TRANSITIONS[action];
+
+  const purchaseOrder = await withTransaction(async (client) => {
+    await lockPurchaseOrder(client, req.params.id, transition.from, transition.to);
+
+    await client.query(
+      `UPDATE purchase_orders SET status = $2, ${transition.stamp} = now(), updated_at = now() WHERE id = $1`,
+      [req.params.id, transition.to]
+    );
+    return loadPurchaseOrder(client, req.params.id);
+  });
+
+  res.json({ success: true, data: purchaseOrder });
+};
+
+/**
+ * @swagger
+ * /api/purchase-orders/{id}/send:
+ *   post:
+ *     summary: Mark a draft purchase order as sent to its supplier
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The sent purchase order
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the inventory_manager role or higher
+ *       404:
+ *         description: Purchase order not found
+ *       409:
+ *         description: The purchase order is not a draft (INVALID_PURCHASE_ORDER_STATUS)
+ */
+router.post('/:id/send', requireRole('inventory_manager'), validate({ params: idParams }), changeStatus('send'));
+
+/**
+ * @swagger
+ * /api/purchase-orders/{id}/receive:
+ *   post:
+ *     summary: Receive goods against a sent purchase order
+ *     description: >
+ *       Each received quantity is added to the line and posted to the inventory ledger as a
+ *       receipt referencing the purchase order, raising current stock. The order becomes
+ *       partially_received, or closed once every line is fully received. Receiving more than
+ *       a line still has outstanding is refused.
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PurchaseOrderReceipt'
+ *     responses:
+ *       200:
+ *         description: The purchase order after receiving
+ *       400:
+ *         description: Invalid fields, or a stock code that is not on the purchase order
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the inventory_manager role or higher
+ *       404:
+ *         description: Purchase order not found
+ *       409:
+ *         description: >
+ *           The purchase order is not sent or partially received (INVALID_PURCHASE_ORDER_STATUS),
+ *           or a quantity exceeds what is outstanding (RECEIPT_EXCEEDS_OUTSTANDING)
+ */
+router.post('/:id/receive', requireRole('inventory_manager'), validate({ params: idParams, body: purchaseOrderReceipt }), async (req, res) => {
+  const { lines, reference } = req.body;
+
+  const purchaseOrder = await withTransaction(async (client) => {
+    await lockPurchaseOrder(client, req.params.id, RECEIVABLE_STATUSES, 'received');
+
+    const orderLines = await client.query(
+      'SELECT id, stock_code, quantity_ordered, quantity_received FROM purchase_order_lines WHERE purchase_order_id = $1',
+      [req.params.id]
+    );
+    const byStockCode = new Map(orderLines.rows.map(line => [line.stock_code, line]));
+
+    const notOnOrder = lines.filter(line => !byStockCode.has(line.stock_code)).map(line => line.stock_code);
+    if (notOnOrder.length > 0) {
+      throw new HttpError(400, 'Some stock codes are not on this purchase order', {
+        code: 'NOT_ON_PURCHASE_ORDER',
+        stock_codes: notOnOrder,
+      });
+    }
+
+    const excess = lines
+      .map(line => {
+        const orderLine = byStockCode.get(line.stock_code);
+        return { stock_code: line.stock_code, quantity: line.quantity, outstanding: orderLine.quantity_ordered - orderLine.quantity_received };
+      })
+      .filter(line => line.quantity > line.outstanding);
+    if (excess.length > 0) {
+      throw new HttpError(409, 'Received quantities exceed what is outstanding', {
+        code: 'RECEIPT_EXCEEDS_OUTSTANDING',
+        lines: excess,
+      });
+    }
+
+    // Stock codes in order so concurrent receipts and orders lock inventory rows alike
+    const sorted = [...lines].sort((a, b) => a.stock_code.localeCompare(b.stock_code));
+    for (const line of sorted) {
+      await client.query(
+        'UPDATE purchase_order_lines SET quantity_received = quantity_received + $2 WHERE id = $1',
+        [byStockCode.get(line.stock_code).id, line.quantity]
+      );
+      await client.query(
+        "SELECT post_inventory_movement($1, $2, 'receipt', $3, $4)",
+        [line.stock_code, line.quantity, ledgerReference(req.params.id), reference ? `Delivery ${reference}` : null]
+      );
+    }
+
+    const remaining = await client.query(
+      'SELECT COUNT(*)::int AS open_lines FROM purchase_order_lines WHERE purchase_order_id = $1 AND quantity_received < quantity_ordered',
+      [req.params.id]
+    );
+    const complete = remaining.rows[0].open_lines === 0;
+
+    await client.query(
+      `UPDATE purchase_orders
+       SET status = $2, closed_at = CASE WHEN $3 THEN now() ELSE closed_at END, updated_at = now()
+       WHERE id = $1`,
+      [req.params.id, complete ? 'closed' : 'partially_received', complete]
+    );
+
+    return loadPurchaseOrder(client, req.params.id);
+  });
+
+  res.json({ success: true, data: purchaseOrder });
+});
+
+/**
+ * @swagger
+ * /api/purchase-orders/{id}/close:
+ *   post:
+ *     summary: Close a purchase order
+ *     description: >
+ *       Closes a draft that will not be sent, or a sent order whose remaining goods are no
+ *       longer expected. Outstanding quantities stop counting towards auto-drafting.
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The closed purchase order
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the inventory_manager role or higher
+ *       404:
+ *         description: Purchase order not found
+ *       409:
+ *         description: The purchase order is already closed (INVALID_PURCHASE_ORDER_STATUS)
+ */
+router.post('/:id/close', requireRole('inventory_manager'), validate({ params: idParams }), changeStatus('close'));
+
+module.exports = router;
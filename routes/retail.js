@@ -1,6 +1,218 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../db');
+const { importRetail, ImportError, SUPPORTED_FORMATS } = require('../lib/retailImport');
+const { streamExport, EXPORT_FORMATS } = require('../lib/export');
+const { HttpError } = require('../lib/errors');
+const Joi = require('joi');
+const { validate } = require('../lib/validation');
+const { requireRole } = require('../lib/auth');
+const { explainInSandbox } = require('../lib/querySandbox');
+const { planRelations, summarizePlan, comparePlans } = require('../lib/planSummary');
+const { adviseIndexes, applyRecommendation } = require('../lib/indexAdvisor');
+const { statStatementsColumns, tableConditions, tableMetrics, indexMetrics } = require('../lib/pgStats');
+const config = require('../config');
+const { etag, ifMatchVersions, updateVersioned } = require('../lib/rowVersion');
+const { withTransaction } = require('../lib/transaction');
+const {
+  DATE_ONLY, stockCode, country, dateTime, dateOnly, sortDirection, pageSize, cursor,
+  idParams, retailInput, retailPatch, inventoryAdjustment, ALERT_STATES, alertAcknowledgement
+} = require('../lib/schemas');
+
+const RETAIL_COLUMNS = [
+  'id', 'invoice_no', 'stock_code', 'description', 'quantity',
+  'invoice_date', 'unit_price', 'customer_id', 'country'
+];
+
+// Sortable columns are NOT NULL so (column, id) keyset comparisons stay total
+const RETAIL_SORT_COLUMNS = ['invoice_date', 'id', 'invoice_no', 'stock_code', 'quantity', 'unit_price'];
+
+// Builds the WHERE conditions shared by the retail list and export endpoints
+const buildRetailFilters = (query) => {
+  const conditions = [];
+  const params = [];
+
+  const add = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace('?', `$${params.length}`));
+  };
+
+  const filters = [
+    ['invoice_no', 'invoice_no = ?'],
+    ['stock_code', 'stock_code = ?'],
+    ['customer_id', 'customer_id = ?'],
+    ['country', 'country = ?'],
+    ['date_from', 'invoice_date >= ?'],
+    ['date_to', 'invoice_date < ?'],
+    ['min_quantity', 'quantity >= ?'],
+    ['max_quantity', 'quantity <= ?'],
+    ['min_price', 'unit_price >= ?'],
+    ['max_price', 'unit_price <= ?'],
+  ];
+
+  for (const [param, sql] of filters) {
+    if (query[param] !== undefined) add(sql, query[param]);
+  }
+
+  return { conditions, params };
+};
+
+// Bucket widths for /sales/timeseries; keys are also valid date_trunc() fields
+const SALES_GRANULARITIES = {
+  day: '1 day',
+  week: '1 week',
+  month: '1 month',
+  quarter: '3 months',
+  year: '1 year',
+};
+
+// Shortest length in days of each bucket, so ranges are checked against an upper bound of their bucket count
+const SALES_GRANULARITY_MIN_DAYS = {
+  day: 1,
+  week: 7,
+  month: 28,
+  quarter: 90,
+  year: 365,
+};
+
+// Each bucket is one generate_series row; with group_by every top group gets a row per bucket
+const MAX_SALES_BUCKETS = 1000;
+const MAX_SALES_POINTS = 10000;
+
+const SALES_GROUP_COLUMNS = ['country', 'stock_code', 'customer_id'];
+
+const encodeCursor = (value, id) => Buffer.from(JSON.stringify([value, id])).toString('base64url');
+
+// Query filters shared by the retail list and export endpoints; country is normalised to the dataset's spelling
+const retailFilters = {
+  invoice_no: Joi.string().trim().max(20),
+  stock_code: stockCode(),
+  customer_id: Joi.number().integer().positive(),
+  country: country(),
+  date_from: dateTime(),
+  date_to: dateTime(),
+  min_quantity: Joi.number().integer(),
+  max_quantity: Joi.number().integer(),
+  min_price: Joi.number().min(0),
+  max_price: Joi.number().min(0),
+};
+
+const retailListQuery = Joi.object({
+  ...retailFilters,
+  sort_by: Joi.string().valid(...RETAIL_SORT_COLUMNS).default('invoice_date'),
+  sort_order: sortDirection('asc'),
+  limit: pageSize(1000, 50),
+  cursor: cursor(),
+});
+
+const retailExportQuery = Joi.object({
+  ...retailFilters,
+  format: Joi.string().valid(...Object.keys(EXPORT_FORMATS)).default('csv'),
+});
+
+const monthlySalesQuery = Joi.object({
+  year: Joi.number().integer().min(1900).max(2100).required(),
+  month: Joi.number().integer().min(1).max(12).required(),
+});
+
+const timeseriesQuery = Joi.object({
+  from: dateTime().required(),
+  to: dateTime().required(),
+  granularity: Joi.string().valid(...Object.keys(SALES_GRANULARITIES)).default('month'),
+  group_by: Joi.string().valid(...SALES_GROUP_COLUMNS),
+  top: Joi.number().integer().min(1).max(100).default(10),
+}).custom((value, helpers) => {
+  const days = (Date.parse(value.to) - Date.parse(value.from)) / 86400000;
+  if (days <= 0) {
+    return helpers.message({ custom: 'from must be before to' }, { key: 'from' });
+  }
+  // Partial buckets at either end add one more
+  const buckets = Math.ceil(days / SALES_GRANULARITY_MIN_DAYS[value.granularity]) + 1;
+  if (buckets > MAX_SALES_BUCKETS) {
+    return helpers.message(
+      { custom: `Range spans more than ${MAX_SALES_BUCKETS} ${value.granularity} buckets; narrow it or use a coarser granularity` },
+      { key: 'to' }
+    );
+  }
+  if (value.group_by && buckets * value.top > MAX_SALES_POINTS) {
+    return helpers.message(
+      { custom: `Up to ${buckets} ${value.granularity} buckets for ${value.top} groups exceeds ${MAX_SALES_POINTS} points; lower top or narrow the range` },
+      { key: 'top' }
+    );
+  }
+  return value;
+});
+
+const rollupRefreshBody = Joi.object({
+  from: dateOnly().allow(null).default(null),
+  to: dateOnly().allow(null).default(null),
+});
+
+const importQuery = Joi.object({
+  format: Joi.string().valid(...SUPPORTED_FORMATS),
+  batch_size: Joi.number().integer().min(1).max(50000).default(5000),
+  max_rejections: Joi.number().integer().min(0).default(1000),
+});
+
+const analyzedQuery = () => Joi.string().trim().max(10000);
+
+const queryAnalysisBody = Joi.object({
+  query: analyzedQuery().required(),
+  analyze: Joi.boolean().default(false),
+});
+
+const baselineParams = Joi.object({
+  name: Joi.string().pattern(/^[A-Za-z0-9._-]{1,100}$/).required()
+    .messages({ 'string.pattern.base': '{{#label}} may only contain letters, digits, ".", "_" and "-"' }),
+});
+
+const baselineBody = baselineParams.keys({
+  query: analyzedQuery().required(),
+  description: Joi.string().trim().max(500),
+  replace: Joi.boolean().default(false),
+});
+
+const baselineCompareBody = Joi.object({
+  query: analyzedQuery(),
+  tolerance: Joi.number().min(0).max(10).default(0.2),
+});
+
+// Narrows the performance endpoints from every user table to a schema and/or a table name glob
+const performanceTablesQuery = Joi.object({
+  schema: Joi.string().trim().max(63),
+  table: Joi.string().trim().max(63).pattern(/^[A-Za-z0-9_*?]+$/)
+    .messages({ 'string.pattern.base': '{{#label}} may contain letters, digits, _ and the wildcards * and ?' }),
+});
+
+const lowStockAlertQuery = Joi.object({
+  state: Joi.string().valid(...ALERT_STATES, 'unresolved')
+    .description('unresolved means open or acknowledged'),
+  stock_code: stockCode(),
+  limit: pageSize(1000, 100),
+});
+
+const slowQueriesQuery = Joi.object({
+  search: Joi.string().trim().max(200),
+  limit: pageSize(100, 20),
+});
+
+const indexAdvisorQuery = Joi.object({
+  explain_statements: Joi.boolean().default(true),
+});
+
+const indexAdvisorApplyBody = Joi.object({
+  id: Joi.string().hex().length(12).required(),
+});
+
+const salesAnalyticsQuery = Joi.object({
+  days: Joi.number().integer().min(1).max(3650).default(30),
+});
+
+const triggerTestBody = Joi.object({
+  stock_code: stockCode().required(),
+  quantity: Joi.number().integer().positive().required(),
+  test_mode: Joi.boolean().default(true),
+});
 
 /**
  * @swagger
@@ -28,34 +240,242 @@ const db = require('../db');
  *           type: integer
  *         country:
  *           type: string
+ *         row_version:
+ *           type: integer
+ *           description: Incremented on every update; returned as the ETag
  */
 
 // =====================================================
 // BASIC RETAIL CRUD OPERATIONS
 // =====================================================
 
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     RetailInvoiceNo:
+ *       in: query
+ *       name: invoice_no
+ *       schema:
+ *         type: string
+ *     RetailStockCode:
+ *       in: query
+ *       name: stock_code
+ *       schema:
+ *         type: string
+ *     RetailCustomerId:
+ *       in: query
+ *       name: customer_id
+ *       schema:
+ *         type: integer
+ *     RetailCountry:
+ *       in: query
+ *       name: country
+ *       schema:
+ *         type: string
+ *       description: Case-insensitive country name
+ *     RetailDateFrom:
+ *       in: query
+ *       name: date_from
+ *       schema:
+ *         type: string
+ *         format: date
+ *       description: Inclusive lower bound on invoice_date
+ *     RetailDateTo:
+ *       in: query
+ *       name: date_to
+ *       schema:
+ *         type: string
+ *         format: date
+ *       description: Exclusive upper bound on invoice_date
+ *     RetailMinQuantity:
+ *       in: query
+ *       name: min_quantity
+ *       schema:
+ *         type: integer
+ *     RetailMaxQuantity:
+ *       in: query
+ *       name: max_quantity
+ *       schema:
+ *         type: integer
+ *     RetailMinPrice:
+ *       in: query
+ *       name: min_price
+ *       schema:
+ *         type: number
+ *     RetailMaxPrice:
+ *       in: query
+ *       name: max_price
+ *       schema:
+ *         type: number
+ */
+
 /**
  * @swagger
  * /api/retail:
  *   get:
- *     summary: Get all retail records
+ *     summary: List retail records with filters, sorting and cursor pagination
+ *     description: >
+ *       Pages with a keyset cursor on (sort column, id) rather than OFFSET, so deep pages
+ *       cost the same as the first. Pass pagination.next_cursor back as cursor to continue.
+ *     parameters:
+ *       - $ref: '#/components/parameters/RetailInvoiceNo'
+ *       - $ref: '#/components/parameters/RetailStockCode'
+ *       - $ref: '#/components/parameters/RetailCustomerId'
+ *       - $ref: '#/components/parameters/RetailCountry'
+ *       - $ref: '#/components/parameters/RetailDateFrom'
+ *       - $ref: '#/components/parameters/RetailDateTo'
+ *       - $ref: '#/components/parameters/RetailMinQuantity'
+ *       - $ref: '#/components/parameters/RetailMaxQuantity'
+ *       - $ref: '#/components/parameters/RetailMinPrice'
+ *       - $ref: '#/components/parameters/RetailMaxPrice'
+ *       - in: query
+ *         name: sort_by
+ *         schema:
+ *           type: string
+ *           enum: [invoice_date, id, invoice_no, stock_code, quantity, unit_price]
+ *           default: invoice_date
+ *       - in: query
+ *         name: sort_order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: asc
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 1000
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Opaque cursor from a previous page
  *     responses:
  *       200:
- *         description: A list of retail records
+ *         description: A page of retail records
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Retail'
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Retail'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     limit:
+ *                       type: integer
+ *                     has_next:
+ *                       type: boolean
+ *                     next_cursor:
+ *                       type: string
+ *                       nullable: true
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+router.get('/', validate({ query: retailListQuery }), async (req, res) => {
+  const { sort_by, sort_order, limit, cursor: after } = req.query;
+  const { conditions, params } = buildRetailFilters(req.query);
+
+  const direction = sort_order === 'desc' ? 'DESC' : 'ASC';
+  const comparator = direction === 'DESC' ? '<' : '>';
+
+  if (after) {
+    if (sort_by === 'id') {
+      params.push(after[1]);
+      conditions.push(`id ${comparator} $${params.length}`);
+    } else {
+      params.push(after[0], after[1]);
+      conditions.push(`(${sort_by}, id) ${comparator} ($${params.length - 1}, $${params.length})`);
+    }
+  }
+
+  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  // Fetch one extra row to learn whether another page exists; the sort value
+  // is read back as text so the cursor round-trips without timezone drift
+  const result = await db.query(
+    `SELECT ${RETAIL_COLUMNS.join(', ')}, ${sort_by}::text AS cursor_value
+     FROM retail
+     ${whereClause}
+     ORDER BY ${sort_by} ${direction}${sort_by === 'id' ? '' : `, id ${direction}`}
+     LIMIT ${limit + 1}`,
+    params
+  );
+
+  const hasNext = result.rows.length > limit;
+  const rows = result.rows.slice(0, limit);
+  const last = rows[rows.length - 1];
+
+  res.json({
+    data: rows.map(({ cursor_value, ...row }) => row),
+    pagination: {
+      limit,
+      has_next: hasNext,
+      next_cursor: hasNext ? encodeCursor(last.cursor_value, last.id) : null
+    }
+  });
+});
+
+/**
+ * @swagger
+ * /api/retail/export:
+ *   get:
+ *     summary: Download retail records as CSV or NDJSON
+ *     description: >
+ *       Streams every row matching the list filters through a server-side cursor,
+ *       ordered by invoice_date.
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, ndjson]
+ *           default: csv
+ *       - $ref: '#/components/parameters/RetailInvoiceNo'
+ *       - $ref: '#/components/parameters/RetailStockCode'
+ *       - $ref: '#/components/parameters/RetailCustomerId'
+ *       - $ref: '#/components/parameters/RetailCountry'
+ *       - $ref: '#/components/parameters/RetailDateFrom'
+ *       - $ref: '#/components/parameters/RetailDateTo'
+ *       - $ref: '#/components/parameters/RetailMinQuantity'
+ *       - $ref: '#/components/parameters/RetailMaxQuantity'
+ *       - $ref: '#/components/parameters/RetailMinPrice'
+ *       - $ref: '#/components/parameters/RetailMaxPrice'
+ *     responses:
+ *       200:
+ *         description: File download of retail records
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
  */
-router.get('/', async (req, res) => {
+router.get('/export', validate({ query: retailExportQuery }), async (req, res) => {
+  const { format } = req.query;
+  const { conditions, params } = buildRetailFilters(req.query);
+
+  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const client = await db.connect();
+
   try {
-    const result = await db.query('SELECT * FROM retail LIMIT 100');
-    res.json(result.rows);
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Database error occurred' });
+    await streamExport(client, res, {
+      sql: `SELECT ${RETAIL_COLUMNS.join(', ')} FROM retail ${whereClause} ORDER BY invoice_date, id`,
+      params,
+      columns: RETAIL_COLUMNS,
+      format,
+      filename: 'retail',
+    });
+  } finally {
+    client.release();
   }
 });
 
@@ -85,25 +505,256 @@ router.get('/', async (req, res) => {
  *               properties:
  *                 total_sales:
  *                   type: number
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
  */
-router.get('/monthly-sales', async (req, res) => {
+router.get('/monthly-sales', validate({ query: monthlySalesQuery }), async (req, res) => {
   const { year, month } = req.query;
 
-  // Ensure both values exist and are integers
-  if (!year || !month || isNaN(year) || isNaN(month)) {
-    return res.status(400).json({ error: 'Please provide valid year and month as integers in the query string.' });
-  }
+  const result = await db.query('SELECT get_monthly_sales($1, $2) AS total_sales', [year, month]);
+  res.json(result.rows[0]);
+});
 
-  try {
-    const result = await db.query('SELECT get_monthly_sales($1, $2) AS total_sales', [
-      parseInt(year),
-      parseInt(month),
-    ]);
-    res.json(result.rows[0]);
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Database error occurred' });
+/**
+ * @swagger
+ * /api/retail/sales/timeseries:
+ *   get:
+ *     summary: Get a gap-filled sales time series
+ *     description: >
+ *       Buckets sales between from (inclusive) and to (exclusive) by the given granularity.
+ *       Buckets without sales are returned with zero values. With group_by, one series is
+ *       returned per group for the top groups by revenue. Ranges spanning more than
+ *       1000 buckets of the granularity are rejected, and with group_by so are requests
+ *       where buckets times top exceeds 10000.
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: granularity
+ *         schema:
+ *           type: string
+ *           enum: [day, week, month, quarter, year]
+ *           default: month
+ *       - in: query
+ *         name: group_by
+ *         schema:
+ *           type: string
+ *           enum: [country, stock_code, customer_id]
+ *       - in: query
+ *         name: top
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 100
+ *         description: Number of groups (by revenue) to return when group_by is set
+ *     responses:
+ *       200:
+ *         description: Sales series with revenue, quantity and invoice counts per bucket
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+router.get('/sales/timeseries', validate({ query: timeseriesQuery }), async (req, res) => {
+  const { from, to, granularity, group_by, top } = req.query;
+
+  const step = SALES_GRANULARITIES[granularity];
+
+  // Whole-day ranges that are ungrouped or grouped by country are answered from the daily rollup
+  const useRollup = (!group_by || group_by === 'country') && DATE_ONLY.test(from) && DATE_ONLY.test(to);
+
+  const salesQuery = useRollup
+    ? `SELECT
+        date_trunc('${granularity}', sale_date::timestamp) AS bucket,
+        ${group_by ? "NULLIF(country, '')" : 'NULL::text'} AS group_key,
+        SUM(revenue) AS revenue,
+        SUM(quantity) AS quantity,
+        SUM(invoice_count) AS invoice_count
+      FROM sales_rollup_daily
+      WHERE sale_date >= $1::date AND sale_date < $2::date
+      GROUP BY 1, 2`
+    : `SELECT
+        date_trunc('${granularity}', invoice_date) AS bucket,
+        ${group_by ? `${group_by}::text` : 'NULL::text'} AS group_key,
+        SUM(quantity * unit_price) AS revenue,
+        SUM(quantity) AS quantity,
+        COUNT(DISTINCT invoice_no) AS invoice_count
+      FROM retail
+      WHERE invoice_date >= $1 AND invoice_date < $2
+      GROUP BY 1, 2`;
+
+  // Buckets come from generate_series so periods without sales still appear
+  const query = `
+    WITH buckets AS (
+      SELECT generate_series(
+        date_trunc('${granularity}', $1::timestamp),
+        $2::timestamp - INTERVAL '1 microsecond',
+        INTERVAL '${step}'
+      ) AS bucket
+    ),
+    sales AS (
+      ${salesQuery}
+    ),
+    groups AS (
+      SELECT group_key, SUM(revenue) AS group_revenue
+      FROM sales
+      GROUP BY group_key
+      ORDER BY group_revenue DESC NULLS LAST
+      LIMIT $3
+    )
+    SELECT
+      to_char(b.bucket, 'YYYY-MM-DD') AS bucket,
+      ${group_by ? 'g.group_key' : 'NULL'} AS group_key,
+      ROUND(COALESCE(s.revenue, 0)::numeric, 2) AS revenue,
+      COALESCE(s.quantity, 0)::bigint AS quantity,
+      COALESCE(s.invoice_count, 0)::int AS invoice_count
+    FROM buckets b
+    ${group_by ? 'CROSS JOIN groups g' : ''}
+    LEFT JOIN sales s ON s.bucket = b.bucket
+      ${group_by ? 'AND s.group_key IS NOT DISTINCT FROM g.group_key' : ''}
+    ORDER BY ${group_by ? 'g.group_revenue DESC NULLS LAST, g.group_key, ' : ''}b.bucket
+  `;
+
+  const result = await db.query(query, [from, to, top]);
+  const toPoint = ({ group_key, ...point }) => point;
+
+  let series;
+  if (group_by) {
+    const byGroup = new Map();
+    for (const row of result.rows) {
+      if (!byGroup.has(row.group_key)) byGroup.set(row.group_key, []);
+      byGroup.get(row.group_key).push(toPoint(row));
+    }
+    series = [...byGroup].map(([group, points]) => ({ group, points }));
+  } else {
+    series = result.rows.map(toPoint);
   }
+
+  res.json({
+    from,
+    to,
+    granularity,
+    group_by: group_by || null,
+    source: useRollup ? 'rollup' : 'retail',
+    series
+  });
+});
+
+/**
+ * @swagger
+ * /api/retail/sales/rollup/status:
+ *   get:
+ *     summary: Report freshness of the daily sales rollup
+ *     description: >
+ *       Compares line counts, quantity and revenue in the rollup with the retail table
+ *       and reports when it was last rebuilt and when any of its rows last changed.
+ *       The comparison scans the whole retail table, so it is limited to admins.
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Rollup state and drift against retail
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the dba role or higher
+ */
+router.get('/sales/rollup/status', requireRole('dba'), async (req, res) => {
+  const [stateResult, driftResult] = await Promise.all([
+    db.query(`
+      SELECT last_full_refresh, last_refresh_from, last_refresh_to,
+             (SELECT MAX(updated_at) FROM sales_rollup_daily) AS last_rollup_update
+      FROM sales_rollup_state
+    `),
+    db.query(`
+      SELECT
+        r.line_count AS retail_lines,
+        s.line_count AS rollup_lines,
+        r.quantity AS retail_quantity,
+        s.quantity AS rollup_quantity,
+        ROUND(r.revenue::numeric, 2) AS retail_revenue,
+        ROUND(s.revenue::numeric, 2) AS rollup_revenue,
+        r.last_invoice_date,
+        s.last_sale_date
+      FROM (
+        SELECT COUNT(*)::bigint AS line_count, COALESCE(SUM(quantity), 0)::bigint AS quantity,
+               COALESCE(SUM(quantity * unit_price), 0) AS revenue, MAX(invoice_date) AS last_invoice_date
+        FROM retail
+      ) r
+      CROSS JOIN (
+        SELECT COALESCE(SUM(line_count), 0)::bigint AS line_count, COALESCE(SUM(quantity), 0)::bigint AS quantity,
+               COALESCE(SUM(revenue), 0) AS revenue, MAX(sale_date) AS last_sale_date
+        FROM sales_rollup_daily
+      ) s
+    `)
+  ]);
+
+  const drift = driftResult.rows[0];
+  const inSync = drift.retail_lines === drift.rollup_lines
+    && drift.retail_quantity === drift.rollup_quantity
+    && drift.retail_revenue === drift.rollup_revenue;
+
+  res.json({
+    ...stateResult.rows[0],
+    ...drift,
+    in_sync: inSync,
+    checked_at: new Date().toISOString()
+  });
+});
+
+/**
+ * @swagger
+ * /api/retail/sales/rollup/refresh:
+ *   post:
+ *     summary: Rebuild the daily sales rollup from retail
+ *     description: Rebuilds [from, to) when given, otherwise the whole rollup. Writes to retail wait until it finishes.
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               from:
+ *                 type: string
+ *                 format: date
+ *               to:
+ *                 type: string
+ *                 format: date
+ *     responses:
+ *       200:
+ *         description: Refresh completed
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the dba role or higher
+ */
+router.post('/sales/rollup/refresh', requireRole('dba'), validate({ body: rollupRefreshBody }), async (req, res) => {
+  const { from, to } = req.body;
+
+  const startTime = Date.now();
+  const result = await db.query('SELECT refresh_sales_rollup($1, $2) AS rows_written', [from, to]);
+
+  res.json({
+    message: 'Sales rollup refreshed',
+    from,
+    to,
+    rows_written: result.rows[0].rows_written,
+    duration_ms: Date.now() - startTime
+  });
 });
 
 /**
@@ -119,34 +770,27 @@ router.get('/monthly-sales', async (req, res) => {
  *           type: integer
  *     responses:
  *       200:
- *         description: A single retail record
+ *         description: A single retail record; the ETag header carries its row version
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Retail'
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
  *       404:
  *         description: Record not found
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', validate({ params: idParams }), async (req, res) => {
   const { id } = req.params;
+
+  const result = await db.query('SELECT * FROM retail WHERE id = $1', [id]);
   
-  // Validate that id is a number
-  if (isNaN(id)) {
-    return res.status(400).json({ error: 'Invalid ID format' });
-  }
-  
-  try {
-    const result = await db.query('SELECT * FROM retail WHERE id = $1', [id]);
-    
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Record not found' });
-    }
-    
-    res.json(result.rows[0]);
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Database error occurred' });
+  if (result.rows.length === 0) {
+    return res.status(404).json({ error: 'Record not found' });
   }
+
+  res.set('ETag', etag(result.rows[0]));
+  res.json(result.rows[0]);
 });
 
 /**
@@ -154,12 +798,15 @@ router.get('/:id', async (req, res) => {
  * /api/retail:
  *   post:
  *     summary: Add a new retail record
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/Retail'
+ *             $ref: '#/components/schemas/RetailInput'
  *     responses:
  *       201:
  *         description: Retail record created
@@ -167,20 +814,105 @@ router.get('/:id', async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Retail'
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the clerk role or higher
+ *       409:
+ *         $ref: '#/components/responses/InsufficientStock'
  */
-router.post('/', async (req, res) => {
+router.post('/', requireRole('clerk'), validate({ body: retailInput }), async (req, res) => {
   const { invoice_no, stock_code, description, quantity, invoice_date, unit_price, customer_id, country } = req.body;
   
+  const result = await db.query(
+    `INSERT INTO retail (invoice_no, stock_code, description, quantity, invoice_date, unit_price, customer_id, country)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8) RETURNING *`,
+    [invoice_no, stock_code, description, quantity, invoice_date, unit_price, customer_id, country]
+  );
+  res.set('ETag', etag(result.rows[0]));
+  res.status(201).json(result.rows[0]);
+});
+
+/**
+ * @swagger
+ * /api/retail/import:
+ *   post:
+ *     summary: Bulk import Online Retail II transactions from CSV or XLSX
+ *     description: >
+ *       Streams the uploaded file (raw request body) into the retail table in COPY batches.
+ *       Source headers Invoice, StockCode, Description, Quantity, InvoiceDate, Price,
+ *       Customer ID and Country are mapped onto retail columns. Rows failing validation
+ *       or the enforce_positive_values trigger are reported rather than aborting the load.
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx]
+ *         description: Defaults to the request Content-Type
+ *       - in: query
+ *         name: batch_size
+ *         schema:
+ *           type: integer
+ *           default: 5000
+ *       - in: query
+ *         name: max_rejections
+ *         schema:
+ *           type: integer
+ *           default: 1000
+ *         description: Maximum number of rejected rows listed in the report
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *         application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *     responses:
+ *       200:
+ *         description: Import report with per-row rejections
+ *       400:
+ *         description: Unsupported format, missing required columns or invalid query parameters
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the clerk role or higher
+ */
+router.post('/import', requireRole('clerk'), validate({ query: importQuery }), async (req, res) => {
+  const format = req.query.format
+    || (req.is('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet') && 'xlsx')
+    || (req.is(['text/csv', 'text/plain']) && 'csv');
+
+  if (!SUPPORTED_FORMATS.includes(format)) {
+    return res.status(400).json({
+      error: 'Send a CSV or XLSX body, or set format to csv or xlsx',
+      supported_formats: SUPPORTED_FORMATS
+    });
+  }
+
+  const { batch_size: batchSize, max_rejections: maxRejections } = req.query;
+
+  const client = await db.connect();
+
   try {
-    const result = await db.query(
-      `INSERT INTO retail (invoice_no, stock_code, description, quantity, invoice_date, unit_price, customer_id, country)
-       VALUES ($1,$2,$3,$4,$5,$6,$7,$8) RETURNING *`,
-      [invoice_no, stock_code, description, quantity, invoice_date, unit_price, customer_id, country]
-    );
-    res.status(201).json(result.rows[0]);
+    const report = await importRetail(client, req, { format, batchSize, maxRejections });
+    res.json(report);
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Database error occurred' });
+    if (err instanceof ImportError) {
+      throw new HttpError(400, err.message, err.details);
+    }
+    throw err;
+  } finally {
+    client.release();
   }
 });
 
@@ -188,19 +920,23 @@ router.post('/', async (req, res) => {
  * @swagger
  * /api/retail/{id}:
  *   put:
- *     summary: Update a retail record by ID
+ *     summary: Replace a retail record by ID
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema:
  *           type: integer
+ *       - $ref: '#/components/parameters/IfMatch'
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/Retail'
+ *             $ref: '#/components/schemas/RetailInput'
  *     responses:
  *       200:
  *         description: Retail record updated
@@ -208,36 +944,95 @@ router.post('/', async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Retail'
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the clerk role or higher
  *       404:
  *         description: Record not found
+ *       409:
+ *         $ref: '#/components/responses/InsufficientStock'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
  */
-router.put('/:id', async (req, res) => {
-  const { id } = req.params;
-  const { invoice_no, stock_code, description, quantity, invoice_date, unit_price, customer_id, country } = req.body;
-  
-  // Validate that id is a number
-  if (isNaN(id)) {
-    return res.status(400).json({ error: 'Invalid ID format' });
+router.put('/:id', requireRole('clerk'), validate({ params: idParams, body: retailInput }), async (req, res) => {
+  const record = await updateVersioned(db, {
+    table: 'retail',
+    key: 'id',
+    id: req.params.id,
+    changes: req.body,
+    versions: ifMatchVersions(req)
+  });
+
+  if (!record) {
+    return res.status(404).json({ error: 'Record not found' });
   }
-  
-  try {
-    const result = await db.query(
-      `UPDATE retail SET
-        invoice_no=$1, stock_code=$2, description=$3, quantity=$4,
-        invoice_date=$5, unit_price=$6, customer_id=$7, country=$8
-       WHERE id=$9 RETURNING *`,
-      [invoice_no, stock_code, description, quantity, invoice_date, unit_price, customer_id, country, id]
-    );
-    
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Record not found' });
-    }
-    
-    res.json(result.rows[0]);
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Database error occurred' });
+
+  res.set('ETag', etag(record));
+  res.json(record);
+});
+
+/**
+ * @swagger
+ * /api/retail/{id}:
+ *   patch:
+ *     summary: Update only the supplied fields of a retail record
+ *     description: >
+ *       Send the ETag from a previous read as If-Match to have the update rejected
+ *       with 412 if someone else changed the record in the meantime.
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RetailPatch'
+ *     responses:
+ *       200:
+ *         description: Retail record updated; the response carries the new ETag
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Retail'
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the clerk role or higher
+ *       404:
+ *         description: Record not found
+ *       409:
+ *         $ref: '#/components/responses/InsufficientStock'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ */
+router.patch('/:id', requireRole('clerk'), validate({ params: idParams, body: retailPatch }), async (req, res) => {
+  const record = await updateVersioned(db, {
+    table: 'retail',
+    key: 'id',
+    id: req.params.id,
+    changes: req.body,
+    versions: ifMatchVersions(req)
+  });
+
+  if (!record) {
+    return res.status(404).json({ error: 'Record not found' });
   }
+
+  res.set('ETag', etag(record));
+  res.json(record);
 });
 
 /**
@@ -245,6 +1040,9 @@ router.put('/:id', async (req, res) => {
  * /api/retail/{id}:
  *   delete:
  *     summary: Delete a retail record by ID
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -254,29 +1052,27 @@ router.put('/:id', async (req, res) => {
  *     responses:
  *       204:
  *         description: Record deleted
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the clerk role or higher
  *       404:
  *         description: Record not found
+ *       409:
+ *         $ref: '#/components/responses/InsufficientStock'
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requireRole('clerk'), validate({ params: idParams }), async (req, res) => {
   const { id } = req.params;
+
+  const result = await db.query('DELETE FROM retail WHERE id = $1 RETURNING id', [id]);
   
-  // Validate that id is a number
-  if (isNaN(id)) {
-    return res.status(400).json({ error: 'Invalid ID format' });
+  if (result.rows.length === 0) {
+    return res.status(404).json({ error: 'Record not found' });
   }
   
-  try {
-    const result = await db.query('DELETE FROM retail WHERE id = $1 RETURNING id', [id]);
-    
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Record not found' });
-    }
-    
-    res.sendStatus(204);
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Database error occurred' });
-  }
+  res.sendStatus(204);
 });
 
 // =====================================================
@@ -288,26 +1084,28 @@ router.delete('/:id', async (req, res) => {
  * /api/retail/performance/inventory-status:
  *   get:
  *     summary: Get current inventory status with stock levels
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
  *     responses:
  *       200:
  *         description: Inventory status with stock alerts
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the viewer role or higher
  */
-router.get('/performance/inventory-status', async (req, res) => {
-  try {
-    const result = await db.query('SELECT * FROM get_inventory_status()');
-    res.json({
-      inventory: result.rows,
-      summary: {
-        total_items: result.rows.length,
-        out_of_stock: result.rows.filter(item => item.status === 'OUT_OF_STOCK').length,
-        low_stock: result.rows.filter(item => item.status === 'LOW_STOCK').length,
-        in_stock: result.rows.filter(item => item.status === 'IN_STOCK').length
-      }
-    });
-  } catch (err) {
-    console.error('Error getting inventory status:', err);
-    res.status(500).json({ error: 'Database error occurred' });
-  }
+router.get('/performance/inventory-status', requireRole('viewer'), async (req, res) => {
+  const result = await db.query('SELECT * FROM get_inventory_status()');
+  res.json({
+    inventory: result.rows,
+    summary: {
+      total_items: result.rows.length,
+      out_of_stock: result.rows.filter(item => item.status === 'OUT_OF_STOCK').length,
+      low_stock: result.rows.filter(item => item.status === 'LOW_STOCK').length,
+      in_stock: result.rows.filter(item => item.status === 'IN_STOCK').length
+    }
+  });
 });
 
 /**
@@ -315,74 +1113,183 @@ router.get('/performance/inventory-status', async (req, res) => {
  * /api/retail/performance/adjust-inventory:
  *   post:
  *     summary: Manually adjust inventory levels
+ *     description: >
+ *       Posts a stock count correction, customer return or delivery receipt to the inventory
+ *       ledger and updates current stock. The response includes the ledger movement.
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               stock_code:
- *                 type: string
- *               adjustment:
- *                 type: integer
- *               reason:
- *                 type: string
+ *             $ref: '#/components/schemas/InventoryAdjustment'
+ *     responses:
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the inventory_manager role or higher
+ *       409:
+ *         $ref: '#/components/responses/InsufficientStock'
  */
-router.post('/performance/adjust-inventory', async (req, res) => {
-  const { stock_code, adjustment, reason = 'Manual adjustment' } = req.body;
-  
-  if (!stock_code || adjustment === undefined) {
-    return res.status(400).json({ 
-      error: 'stock_code and adjustment are required' 
-    });
-  }
-  
-  try {
-    await db.query(
-      'SELECT adjust_inventory($1, $2, $3)',
-      [stock_code, adjustment, reason]
+router.post('/performance/adjust-inventory', requireRole('inventory_manager'), validate({ body: inventoryAdjustment }), async (req, res) => {
+  const { stock_code, adjustment, reason, movement_type, reference = null } = req.body;
+
+  // Read back in the same transaction so the response shows this adjustment, not a later one
+  const { movement, inventory } = await withTransaction(async (client) => {
+    const adjusted = await client.query(
+      'SELECT * FROM adjust_inventory($1, $2, $3, $4, $5)',
+      [stock_code, adjustment, reason, movement_type, reference]
     );
-    
-    // Get updated inventory status
-    const result = await db.query(
+
+    const result = await client.query(
       'SELECT * FROM inventory WHERE stock_code = $1',
       [stock_code]
     );
-    
-    res.json({
-      message: 'Inventory adjusted successfully',
-      updated_inventory: result.rows[0]
-    });
-  } catch (err) {
-    console.error('Error adjusting inventory:', err);
-    res.status(500).json({ error: err.message });
-  }
+    return { movement: adjusted.rows[0], inventory: result.rows[0] };
+  });
+
+  res.json({
+    message: 'Inventory adjusted successfully',
+    movement,
+    updated_inventory: inventory
+  });
 });
 
 /**
  * @swagger
  * /api/retail/performance/low-stock-alerts:
  *   get:
- *     summary: Get current low stock alerts
+ *     summary: Get low stock alerts, newest first
+ *     description: >
+ *       An alert opens when a stock code's available stock falls to its reorder level, can be
+ *       acknowledged, and resolves by itself once available stock is above the reorder level
+ *       again. A stock code has at most one unresolved alert at a time.
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: state
+ *         schema:
+ *           type: string
+ *           enum: [open, acknowledged, resolved, unresolved]
+ *         description: unresolved means open or acknowledged; all states when omitted
+ *       - in: query
+ *         name: stock_code
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *           maximum: 1000
+ *     responses:
+ *       200:
+ *         description: Alerts with the stock code's product name and current available stock
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the viewer role or higher
  */
-router.get('/performance/low-stock-alerts', async (req, res) => {
-  try {
-    const result = await db.query(`
-      SELECT 
-        lsa.*,
-        i.product_name,
-        i.available_stock as current_available
-      FROM low_stock_alerts lsa
-      JOIN inventory i ON lsa.stock_code = i.stock_code
-      ORDER BY lsa.alert_time DESC
-    `);
-    
-    res.json(result.rows);
-  } catch (err) {
-    console.error('Error getting low stock alerts:', err);
-    res.status(500).json({ error: 'Database error occurred' });
+router.get('/performance/low-stock-alerts', requireRole('viewer'), validate({ query: lowStockAlertQuery }), async (req, res) => {
+  const { state, stock_code, limit } = req.query;
+  const conditions = [];
+  const params = [];
+
+  if (state === 'unresolved') {
+    conditions.push("lsa.status <> 'resolved'");
+  } else if (state) {
+    params.push(state);
+    conditions.push(`lsa.status = $${params.length}`);
+  }
+  if (stock_code) {
+    params.push(stock_code);
+    conditions.push(`lsa.stock_code = $${params.length}`);
+  }
+  params.push(limit);
+
+  const result = await db.query(`
+    SELECT
+      lsa.*,
+      i.product_name,
+      i.available_stock as current_available
+    FROM low_stock_alerts lsa
+    JOIN inventory i ON lsa.stock_code = i.stock_code
+    ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY lsa.alert_time DESC, lsa.id DESC
+    LIMIT $${params.length}
+  `, params);
+
+  res.json(result.rows);
+});
+
+/**
+ * @swagger
+ * /api/retail/performance/low-stock-alerts/{id}/acknowledge:
+ *   post:
+ *     summary: Acknowledge an open low stock alert
+ *     description: >
+ *       Records who has seen the alert. It stays unresolved until stock recovers, and no new
+ *       alert is raised for the stock code meanwhile.
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AlertAcknowledgement'
+ *     responses:
+ *       200:
+ *         description: The acknowledged alert
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the inventory_manager role or higher
+ *       404:
+ *         description: Alert not found
+ *       409:
+ *         description: The alert is already acknowledged or resolved (INVALID_ALERT_STATUS)
+ */
+router.post('/performance/low-stock-alerts/:id/acknowledge', requireRole('inventory_manager'), validate({ params: idParams, body: alertAcknowledgement }), async (req, res) => {
+  const result = await db.query(`
+    UPDATE low_stock_alerts
+    SET status = 'acknowledged', acknowledged_at = now(), acknowledged_by = $2, acknowledgement_note = $3
+    WHERE id = $1 AND status = 'open'
+    RETURNING *
+  `, [req.params.id, req.context.actor, req.body.note]);
+
+  if (result.rows.length === 0) {
+    const current = await db.query('SELECT status FROM low_stock_alerts WHERE id = $1', [req.params.id]);
+    if (current.rows.length === 0) {
+      throw new HttpError(404, 'Alert not found');
+    }
+    throw new HttpError(409, `The alert is already ${current.rows[0].status}`, {
+      code: 'INVALID_ALERT_STATUS',
+      status: current.rows[0].status,
+    });
   }
+
+  res.json({
+    success: true,
+    message: 'Alert acknowledged',
+    data: result.rows[0]
+  });
 });
 
 /**
@@ -390,25 +1297,44 @@ router.get('/performance/low-stock-alerts', async (req, res) => {
  * /api/retail/performance/table-metrics:
  *   get:
  *     summary: Get performance metrics for database tables
+ *     description: >
+ *       Covers every user table unless filtered: total, table and index sizes, live and dead
+ *       rows, sequential vs index scans, a rough bloat estimate and vacuum/analyze history.
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: schema
+ *         schema:
+ *           type: string
+ *         description: Only tables in this schema
+ *       - in: query
+ *         name: table
+ *         schema:
+ *           type: string
+ *         description: Only tables whose name matches this glob, e.g. retail* or order_?tems
+ *     responses:
+ *       200:
+ *         description: One entry per table, largest first
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the dba role or higher
  */
-router.get('/performance/table-metrics', async (req, res) => {
-  try {
-    const tables = ['retail', 'inventory'];
-    const metrics = {};
-    
-    for (const table of tables) {
-      const result = await db.query(
-        'SELECT * FROM get_table_performance_metrics($1)',
-        [table]
-      );
-      metrics[table] = result.rows[0];
-    }
-    
-    res.json(metrics);
-  } catch (err) {
-    console.error('Error getting table metrics:', err);
-    res.status(500).json({ error: 'Database error occurred' });
-  }
+router.get('/performance/table-metrics', requireRole('dba'), validate({ query: performanceTablesQuery }), async (req, res) => {
+  const [version, tables] = await Promise.all([
+    db.query("SELECT current_setting('server_version') AS server_version"),
+    tableMetrics(db, req.query)
+  ]);
+
+  res.json({
+    success: true,
+    server_version: version.rows[0].server_version,
+    data: tables
+  });
 });
 
 /**
@@ -416,6 +1342,13 @@ router.get('/performance/table-metrics', async (req, res) => {
  * /api/retail/performance/query-analysis:
  *   post:
  *     summary: Analyze query performance
+ *     description: >
+ *       Runs EXPLAIN on a single SELECT, WITH, VALUES or TABLE statement as the read-only
+ *       sandbox role, inside a READ ONLY transaction with a statement timeout that is always
+ *       rolled back. Input with more than one statement is rejected.
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -427,40 +1360,279 @@ router.get('/performance/table-metrics', async (req, res) => {
  *                 type: string
  *               analyze:
  *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: >
+ *           The raw EXPLAIN FORMAT JSON plan, and a summary flattening it into nodes with cost,
+ *           estimated vs actual rows, buffers and share of time, plus warnings for sequential scans
+ *           of large tables, row misestimates and sorts that spill to disk
+ *       400:
+ *         description: Invalid body, more than one statement, a statement that writes, a SQL error or a timeout
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the dba role or higher
+ *       503:
+ *         description: The sandbox role is not configured or cannot log in
  */
-router.post('/performance/query-analysis', async (req, res) => {
-  const { query, analyze = false } = req.body;
-  
-  if (!query) {
-    return res.status(400).json({ error: 'Query is required' });
+router.post('/performance/query-analysis', requireRole('dba'), validate({ body: queryAnalysisBody }), async (req, res) => {
+  const { query, analyze } = req.body;
+
+  const { plan, summary, durationMs } = await analyzeQuery(query, analyze);
+
+  res.json({
+    query: query,
+    summary,
+    execution_plan: plan,
+    analysis_time_ms: durationMs,
+    analyzed: analyze
+  });
+});
+
+// EXPLAIN in the sandbox, summarized with the sizes of the tables the plan reads
+async function analyzeQuery(query, analyze) {
+  const { plan, durationMs } = await explainInSandbox(query, { analyze });
+
+  const sizes = await db.query(`
+    SELECT relname, reltuples::bigint AS row_estimate
+    FROM pg_class
+    WHERE relname = ANY($1) AND relkind IN ('r', 'p', 'm') AND pg_table_is_visible(oid)
+  `, [planRelations(plan)]);
+  const tableRows = Object.fromEntries(sizes.rows.map(row => [row.relname, Number(row.row_estimate)]));
+
+  return { plan, durationMs, summary: summarizePlan(plan, { tableRows }) };
+}
+
+async function findBaseline(name) {
+  const result = await db.query('SELECT * FROM query_plan_baselines WHERE name = $1', [name]);
+  if (result.rows.length === 0) {
+    throw new HttpError(404, `No plan baseline named ${name}`);
   }
-  
-  // Security: Only allow SELECT statements for safety
-  if (!query.trim().toLowerCase().startsWith('select')) {
-    return res.status(400).json({ 
-      error: 'Only SELECT queries are allowed for analysis' 
+  return result.rows[0];
+}
+
+/**
+ * @swagger
+ * /api/retail/performance/plan-baselines:
+ *   get:
+ *     summary: List saved plan baselines
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Baselines with their headline timings, newest first
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the dba role or higher
+ */
+router.get('/performance/plan-baselines', requireRole('dba'), async (req, res) => {
+  const result = await db.query(`
+    SELECT
+      name, description, query, created_by, created_at,
+      (summary->>'execution_time_ms')::numeric AS execution_time_ms,
+      (summary->>'total_cost')::numeric AS total_cost,
+      jsonb_array_length(summary->'warnings') AS warning_count
+    FROM query_plan_baselines
+    ORDER BY created_at DESC
+  `);
+
+  res.json({ success: true, data: result.rows });
+});
+
+/**
+ * @swagger
+ * /api/retail/performance/plan-baselines:
+ *   post:
+ *     summary: Run EXPLAIN ANALYZE on a query and save the result as a named baseline
+ *     description: >
+ *       The query runs in the same read-only sandbox as query-analysis. Saving over an
+ *       existing name needs replace=true.
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, query]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: december-sales-rollup
+ *               query:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               replace:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       201:
+ *         description: Baseline saved, with its plan summary
+ *       400:
+ *         description: Invalid body or a query the sandbox rejects
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the dba role or higher
+ *       409:
+ *         description: A baseline with this name exists and replace is false
+ */
+router.post('/performance/plan-baselines', requireRole('dba'), validate({ body: baselineBody }), async (req, res) => {
+  const { name, query, description, replace } = req.body;
+
+  const { plan, summary } = await analyzeQuery(query, true);
+
+  const result = await db.query(`
+    INSERT INTO query_plan_baselines (name, description, query, summary, plan, created_by)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    ON CONFLICT (name) DO UPDATE SET
+      description = EXCLUDED.description,
+      query = EXCLUDED.query,
+      summary = EXCLUDED.summary,
+      plan = EXCLUDED.plan,
+      created_by = EXCLUDED.created_by,
+      created_at = CURRENT_TIMESTAMP
+    WHERE $7
+    RETURNING name, description, query, summary, created_by, created_at
+  `, [name, description || null, query, JSON.stringify(summary), JSON.stringify(plan), req.user.id, replace]);
+
+  if (result.rows.length === 0) {
+    throw new HttpError(409, `A plan baseline named ${name} already exists; send replace=true to overwrite it`, {
+      code: 'BASELINE_EXISTS',
     });
   }
-  
-  try {
-    const explainQuery = analyze 
-      ? `EXPLAIN (ANALYZE, BUFFERS, TIMING, FORMAT JSON) ${query}`
-      : `EXPLAIN (BUFFERS, FORMAT JSON) ${query}`;
-    
-    const startTime = Date.now();
-    const result = await db.query(explainQuery);
-    const endTime = Date.now();
-    
-    res.json({
-      query: query,
-      execution_plan: result.rows[0]['QUERY PLAN'],
-      analysis_time_ms: endTime - startTime,
-      analyzed: analyze
-    });
-  } catch (err) {
-    console.error('Error analyzing query:', err);
-    res.status(500).json({ error: err.message });
+
+  res.status(201).json({ success: true, data: result.rows[0] });
+});
+
+/**
+ * @swagger
+ * /api/retail/performance/plan-baselines/{name}:
+ *   get:
+ *     summary: Get a plan baseline with its summary and raw plan
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The baseline
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the dba role or higher
+ *       404:
+ *         description: No baseline with this name
+ */
+router.get('/performance/plan-baselines/:name', requireRole('dba'), validate({ params: baselineParams }), async (req, res) => {
+  res.json({ success: true, data: await findBaseline(req.params.name) });
+});
+
+/**
+ * @swagger
+ * /api/retail/performance/plan-baselines/{name}:
+ *   delete:
+ *     summary: Delete a plan baseline
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Baseline deleted
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the dba role or higher
+ *       404:
+ *         description: No baseline with this name
+ */
+router.delete('/performance/plan-baselines/:name', requireRole('dba'), validate({ params: baselineParams }), async (req, res) => {
+  const result = await db.query('DELETE FROM query_plan_baselines WHERE name = $1', [req.params.name]);
+  if (result.rowCount === 0) {
+    throw new HttpError(404, `No plan baseline named ${req.params.name}`);
   }
+  res.sendStatus(204);
+});
+
+/**
+ * @swagger
+ * /api/retail/performance/plan-baselines/{name}/compare:
+ *   post:
+ *     summary: Run a query again and compare it with a saved baseline
+ *     description: >
+ *       Re-runs the baseline's query, or the query in the body (for example a rewrite of it),
+ *       with EXPLAIN ANALYZE and reports the change in time, cost and buffers, which scans
+ *       changed per table and any new warnings. The run is a regression when time or cost
+ *       grows by more than tolerance, or when it raises a warning the baseline did not have.
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               query:
+ *                 type: string
+ *                 description: Defaults to the baseline's own query
+ *               tolerance:
+ *                 type: number
+ *                 default: 0.2
+ *                 description: Allowed relative growth before a change counts as a regression
+ *     responses:
+ *       200:
+ *         description: The comparison, with regressed true or false and the reasons
+ *       400:
+ *         description: Invalid body or a query the sandbox rejects
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the dba role or higher
+ *       404:
+ *         description: No baseline with this name
+ */
+router.post('/performance/plan-baselines/:name/compare', requireRole('dba'), validate({ params: baselineParams, body: baselineCompareBody }), async (req, res) => {
+  const baseline = await findBaseline(req.params.name);
+  const query = req.body.query || baseline.query;
+
+  const { summary } = await analyzeQuery(query, true);
+
+  res.json({
+    success: true,
+    data: {
+      baseline: { name: baseline.name, query: baseline.query, created_at: baseline.created_at },
+      query,
+      ...comparePlans(baseline.summary, summary, { tolerance: req.body.tolerance }),
+      summary,
+    }
+  });
 });
 
 /**
@@ -468,31 +1640,138 @@ router.post('/performance/query-analysis', async (req, res) => {
  * /api/retail/performance/index-usage:
  *   get:
  *     summary: Get index usage statistics
+ *     description: >
+ *       Scan counts, sizes, usage status and a rough btree bloat estimate for the indexes
+ *       of every user table unless filtered.
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: schema
+ *         schema:
+ *           type: string
+ *         description: Only tables in this schema
+ *       - in: query
+ *         name: table
+ *         schema:
+ *           type: string
+ *         description: Only tables whose name matches this glob, e.g. retail* or order_?tems
+ *     responses:
+ *       200:
+ *         description: One entry per index
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the dba role or higher
  */
-router.get('/performance/index-usage', async (req, res) => {
-  try {
-    const result = await db.query(`
-      SELECT 
-        schemaname,
-        tablename,
-        indexname,
-        idx_tup_read,
-        idx_tup_fetch,
-        CASE 
-          WHEN idx_tup_read = 0 AND idx_tup_fetch = 0 THEN 'UNUSED'
-          WHEN idx_tup_read > 0 THEN 'ACTIVE'
-          ELSE 'LOW_USAGE'
-        END as usage_status
-      FROM pg_stat_user_indexes 
-      WHERE tablename IN ('retail', 'inventory')
-      ORDER BY idx_tup_read DESC
-    `);
-    
-    res.json(result.rows);
-  } catch (err) {
-    console.error('Error getting index usage:', err);
-    res.status(500).json({ error: 'Database error occurred' });
+router.get('/performance/index-usage', requireRole('dba'), validate({ query: performanceTablesQuery }), async (req, res) => {
+  res.json({
+    success: true,
+    data: await indexMetrics(db, req.query)
+  });
+});
+
+/**
+ * @swagger
+ * /api/retail/performance/index-advisor:
+ *   get:
+ *     summary: Recommend indexes to create and to drop
+ *     description: >
+ *       Combines index statistics, the filters the API itself uses and the plans of the most
+ *       expensive statements in pg_stat_statements (explained in the query sandbox). Create
+ *       recommendations carry an estimated size, drop recommendations the current size, and each
+ *       comes with the CREATE INDEX CONCURRENTLY or DROP INDEX CONCURRENTLY statement. Nothing is run.
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: explain_statements
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *         description: Set to false to skip planning pg_stat_statements entries
+ *     responses:
+ *       200:
+ *         description: Recommendations, with notes on what evidence was available
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the dba role or higher
+ */
+router.get('/performance/index-advisor', requireRole('dba'), validate({ query: indexAdvisorQuery }), async (req, res) => {
+  const advice = await adviseIndexes(db, { explainStatements: req.query.explain_statements });
+
+  res.json({
+    success: true,
+    data: advice.recommendations,
+    notes: advice.notes,
+    apply_enabled: config.indexAdvisor.allowApply
+  });
+});
+
+/**
+ * @swagger
+ * /api/retail/performance/index-advisor/apply:
+ *   post:
+ *     summary: Run one index advisor recommendation
+ *     description: >
+ *       Disabled unless the server runs with INDEX_ADVISOR_ALLOW_APPLY=true. The recommendation
+ *       is looked up again by id, so only a statement the advisor still recommends can run.
+ *       Every attempt, including failed ones, is recorded in the audit log under table
+ *       indexes with the statement and its outcome.
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [id]
+ *             properties:
+ *               id:
+ *                 type: string
+ *                 description: id of a recommendation from GET /index-advisor
+ *     responses:
+ *       200:
+ *         description: The statement ran
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the dba role, and applying must be enabled on the server
+ *       404:
+ *         description: No current recommendation has this id
+ */
+router.post('/performance/index-advisor/apply', requireRole('dba'), validate({ body: indexAdvisorApplyBody }), async (req, res) => {
+  if (!config.indexAdvisor.allowApply) {
+    throw new HttpError(403, 'Applying index recommendations is disabled on this server', { code: 'APPLY_DISABLED' });
   }
+
+  const { recommendations } = await adviseIndexes(db, { explainStatements: true });
+  const recommendation = recommendations.find(candidate => candidate.id === req.body.id);
+  if (!recommendation) {
+    throw new HttpError(404, 'No current recommendation has this id; it may already be applied');
+  }
+
+  const { duration_ms } = await applyRecommendation(db, recommendation, {
+    actor: req.context.actor,
+    requestId: req.id,
+  });
+
+  res.json({
+    success: true,
+    message: `Index ${recommendation.index_name} ${recommendation.action === 'create' ? 'created' : 'dropped'}`,
+    data: { ...recommendation, duration_ms }
+  });
 });
 
 /**
@@ -500,43 +1779,79 @@ router.get('/performance/index-usage', async (req, res) => {
  * /api/retail/performance/slow-queries:
  *   get:
  *     summary: Get slow query statistics (requires pg_stat_statements extension)
+ *     description: >
+ *       Statements by total execution time. Works with both the PostgreSQL 13+ column names
+ *       (total_exec_time, mean_exec_time) and the older ones; times are reported as *_time_ms.
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Only statements whose text contains this, case-insensitively
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: The slowest statements, or a note that pg_stat_statements is unavailable
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the dba role or higher
  */
-router.get('/performance/slow-queries', async (req, res) => {
-  try {
-    // Check if pg_stat_statements extension exists
-    const extensionCheck = await db.query(`
-      SELECT EXISTS (
-        SELECT 1 FROM pg_extension WHERE extname = 'pg_stat_statements'
-      ) as has_extension
-    `);
-    
-    if (!extensionCheck.rows[0].has_extension) {
-      return res.json({
-        message: 'pg_stat_statements extension not available',
-        suggestion: 'Enable pg_stat_statements extension for query statistics'
-      });
-    }
-    
-    const result = await db.query(`
-      SELECT 
-        query,
-        calls,
-        total_time,
-        mean_time,
-        min_time,
-        max_time,
-        rows
-      FROM pg_stat_statements 
-      WHERE query LIKE '%retail%' OR query LIKE '%inventory%'
-      ORDER BY total_time DESC
-      LIMIT 20
-    `);
-    
-    res.json(result.rows);
-  } catch (err) {
-    console.error('Error getting slow queries:', err);
-    res.status(500).json({ error: 'Database error occurred' });
+router.get('/performance/slow-queries', requireRole('dba'), validate({ query: slowQueriesQuery }), async (req, res) => {
+  const { search, limit } = req.query;
+  const stat = await statStatementsColumns(db);
+
+  if (!stat) {
+    return res.json({
+      success: false,
+      message: 'pg_stat_statements extension not available',
+      suggestion: 'Add pg_stat_statements to shared_preload_libraries and run CREATE EXTENSION pg_stat_statements'
+    });
   }
+
+  const params = [];
+  let searchCondition = '';
+  if (search) {
+    params.push(`%${search.replace(/[\\%_]/g, '\\$&')}%`);
+    searchCondition = `AND query ILIKE $${params.length}`;
+  }
+
+  const result = await db.query(`
+    SELECT
+      queryid,
+      query,
+      calls,
+      ${stat.totalTime} AS total_time_ms,
+      ${stat.meanTime} AS mean_time_ms,
+      ${stat.minTime} AS min_time_ms,
+      ${stat.maxTime} AS max_time_ms,
+      rows
+      ${stat.hasSharedBlocks ? `,
+      shared_blks_hit,
+      shared_blks_read,
+      ROUND(shared_blks_hit * 100.0 / NULLIF(shared_blks_hit + shared_blks_read, 0), 2) AS cache_hit_pct` : ''}
+    FROM ${stat.view}
+    WHERE dbid = (SELECT oid FROM pg_database WHERE datname = current_database())
+      ${searchCondition}
+    ORDER BY ${stat.totalTime} DESC
+    LIMIT ${limit}
+  `, params);
+
+  res.json({
+    success: true,
+    time_columns: { total: stat.totalTime, mean: stat.meanTime },
+    data: result.rows
+  });
 });
 
 /**
@@ -544,57 +1859,93 @@ router.get('/performance/slow-queries', async (req, res) => {
  * /api/retail/performance/database-stats:
  *   get:
  *     summary: Get overall database performance statistics
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: schema
+ *         schema:
+ *           type: string
+ *         description: Only tables in this schema
+ *       - in: query
+ *         name: table
+ *         schema:
+ *           type: string
+ *         description: Only tables whose name matches this glob, e.g. retail* or order_?tems
+ *     responses:
+ *       200:
+ *         description: Write activity per table, cache hit ratio, connections and database size
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the dba role or higher
  */
-router.get('/performance/database-stats', async (req, res) => {
-  try {
-    const tableStats = await db.query(`
-      SELECT 
-        schemaname,
-        tablename,
-        n_tup_ins as inserts,
-        n_tup_upd as updates,
-        n_tup_del as deletes,
-        n_live_tup as live_rows,
-        n_dead_tup as dead_rows,
-        last_vacuum,
-        last_autovacuum,
-        last_analyze,
-        last_autoanalyze
-      FROM pg_stat_user_tables 
-      WHERE tablename IN ('retail', 'inventory')
-    `);
-
-    const cacheStats = await db.query(`
-      SELECT 
-        SUM(heap_blks_read) as disk_reads,
-        SUM(heap_blks_hit) as cache_hits,
-        ROUND(
-          SUM(heap_blks_hit) * 100.0 / 
-          NULLIF(SUM(heap_blks_hit + heap_blks_read), 0), 2
-        ) as cache_hit_ratio
-      FROM pg_stat_user_tables 
-      WHERE tablename IN ('retail', 'inventory')
-    `);
-
-    const connectionStats = await db.query(`
-      SELECT 
-        state,
-        COUNT(*) as connection_count
-      FROM pg_stat_activity 
-      WHERE datname = current_database()
-      GROUP BY state
-    `);
-
-    res.json({
-      table_statistics: tableStats.rows,
-      cache_performance: cacheStats.rows[0],
-      connection_stats: connectionStats.rows,
-      timestamp: new Date().toISOString()
-    });
-  } catch (err) {
-    console.error('Error getting database stats:', err);
-    res.status(500).json({ error: 'Database error occurred' });
-  }
+router.get('/performance/database-stats', requireRole('dba'), validate({ query: performanceTablesQuery }), async (req, res) => {
+  const params = [];
+  const conditions = tableConditions(req.query, params);
+  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const tableStats = await db.query(`
+    SELECT 
+      schemaname,
+      relname AS tablename,
+      n_tup_ins as inserts,
+      n_tup_upd as updates,
+      n_tup_del as deletes,
+      n_tup_hot_upd as hot_updates,
+      n_live_tup as live_rows,
+      n_dead_tup as dead_rows,
+      seq_scan,
+      COALESCE(idx_scan, 0) AS idx_scan,
+      ROUND(seq_scan * 100.0 / NULLIF(seq_scan + COALESCE(idx_scan, 0), 0), 2) AS seq_scan_pct,
+      last_vacuum,
+      last_autovacuum,
+      last_analyze,
+      last_autoanalyze
+    FROM pg_stat_user_tables 
+    ${whereClause}
+    ORDER BY schemaname, relname
+  `, params);
+
+  const cacheStats = await db.query(`
+    SELECT 
+      SUM(heap_blks_read) as disk_reads,
+      SUM(heap_blks_hit) as cache_hits,
+      ROUND(
+        SUM(heap_blks_hit) * 100.0 / 
+        NULLIF(SUM(heap_blks_hit + heap_blks_read), 0), 2
+      ) as cache_hit_ratio
+    FROM pg_statio_user_tables 
+    ${whereClause}
+  `, params);
+
+  const connectionStats = await db.query(`
+    SELECT 
+      state,
+      COUNT(*) as connection_count
+    FROM pg_stat_activity 
+    WHERE datname = current_database()
+    GROUP BY state
+  `);
+
+  const databaseInfo = await db.query(`
+    SELECT
+      current_setting('server_version') AS server_version,
+      current_setting('server_version_num')::int AS server_version_num,
+      pg_database_size(current_database()) AS database_bytes,
+      pg_size_pretty(pg_database_size(current_database())) AS database_size
+  `);
+
+  res.json({
+    database: databaseInfo.rows[0],
+    table_statistics: tableStats.rows,
+    cache_performance: cacheStats.rows[0],
+    connection_stats: connectionStats.rows,
+    timestamp: new Date().toISOString()
+  });
 });
 
 /**
@@ -602,89 +1953,94 @@ router.get('/performance/database-stats', async (req, res) => {
  * /api/retail/performance/sales-analytics:
  *   get:
  *     summary: Get sales analytics with performance insights
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     responses:
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the viewer role or higher
  */
-router.get('/performance/sales-analytics', async (req, res) => {
-  const { days = 30 } = req.query;
+router.get('/performance/sales-analytics', requireRole('viewer'), validate({ query: salesAnalyticsQuery }), async (req, res) => {
+  const { days } = req.query;
   
-  try {
-    const analyticsQuery = `
-      WITH sales_data AS (
-        SELECT 
-          DATE(invoice_date) as sale_date,
-          country,
-          COUNT(*) as order_count,
-          SUM(quantity) as total_quantity,
-          SUM(quantity * unit_price) as total_sales,
-          AVG(unit_price) as avg_price
-        FROM retail 
-        WHERE invoice_date >= CURRENT_DATE - INTERVAL '${parseInt(days)} days'
-        GROUP BY DATE(invoice_date), country
-      ),
-      inventory_impact AS (
-        SELECT 
-          r.stock_code,
-          COUNT(*) as times_ordered,
-          SUM(r.quantity) as total_ordered,
-          i.current_stock,
-          i.available_stock,
-          CASE 
-            WHEN i.available_stock <= i.reorder_level THEN 'LOW_STOCK'
-            WHEN i.available_stock <= 0 THEN 'OUT_OF_STOCK'
-            ELSE 'OK'
-          END as stock_status
-        FROM retail r
-        LEFT JOIN inventory i ON r.stock_code = i.stock_code
-        WHERE r.invoice_date >= CURRENT_DATE - INTERVAL '${parseInt(days)} days'
-        GROUP BY r.stock_code, i.current_stock, i.available_stock, i.reorder_level
-      )
+  const analyticsQuery = `
+    WITH sales_data AS (
       SELECT 
-        'sales_by_country' as metric_type,
-        json_agg(json_build_object(
-          'country', country,
-          'total_sales', total_sales,
-          'order_count', order_count
-        )) as data
-      FROM (
-        SELECT country, SUM(total_sales) as total_sales, SUM(order_count) as order_count
-        FROM sales_data 
-        GROUP BY country 
-        ORDER BY total_sales DESC
-      ) country_sales
-      
-      UNION ALL
-      
+        DATE(invoice_date) as sale_date,
+        country,
+        COUNT(*) as order_count,
+        SUM(quantity) as total_quantity,
+        SUM(quantity * unit_price) as total_sales,
+        AVG(unit_price) as avg_price
+      FROM retail 
+      WHERE invoice_date >= CURRENT_DATE - INTERVAL '${days} days'
+      GROUP BY DATE(invoice_date), country
+    ),
+    inventory_impact AS (
       SELECT 
-        'inventory_impact' as metric_type,
-        json_agg(json_build_object(
-          'stock_code', stock_code,
-          'times_ordered', times_ordered,
-          'total_ordered', total_ordered,
-          'current_stock', current_stock,
-          'available_stock', available_stock,
-          'stock_status', stock_status
-        )) as data
-      FROM inventory_impact
-      WHERE stock_status != 'OK'
-      ORDER BY total_ordered DESC
-    `;
-    
-    const result = await db.query(analyticsQuery);
+        r.stock_code,
+        COUNT(*) as times_ordered,
+        SUM(r.quantity) as total_ordered,
+        i.current_stock,
+        i.available_stock,
+        CASE 
+          WHEN i.available_stock <= i.reorder_level THEN 'LOW_STOCK'
+          WHEN i.available_stock <= 0 THEN 'OUT_OF_STOCK'
+          ELSE 'OK'
+        END as stock_status
+      FROM retail r
+      LEFT JOIN inventory i ON r.stock_code = i.stock_code
+      WHERE r.invoice_date >= CURRENT_DATE - INTERVAL '${days} days'
+      GROUP BY r.stock_code, i.current_stock, i.available_stock, i.reorder_level
+    )
+    SELECT 
+      'sales_by_country' as metric_type,
+      json_agg(json_build_object(
+        'country', country,
+        'total_sales', total_sales,
+        'order_count', order_count
+      )) as data
+    FROM (
+      SELECT country, SUM(total_sales) as total_sales, SUM(order_count) as order_count
+      FROM sales_data 
+      GROUP BY country 
+      ORDER BY total_sales DESC
+    ) country_sales
     
-    // Transform the result into a more usable format
-    const analytics = {};
-    result.rows.forEach(row => {
-      analytics[row.metric_type] = row.data;
-    });
+    UNION ALL
     
-    res.json({
-      period_days: parseInt(days),
-      analytics,
-      generated_at: new Date().toISOString()
-    });
-  } catch (err) {
-    console.error('Error getting sales analytics:', err);
-    res.status(500).json({ error: 'Database error occurred' });
-  }
+    SELECT 
+      'inventory_impact' as metric_type,
+      json_agg(json_build_object(
+        'stock_code', stock_code,
+        'times_ordered', times_ordered,
+        'total_ordered', total_ordered,
+        'current_stock', current_stock,
+        'available_stock', available_stock,
+        'stock_status', stock_status
+      )) as data
+    FROM inventory_impact
+    WHERE stock_status != 'OK'
+    ORDER BY total_ordered DESC
+  `;
+  
+  const result = await db.query(analyticsQuery);
+  
+  // Transform the result into a more usable format
+  const analytics = {};
+  result.rows.forEach(row => {
+    analytics[row.metric_type] = row.data;
+  });
+  
+  res.json({
+    period_days: days,
+    analytics,
+    generated_at: new Date().toISOString()
+  });
 });
 
 /**
@@ -692,6 +2048,12 @@ router.get('/performance/sales-analytics', async (req, res) => {
  * /api/retail/performance/trigger-test:
  *   post:
  *     summary: Test inventory triggers with a sample order
+ *     description: >
+ *       Inserts a sample order and reports how the inventory triggers changed stock and alerts.
+ *       With test_mode (the default) everything runs in one transaction that is rolled back.
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -705,108 +2067,89 @@ router.get('/performance/sales-analytics', async (req, res) => {
  *                 type: integer
  *               test_mode:
  *                 type: boolean
+ *     responses:
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the dba role or higher
+ *       404:
+ *         description: Stock code not found in inventory
+ *       409:
+ *         $ref: '#/components/responses/InsufficientStock'
  */
-router.post('/performance/trigger-test', async (req, res) => {
-  const { stock_code, quantity, test_mode = true } = req.body;
-  
-  if (!stock_code || !quantity) {
-    return res.status(400).json({
-      error: 'stock_code and quantity are required'
-    });
-  }
-  
-  try {
-    // Get current inventory before test
-    const beforeResult = await db.query(
-      'SELECT * FROM inventory WHERE stock_code = $1',
+router.post('/performance/trigger-test', requireRole('dba'), validate({ body: triggerTestBody }), async (req, res) => {
+  const { stock_code, quantity, test_mode } = req.body;
+
+  // Every statement runs on one client, so test mode really does roll the order back
+  const outcome = await withTransaction(async (client) => {
+    // Lock the row so the before/after comparison only sees this order's effect
+    const beforeResult = await client.query(
+      'SELECT * FROM inventory WHERE stock_code = $1 FOR UPDATE',
       [stock_code]
     );
-    
+
     if (beforeResult.rows.length === 0) {
-      return res.status(404).json({
-        error: 'Stock code not found in inventory'
-      });
-    }
-    
-    const beforeInventory = beforeResult.rows[0];
-    
-    if (test_mode) {
-      // Start transaction for test mode
-      await db.query('BEGIN');
-    }
-    
-    try {
-      // Create a test order to trigger inventory update
-      const orderResult = await db.query(`
-        INSERT INTO retail (
-          invoice_no, stock_code, description, quantity, 
-          invoice_date, unit_price, customer_id, country
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8) 
-        RETURNING *
-      `, [
-        `TEST-${Date.now()}`,
-        stock_code,
-        'Test order for trigger',
-        quantity,
-        new Date(),
-        10.00,
-        99999,
-        'Test'
-      ]);
-      
-      // Get inventory after trigger execution
-      const afterResult = await db.query(
-        'SELECT * FROM inventory WHERE stock_code = $1',
-        [stock_code]
-      );
-      
-      const afterInventory = afterResult.rows[0];
-      
-      // Check for low stock alerts
-      const alertsResult = await db.query(`
-        SELECT * FROM low_stock_alerts WHERE stock_code = $1
-      `, [stock_code]);
-      
-      if (test_mode) {
-        // Rollback transaction in test mode
-        await db.query('ROLLBACK');
-      } else {
-        // Commit transaction if not in test mode
-        await db.query('COMMIT');
-      }
-      
-      res.json({
-        test_mode,
-        order_created: orderResult.rows[0],
-        inventory_changes: {
-          before: {
-            current_stock: beforeInventory.current_stock,
-            available_stock: beforeInventory.available_stock
-          },
-          after: {
-            current_stock: afterInventory.current_stock,
-            available_stock: afterInventory.available_stock
-          },
-          change: afterInventory.current_stock - beforeInventory.current_stock
-        },
-        low_stock_alert: alertsResult.rows.length > 0 ? alertsResult.rows[0] : null,
-        trigger_success: true
-      });
-      
-    } catch (triggerError) {
-      if (test_mode) {
-        await db.query('ROLLBACK');
-      }
-      throw triggerError;
+      throw new HttpError(404, 'Stock code not found in inventory');
     }
-    
-  } catch (err) {
-    console.error('Error testing triggers:', err);
-    res.status(500).json({ 
-      error: err.message,
-      trigger_success: false
-    });
-  }
+
+    // Create a test order to trigger inventory update
+    const orderResult = await client.query(`
+      INSERT INTO retail (
+        invoice_no, stock_code, description, quantity, 
+        invoice_date, unit_price, customer_id, country
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8) 
+      RETURNING *
+    `, [
+      `TEST-${Date.now()}`,
+      stock_code,
+      'Test order for trigger',
+      quantity,
+      new Date(),
+      10.00,
+      99999,
+      'Test'
+    ]);
+
+    // Get inventory after trigger execution
+    const afterResult = await client.query(
+      'SELECT * FROM inventory WHERE stock_code = $1',
+      [stock_code]
+    );
+
+    // Check for low stock alerts
+    const alertsResult = await client.query(`
+      SELECT * FROM low_stock_alerts WHERE stock_code = $1 AND status <> 'resolved'
+    `, [stock_code]);
+
+    return {
+      order: orderResult.rows[0],
+      before: beforeResult.rows[0],
+      after: afterResult.rows[0],
+      alert: alertsResult.rows.length > 0 ? alertsResult.rows[0] : null
+    };
+  }, { rollback: test_mode });
+
+  const { before: beforeInventory, after: afterInventory } = outcome;
+
+  res.json({
+    test_mode,
+    order_created: outcome.order,
+    inventory_changes: {
+      before: {
+        current_stock: beforeInventory.current_stock,
+        available_stock: beforeInventory.available_stock
+      },
+      after: {
+        current_stock: afterInventory.current_stock,
+        available_stock: afterInventory.available_stock
+      },
+      change: afterInventory.current_stock - beforeInventory.current_stock
+    },
+    low_stock_alert: outcome.alert,
+    trigger_success: true
+  });
 });
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,282 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const Joi = require('joi');
+const { validate } = require('../lib/validation');
+const { requireRole } = require('../lib/auth');
+const { HttpError } = require('../lib/errors');
+const { updateVersioned } = require('../lib/rowVersion');
+const { idParams, supplierInput, supplierPatch } = require('../lib/schemas');
+
+const supplierListQuery = Joi.object({
+  is_active: Joi.boolean(),
+  search: Joi.string().trim().max(100),
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Supplier:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *         contact_name:
+ *           type: string
+ *           nullable: true
+ *         email:
+ *           type: string
+ *           nullable: true
+ *         phone:
+ *           type: string
+ *           nullable: true
+ *         lead_time_days:
+ *           type: integer
+ *           nullable: true
+ *         notes:
+ *           type: string
+ *           nullable: true
+ *         is_active:
+ *           type: boolean
+ *         product_count:
+ *           type: integer
+ *           description: Active products assigned to the supplier
+ *         open_purchase_orders:
+ *           type: integer
+ *           description: Purchase orders that are not yet closed
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ */
+
+// Suppliers with how many products and open purchase orders they have
+const SUPPLIER_SELECT = `
+  SELECT s.*,
+    (SELECT COUNT(*)::int FROM products p
+     WHERE p.supplier_id = s.id AND p.deleted_at IS NULL AND p.is_active) AS product_count,
+    (SELECT COUNT(*)::int FROM purchase_orders po
+     WHERE po.supplier_id = s.id AND po.status <> 'closed') AS open_purchase_orders
+  FROM suppliers s
+`;
+
+/**
+ * @swagger
+ * /api/suppliers:
+ *   get:
+ *     summary: List suppliers
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: is_active
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Matches part of the supplier or contact name
+ *     responses:
+ *       200:
+ *         description: Suppliers by name
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Supplier'
+ *                 count:
+ *                   type: integer
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the viewer role or higher
+ */
+router.get('/', requireRole('viewer'), validate({ query: supplierListQuery }), async (req, res) => {
+  const { is_active, search } = req.query;
+  const conditions = [];
+  const params = [];
+
+  if (is_active !== undefined) {
+    params.push(is_active);
+    conditions.push(`s.is_active = $${params.length}`);
+  }
+  if (search) {
+    params.push(`%${search}%`);
+    conditions.push(`(s.name ILIKE $${params.length} OR s.contact_name ILIKE $${params.length})`);
+  }
+
+  const result = await db.query(
+    `${SUPPLIER_SELECT}
+     ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY s.name`,
+    params
+  );
+
+  res.json({
+    success: true,
+    data: result.rows,
+    count: result.rows.length
+  });
+});
+
+/**
+ * @swagger
+ * /api/suppliers:
+ *   post:
+ *     summary: Create a supplier
+ *     description: Assign products to it by setting their supplier_id.
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SupplierInput'
+ *     responses:
+ *       201:
+ *         description: Supplier created
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the inventory_manager role or higher
+ *       409:
+ *         description: A supplier with that name already exists
+ */
+router.post('/', requireRole('inventory_manager'), validate({ body: supplierInput }), async (req, res) => {
+  const { name, contact_name, email, phone, lead_time_days, notes, is_active } = req.body;
+
+  const result = await db.query(`
+    INSERT INTO suppliers (name, contact_name, email, phone, lead_time_days, notes, is_active)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    RETURNING *
+  `, [name, contact_name, email, phone, lead_time_days, notes, is_active]);
+
+  res.status(201).json({
+    success: true,
+    message: 'Supplier created successfully',
+    data: result.rows[0]
+  });
+});
+
+/**
+ * @swagger
+ * /api/suppliers/{id}:
+ *   get:
+ *     summary: Get a supplier
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The supplier
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Supplier'
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the viewer role or higher
+ *       404:
+ *         description: Supplier not found
+ */
+router.get('/:id', requireRole('viewer'), validate({ params: idParams }), async (req, res) => {
+  const result = await db.query(`${SUPPLIER_SELECT} WHERE s.id = $1`, [req.params.id]);
+
+  if (result.rows.length === 0) {
+    throw new HttpError(404, 'Supplier not found');
+  }
+
+  res.json({ success: true, data: result.rows[0] });
+});
+
+/**
+ * @swagger
+ * /api/suppliers/{id}:
+ *   patch:
+ *     summary: Update some of a supplier's fields
+ *     description: >
+ *       Deactivating a supplier keeps its purchase orders, but auto-drafting skips its
+ *       products until they are assigned elsewhere or it is reactivated.
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SupplierPatch'
+ *     responses:
+ *       200:
+ *         description: Supplier updated
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the inventory_manager role or higher
+ *       404:
+ *         description: Supplier not found
+ *       409:
+ *         description: A supplier with that name already exists
+ */
+router.patch('/:id', requireRole('inventory_manager'), validate({ params: idParams, body: supplierPatch }), async (req, res) => {
+  const supplier = await updateVersioned(db, {
+    table: 'suppliers',
+    key: 'id',
+    id: req.params.id,
+    changes: req.body,
+    touch: 'updated_at'
+  });
+
+  if (!supplier) {
+    throw new HttpError(404, 'Supplier not found');
+  }
+
+  res.json({
+    success: true,
+    message: 'Supplier updated successfully',
+    data: supplier
+  });
+});
+
+module.exports = router;
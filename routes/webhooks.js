@@ -0,0 +1,348 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const Joi = require('joi');
+const { validate } = require('../lib/validation');
+const { requireRole } = require('../lib/auth');
+const { HttpError } = require('../lib/errors');
+const { updateVersioned } = require('../lib/rowVersion');
+const { generateSecret } = require('../lib/webhooks');
+const { idParams, pageSize, webhookSubscriptionInput, webhookSubscriptionPatch } = require('../lib/schemas');
+
+// Everything but the secret, which is only shown when it is generated
+const SUBSCRIPTION_COLUMNS = [
+  'id', 'url', 'events', 'description', 'is_active', 'created_by', 'created_at', 'updated_at'
+];
+
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+
+const deliveryQuery = Joi.object({
+  status: Joi.string().valid(...DELIVERY_STATUSES),
+  limit: pageSize(500, 50),
+});
+
+const returning = `RETURNING ${SUBSCRIPTION_COLUMNS.join(', ')}`;
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     WebhookSubscription:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         url:
+ *           type: string
+ *         events:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [alert.opened, alert.resolved]
+ *         description:
+ *           type: string
+ *           nullable: true
+ *         is_active:
+ *           type: boolean
+ *         created_by:
+ *           type: string
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/webhooks:
+ *   get:
+ *     summary: List webhook subscriptions with delivery counts
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Subscriptions, without their secrets
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the dba role or higher
+ */
+router.get('/', requireRole('dba'), async (req, res) => {
+  const result = await db.query(`
+    SELECT ${SUBSCRIPTION_COLUMNS.map(column => `s.${column}`).join(', ')},
+      COUNT(d.id) FILTER (WHERE d.status = 'pending')::int AS pending_deliveries,
+      COUNT(d.id) FILTER (WHERE d.status = 'delivered')::int AS delivered_deliveries,
+      COUNT(d.id) FILTER (WHERE d.status = 'failed')::int AS failed_deliveries,
+      MAX(d.delivered_at) AS last_delivered_at
+    FROM webhook_subscriptions s
+    LEFT JOIN webhook_deliveries d ON d.subscription_id = s.id
+    GROUP BY s.id
+    ORDER BY s.id
+  `);
+
+  res.json({
+    success: true,
+    data: result.rows,
+    count: result.rows.length
+  });
+});
+
+/**
+ * @swagger
+ * /api/webhooks:
+ *   post:
+ *     summary: Subscribe a URL to low-stock alert events
+ *     description: >
+ *       Each event is POSTed as JSON { event, occurred_at, data } where data is the alert,
+ *       with headers X-Webhook-Id (the delivery id, the same on every retry),
+ *       X-Webhook-Event, X-Webhook-Timestamp (Unix seconds) and X-Webhook-Signature,
+ *       "sha256=" followed by the hex HMAC-SHA256 of "<timestamp>.<raw body>" keyed with
+ *       the subscription's secret. The secret is generated here and returned only in this
+ *       response. Any 2xx answer counts as delivered; otherwise the delivery is retried
+ *       with exponential backoff before it is marked failed.
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WebhookSubscriptionInput'
+ *     responses:
+ *       201:
+ *         description: Subscription created; data.secret is not shown again
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the dba role or higher
+ */
+router.post('/', requireRole('dba'), validate({ body: webhookSubscriptionInput }), async (req, res) => {
+  const { url, events, description, is_active } = req.body;
+  const secret = generateSecret();
+
+  const result = await db.query(`
+    INSERT INTO webhook_subscriptions (url, events, secret, description, is_active, created_by)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    ${returning}
+  `, [url, events, secret, description, is_active, req.context.actor]);
+
+  res.status(201).json({
+    success: true,
+    message: 'Webhook subscription created; store the secret now, it is not shown again',
+    data: { ...result.rows[0], secret }
+  });
+});
+
+/**
+ * @swagger
+ * /api/webhooks/{id}:
+ *   patch:
+ *     summary: Update a webhook subscription
+ *     description: >
+ *       Deliveries queued for an inactive subscription wait, and are sent if it is
+ *       reactivated. Events that happen while it is inactive are not queued for it.
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WebhookSubscriptionPatch'
+ *     responses:
+ *       200:
+ *         description: Subscription updated
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the dba role or higher
+ *       404:
+ *         description: Subscription not found
+ */
+router.patch('/:id', requireRole('dba'), validate({ params: idParams, body: webhookSubscriptionPatch }), async (req, res) => {
+  const subscription = await updateVersioned(db, {
+    table: 'webhook_subscriptions',
+    key: 'id',
+    id: req.params.id,
+    changes: req.body,
+    touch: 'updated_at'
+  });
+
+  if (!subscription) {
+    throw new HttpError(404, 'Webhook subscription not found');
+  }
+
+  const { secret, ...data } = subscription;
+  res.json({
+    success: true,
+    message: 'Webhook subscription updated',
+    data
+  });
+});
+
+/**
+ * @swagger
+ * /api/webhooks/{id}/rotate-secret:
+ *   post:
+ *     summary: Replace a subscription's signing secret
+ *     description: >
+ *       Deliveries sent from now on, retries included, are signed with the new secret,
+ *       which is returned only in this response.
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The subscription with its new secret
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the dba role or higher
+ *       404:
+ *         description: Subscription not found
+ */
+router.post('/:id/rotate-secret', requireRole('dba'), validate({ params: idParams }), async (req, res) => {
+  const secret = generateSecret();
+
+  const result = await db.query(
+    `UPDATE webhook_subscriptions SET secret = $2, updated_at = now() WHERE id = $1 ${returning}`,
+    [req.params.id, secret]
+  );
+
+  if (result.rows.length === 0) {
+    throw new HttpError(404, 'Webhook subscription not found');
+  }
+
+  res.json({
+    success: true,
+    message: 'Secret rotated; store it now, it is not shown again',
+    data: { ...result.rows[0], secret }
+  });
+});
+
+/**
+ * @swagger
+ * /api/webhooks/{id}:
+ *   delete:
+ *     summary: Delete a webhook subscription and its delivery history
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Subscription deleted
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the dba role or higher
+ *       404:
+ *         description: Subscription not found
+ */
+router.delete('/:id', requireRole('dba'), validate({ params: idParams }), async (req, res) => {
+  const result = await db.query(`DELETE FROM webhook_subscriptions WHERE id = $1 ${returning}`, [req.params.id]);
+
+  if (result.rows.length === 0) {
+    throw new HttpError(404, 'Webhook subscription not found');
+  }
+
+  res.json({
+    success: true,
+    message: 'Webhook subscription deleted',
+    data: result.rows[0]
+  });
+});
+
+/**
+ * @swagger
+ * /api/webhooks/{id}/deliveries:
+ *   get:
+ *     summary: Recent deliveries of a subscription, newest first
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, delivered, failed]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 500
+ *     responses:
+ *       200:
+ *         description: Deliveries with their attempts, last response and next retry
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Requires the dba role or higher
+ *       404:
+ *         description: Subscription not found
+ */
+router.get('/:id/deliveries', requireRole('dba'), validate({ params: idParams, query: deliveryQuery }), async (req, res) => {
+  const { status, limit } = req.query;
+
+  const subscription = await db.query('SELECT id FROM webhook_subscriptions WHERE id = $1', [req.params.id]);
+  if (subscription.rows.length === 0) {
+    throw new HttpError(404, 'Webhook subscription not found');
+  }
+
+  const result = await db.query(`
+    SELECT id, event, payload, status, attempts, next_attempt_at, last_attempt_at,
+           last_response_status, last_error, delivered_at, created_at
+    FROM webhook_deliveries
+    WHERE subscription_id = $1 AND ($2::text IS NULL OR status = $2)
+    ORDER BY created_at DESC, id DESC
+    LIMIT $3
+  `, [req.params.id, status ?? null, limit]);
+
+  res.json({
+    success: true,
+    data: result.rows,
+    count: result.rows.length
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+// Usage: npm run api-key -- <create <name> <role> | list | revoke <name>>
+const pool = require('../db');
+const { ROLES, generateApiKey } = require('../lib/auth');
+
+async function create(name, role) {
+  if (!name || !ROLES.includes(role)) {
+    throw new Error(`Usage: create <name> <role>, where role is one of ${ROLES.join(', ')}`);
+  }
+
+  const { key, hash, prefix } = generateApiKey();
+  await pool.query(
+    'INSERT INTO api_keys (name, key_hash, key_prefix, role) VALUES ($1, $2, $3, $4)',
+    [name, hash, prefix, role]
+  );
+
+  console.log(`Created API key "${name}" with role ${role}. Store it now; it cannot be shown again:\n\n  ${key}\n`);
+}
+
+async function list() {
+  const result = await pool.query(
+    'SELECT name, key_prefix, role, created_at, last_used_at, revoked_at FROM api_keys ORDER BY name'
+  );
+
+  if (result.rows.length === 0) {
+    console.log('No API keys');
+  }
+  for (const row of result.rows) {
+    const state = row.revoked_at
+      ? `revoked ${row.revoked_at.toISOString()}`
+      : `last used ${row.last_used_at ? row.last_used_at.toISOString() : 'never'}`;
+    console.log(`  ${row.name}  ${row.key_prefix}...  ${row.role}  ${state}`);
+  }
+}
+
+async function revoke(name) {
+  const result = await pool.query(
+    'UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP WHERE name = $1 AND revoked_at IS NULL',
+    [name]
+  );
+  console.log(result.rowCount ? `Revoked API key "${name}"` : `No active API key named "${name}"`);
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+
+  try {
+    if (command === 'create') {
+      await create(...args);
+    } else if (command === 'list') {
+      await list();
+    } else if (command === 'revoke') {
+      await revoke(args[0]);
+    } else {
+      throw new Error(`Unknown command: ${command} (expected create, list or revoke)`);
+    }
+  } finally {
+    await pool.end();
+  }
+}
+
+main().catch(err => {
+  console.error(`API key command failed: ${err.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+// Usage: npm run migrate -- <up|down|status> [--to <version>] [--steps <n>]
+const pool = require('../db');
+const { getMigrationStatus, migrateUp, migrateDown } = require('../lib/migrations');
+
+function parseArgs(argv) {
+  const [command = 'status', ...rest] = argv;
+  const options = {};
+
+  for (let i = 0; i < rest.length; i++) {
+    const flag = rest[i];
+    const value = rest[i + 1];
+
+    if ((flag === '--to' || flag === '--steps') && /^\d+$/.test(value || '')) {
+      options[flag.slice(2)] = flag === '--steps' ? parseInt(value) : value;
+      i++;
+    } else {
+      throw new Error(`Unknown or incomplete option: ${flag}`);
+    }
+  }
+
+  return { command, options };
+}
+
+function printStatus({ current_version, migrations }) {
+  console.log(`Current version: ${current_version || 'none'}\n`);
+  for (const migration of migrations) {
+    const state = migration.applied ? `applied ${new Date(migration.applied_at).toISOString()}` : 'pending';
+    const flags = [
+      migration.checksum_mismatch && 'CHANGED SINCE APPLIED',
+      migration.missing_file && 'FILE MISSING',
+    ].filter(Boolean).join(', ');
+    console.log(`  ${migration.version}_${migration.name}  ${state}${flags ? `  [${flags}]` : ''}`);
+  }
+}
+
+async function main() {
+  const { command, options } = parseArgs(process.argv.slice(2));
+  const client = await pool.connect();
+  const log = message => console.log(message);
+
+  try {
+    if (command === 'up') {
+      const applied = await migrateUp(client, { to: options.to, log });
+      console.log(applied.length ? `Applied ${applied.length} migration(s)` : 'Database is up to date');
+    } else if (command === 'down') {
+      const reverted = await migrateDown(client, { steps: options.steps, to: options.to, log });
+      console.log(reverted.length ? `Reverted ${reverted.length} migration(s)` : 'Nothing to revert');
+    } else if (command === 'status') {
+      printStatus(await getMigrationStatus(client));
+    } else {
+      throw new Error(`Unknown command: ${command} (expected up, down or status)`);
+    }
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+main().catch(err => {
+  console.error(`Migration failed: ${err.message}`);
+  process.exit(1);
+});
@@ -1,4 +0,0 @@
-CREATE INDEX ON retail(invoice_date);
-CREATE INDEX ON retail(customer_id);
-
-